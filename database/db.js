@@ -47,9 +47,33 @@ const getPool = () => {
   return pool;
 };
 
+// Exécuter un callback dans une transaction (COMMIT si succès, ROLLBACK sinon)
+const withTransaction = async (callback) => {
+  const client = await getPool().connect();
+
+  try {
+    await client.query('BEGIN');
+    const result = await callback(client);
+    await client.query('COMMIT');
+    client.release();
+    return result;
+  } catch (error) {
+    try {
+      await client.query('ROLLBACK');
+      client.release();
+    } catch (rollbackError) {
+      // Connexion inutilisable : le pool la détruit au lieu de la réutiliser
+      console.error('Database rollback error:', rollbackError);
+      client.release(rollbackError);
+    }
+    throw error;
+  }
+};
+
 module.exports = {
   initPool,
   query,
   queryOne,
-  getPool
+  getPool,
+  withTransaction
 };
\ No newline at end of file
@@ -0,0 +1,27 @@
+-- backend/database/migrations/001_service_hours.sql
+-- Services (déjeuner / dîner) par jour de la semaine, lus par les réservations
+
+CREATE TABLE IF NOT EXISTS service_hours (
+  id SERIAL PRIMARY KEY,
+  day_of_week SMALLINT NOT NULL CHECK (day_of_week BETWEEN 0 AND 6), -- 0 = dimanche
+  service VARCHAR(20) NOT NULL,                                     -- 'lunch', 'dinner'
+  start_time TIME NOT NULL,
+  end_time TIME NOT NULL,
+  last_seating_time TIME NOT NULL,
+  slot_interval_minutes INTEGER NOT NULL DEFAULT 15 CHECK (slot_interval_minutes > 0),
+  capacity INTEGER NOT NULL DEFAULT 50 CHECK (capacity >= 0),
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (day_of_week, service),
+  CHECK (start_time <= last_seating_time AND last_seating_time <= end_time)
+);
+
+-- Valeurs historiques : 12h-14h30 et 19h-22h30, 50 couverts, tous les jours
+INSERT INTO service_hours (day_of_week, service, start_time, end_time, last_seating_time, capacity)
+SELECT d, 'lunch', '12:00', '15:00', '14:30', 50 FROM generate_series(0, 6) AS d
+ON CONFLICT (day_of_week, service) DO NOTHING;
+
+INSERT INTO service_hours (day_of_week, service, start_time, end_time, last_seating_time, capacity)
+SELECT d, 'dinner', '19:00', '23:00', '22:30', 50 FROM generate_series(0, 6) AS d
+ON CONFLICT (day_of_week, service) DO NOTHING;
@@ -0,0 +1,27 @@
+-- backend/database/migrations/002_restaurant_tables.sql
+-- Plan de salle : tables, zones et affectation des réservations
+
+CREATE TABLE IF NOT EXISTS restaurant_tables (
+  id SERIAL PRIMARY KEY,
+  label VARCHAR(50) NOT NULL UNIQUE,
+  zone VARCHAR(20) NOT NULL DEFAULT 'main',  -- 'main', 'terrace', 'bar', 'private'
+  min_capacity INTEGER NOT NULL DEFAULT 1 CHECK (min_capacity >= 1),
+  max_capacity INTEGER NOT NULL CHECK (max_capacity >= 1),
+  is_combinable BOOLEAN NOT NULL DEFAULT false,
+  combination_group VARCHAR(50),             -- tables combinables entre elles si même groupe
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  display_order INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  CHECK (min_capacity <= max_capacity)
+);
+
+CREATE TABLE IF NOT EXISTS reservation_tables (
+  reservation_id INTEGER NOT NULL REFERENCES reservations(id) ON DELETE CASCADE,
+  table_id INTEGER NOT NULL REFERENCES restaurant_tables(id) ON DELETE RESTRICT,
+  assigned_by UUID REFERENCES users(id) ON DELETE SET NULL, -- NULL = affectation automatique
+  assigned_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (reservation_id, table_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_reservation_tables_table ON reservation_tables(table_id);
@@ -0,0 +1,17 @@
+-- backend/database/migrations/003_seating_durations.sql
+-- Durée d'occupation d'une table selon la taille du groupe
+
+CREATE TABLE IF NOT EXISTS seating_durations (
+  id SERIAL PRIMARY KEY,
+  min_party INTEGER NOT NULL CHECK (min_party >= 1),
+  max_party INTEGER NOT NULL,
+  duration_minutes INTEGER NOT NULL CHECK (duration_minutes > 0),
+  CHECK (min_party <= max_party)
+);
+
+INSERT INTO seating_durations (min_party, max_party, duration_minutes)
+SELECT * FROM (VALUES (1, 2, 90), (3, 4, 105), (5, 8, 120), (9, 20, 150)) AS v(min_party, max_party, duration_minutes)
+WHERE NOT EXISTS (SELECT 1 FROM seating_durations);
+
+-- Durée figée à la création (NULL pour les réservations existantes : calculée à la volée)
+ALTER TABLE reservations ADD COLUMN IF NOT EXISTS duration_minutes INTEGER;
@@ -0,0 +1,26 @@
+-- backend/database/migrations/004_service_exceptions.sql
+-- Exceptions au planning : fermetures (jour entier ou un service) et horaires spéciaux
+
+CREATE TABLE IF NOT EXISTS service_exceptions (
+  id SERIAL PRIMARY KEY,
+  exception_date DATE NOT NULL,
+  service VARCHAR(20),                 -- NULL = toute la journée (fermeture uniquement)
+  exception_type VARCHAR(20) NOT NULL CHECK (exception_type IN ('closed', 'special_hours')),
+  start_time TIME,
+  end_time TIME,
+  last_seating_time TIME,
+  slot_interval_minutes INTEGER CHECK (slot_interval_minutes > 0),
+  capacity INTEGER CHECK (capacity >= 0),
+  reason TEXT,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  CHECK (exception_type = 'closed' OR (
+    service IS NOT NULL AND start_time IS NOT NULL AND end_time IS NOT NULL AND last_seating_time IS NOT NULL
+    AND start_time <= last_seating_time AND last_seating_time <= end_time
+  ))
+);
+
+-- Une seule exception par service et par jour (COALESCE pour la journée entière)
+CREATE UNIQUE INDEX IF NOT EXISTS idx_service_exceptions_unique
+  ON service_exceptions (exception_date, COALESCE(service, '*'));
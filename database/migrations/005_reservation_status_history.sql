@@ -0,0 +1,26 @@
+-- backend/database/migrations/005_reservation_status_history.sql
+-- Cycle de vie des réservations et historique des changements de statut
+
+ALTER TABLE reservations DROP CONSTRAINT IF EXISTS reservations_status_check;
+ALTER TABLE reservations ADD CONSTRAINT reservations_status_check
+  CHECK (status IN ('pending', 'confirmed', 'seated', 'completed', 'cancelled', 'no_show', 'declined'))
+  NOT VALID;
+
+CREATE TABLE IF NOT EXISTS reservation_status_history (
+  id SERIAL PRIMARY KEY,
+  reservation_id INTEGER NOT NULL REFERENCES reservations(id) ON DELETE CASCADE,
+  from_status VARCHAR(20),              -- NULL à la création
+  to_status VARCHAR(20) NOT NULL,
+  changed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  reason TEXT,
+  changed_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_reservation_status_history_reservation
+  ON reservation_status_history(reservation_id, changed_at);
+
+-- Historique initial des réservations existantes
+INSERT INTO reservation_status_history (reservation_id, from_status, to_status, changed_at)
+SELECT r.id, NULL, r.status, r.created_at
+FROM reservations r
+WHERE NOT EXISTS (SELECT 1 FROM reservation_status_history h WHERE h.reservation_id = r.id);
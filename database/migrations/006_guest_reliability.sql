@@ -0,0 +1,16 @@
+-- backend/database/migrations/006_guest_reliability.sql
+-- Fiabilité des clients : annulations tardives, no-shows et politiques de réservation
+
+ALTER TABLE reservations ADD COLUMN IF NOT EXISTS late_cancellation BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE reservations ADD COLUMN IF NOT EXISTS requires_confirmation BOOLEAN NOT NULL DEFAULT false;
+
+CREATE TABLE IF NOT EXISTS reliability_policies (
+  id SERIAL PRIMARY KEY,
+  metric VARCHAR(30) NOT NULL CHECK (metric IN ('no_shows', 'late_cancellations')),
+  threshold INTEGER NOT NULL CHECK (threshold >= 1),
+  action VARCHAR(30) NOT NULL CHECK (action IN ('require_confirmation', 'block_online')),
+  lookback_days INTEGER CHECK (lookback_days > 0),  -- NULL = tout l'historique
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
@@ -0,0 +1,22 @@
+-- backend/database/migrations/007_waitlist.sql
+-- Liste d'attente pour les créneaux complets
+
+CREATE TABLE IF NOT EXISTS waitlist_entries (
+  id SERIAL PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  waitlist_date DATE NOT NULL,
+  service VARCHAR(20) NOT NULL,
+  number_of_people INTEGER NOT NULL CHECK (number_of_people BETWEEN 1 AND 20),
+  preferred_time TIME,
+  notes TEXT,
+  status VARCHAR(20) NOT NULL DEFAULT 'waiting'
+    CHECK (status IN ('waiting', 'offered', 'accepted', 'expired', 'cancelled')),
+  offered_time TIME,
+  offer_expires_at TIMESTAMP,
+  reservation_id INTEGER REFERENCES reservations(id) ON DELETE SET NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_waitlist_entries_date_status
+  ON waitlist_entries(waitlist_date, status, created_at);
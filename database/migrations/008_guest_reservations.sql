@@ -0,0 +1,18 @@
+-- backend/database/migrations/008_guest_reservations.sql
+-- Réservations sans compte : coordonnées de l'invité, rattachées au compte créé plus tard
+
+ALTER TABLE reservations ALTER COLUMN user_id DROP NOT NULL;
+
+ALTER TABLE reservations ADD COLUMN IF NOT EXISTS guest_firstname VARCHAR(100);
+ALTER TABLE reservations ADD COLUMN IF NOT EXISTS guest_lastname VARCHAR(100);
+ALTER TABLE reservations ADD COLUMN IF NOT EXISTS guest_email VARCHAR(255);
+ALTER TABLE reservations ADD COLUMN IF NOT EXISTS guest_phone VARCHAR(30);
+
+-- Une réservation appartient à un compte ou à un invité identifié par son email
+ALTER TABLE reservations DROP CONSTRAINT IF EXISTS reservations_owner_check;
+ALTER TABLE reservations ADD CONSTRAINT reservations_owner_check
+  CHECK (user_id IS NOT NULL OR guest_email IS NOT NULL);
+
+CREATE INDEX IF NOT EXISTS idx_reservations_guest_email
+  ON reservations(LOWER(guest_email))
+  WHERE user_id IS NULL;
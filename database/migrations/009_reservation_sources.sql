@@ -0,0 +1,27 @@
+-- backend/database/migrations/009_reservation_sources.sql
+-- Origine des réservations (web, téléphone, sans réservation, email) et dépassements de capacité
+
+ALTER TABLE reservations ADD COLUMN IF NOT EXISTS source VARCHAR(20) NOT NULL DEFAULT 'web';
+ALTER TABLE reservations DROP CONSTRAINT IF EXISTS reservations_source_check;
+ALTER TABLE reservations ADD CONSTRAINT reservations_source_check
+  CHECK (source IN ('web', 'phone', 'walk_in', 'email'));
+
+ALTER TABLE reservations ADD COLUMN IF NOT EXISTS created_by UUID REFERENCES users(id) ON DELETE SET NULL;
+
+-- Un client sans réservation peut ne laisser que son nom
+ALTER TABLE reservations DROP CONSTRAINT IF EXISTS reservations_owner_check;
+ALTER TABLE reservations ADD CONSTRAINT reservations_owner_check
+  CHECK (user_id IS NOT NULL OR guest_email IS NOT NULL OR guest_lastname IS NOT NULL);
+
+CREATE TABLE IF NOT EXISTS capacity_overrides (
+  id SERIAL PRIMARY KEY,
+  reservation_id INTEGER NOT NULL REFERENCES reservations(id) ON DELETE CASCADE,
+  overridden_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  number_of_people INTEGER NOT NULL,
+  available_seats INTEGER NOT NULL,    -- places restantes au moment du dépassement
+  reason TEXT,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_capacity_overrides_created_at
+  ON capacity_overrides(created_at);
@@ -0,0 +1,9 @@
+-- backend/database/migrations/010_service_sheet.sql
+-- Feuille de service : arrivée, installation et départ des clients, notes et allergies
+
+ALTER TABLE reservations ADD COLUMN IF NOT EXISTS arrived_at TIMESTAMP;
+ALTER TABLE reservations ADD COLUMN IF NOT EXISTS seated_at TIMESTAMP;
+ALTER TABLE reservations ADD COLUMN IF NOT EXISTS departed_at TIMESTAMP;
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS allergies TEXT;     -- renseignées par le client
+ALTER TABLE users ADD COLUMN IF NOT EXISTS guest_notes TEXT;   -- notes internes du personnel
@@ -0,0 +1,11 @@
+-- backend/database/migrations/011_reservation_indexes.sql
+-- Index pour la liste admin paginée des réservations
+
+CREATE INDEX IF NOT EXISTS idx_reservations_date_time
+  ON reservations(reservation_date, reservation_time);
+
+CREATE INDEX IF NOT EXISTS idx_reservations_user
+  ON reservations(user_id);
+
+CREATE INDEX IF NOT EXISTS idx_reservations_created_at
+  ON reservations(created_at);
@@ -0,0 +1,58 @@
+-- backend/database/migrations/012_notifications.sql
+-- Notifications de réservation : modèles éditables et file d'envoi persistante
+
+CREATE TABLE IF NOT EXISTS notification_templates (
+  id SERIAL PRIMARY KEY,
+  event VARCHAR(40) NOT NULL,
+  channel VARCHAR(20) NOT NULL DEFAULT 'email',
+  subject VARCHAR(255),                 -- inutilisé hors email
+  body TEXT NOT NULL,                   -- variables : {{firstname}}, {{date}}, {{time}}...
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (event, channel)
+);
+
+CREATE TABLE IF NOT EXISTS notification_outbox (
+  id SERIAL PRIMARY KEY,
+  reservation_id INTEGER REFERENCES reservations(id) ON DELETE SET NULL,
+  event VARCHAR(40) NOT NULL,
+  channel VARCHAR(20) NOT NULL DEFAULT 'email',
+  recipient VARCHAR(255) NOT NULL,
+  subject VARCHAR(255),
+  body TEXT NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'sending', 'sent', 'failed')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  max_attempts INTEGER NOT NULL DEFAULT 5,
+  next_attempt_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  last_error TEXT,
+  sent_at TIMESTAMP,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_notification_outbox_due
+  ON notification_outbox(status, next_attempt_at);
+
+-- Un seul rappel par réservation et par canal
+CREATE UNIQUE INDEX IF NOT EXISTS idx_notification_outbox_reminder
+  ON notification_outbox(reservation_id, channel)
+  WHERE event = 'reservation_reminder';
+
+INSERT INTO notification_templates (event, channel, subject, body) VALUES
+  ('reservation_created', 'email',
+   'Votre demande de réservation chez {{restaurant_name}}',
+   E'Bonjour {{firstname}},\n\nNous avons bien reçu votre demande de réservation pour {{people}} personne(s) le {{date}} à {{time}}.\nVous recevrez un email dès sa confirmation.\n\n{{management_link}}\n\nÀ bientôt,\n{{restaurant_name}}'),
+  ('reservation_confirmed', 'email',
+   'Réservation confirmée chez {{restaurant_name}}',
+   E'Bonjour {{firstname}},\n\nVotre réservation pour {{people}} personne(s) le {{date}} à {{time}} est confirmée.\n\n{{management_link}}\n\nÀ bientôt,\n{{restaurant_name}}'),
+  ('reservation_modified', 'email',
+   'Votre réservation chez {{restaurant_name}} a été modifiée',
+   E'Bonjour {{firstname}},\n\nVotre réservation a été modifiée : {{people}} personne(s) le {{date}} à {{time}}.\n\n{{management_link}}\n\nÀ bientôt,\n{{restaurant_name}}'),
+  ('reservation_cancelled', 'email',
+   'Réservation annulée chez {{restaurant_name}}',
+   E'Bonjour {{firstname}},\n\nVotre réservation du {{date}} à {{time}} a été annulée.\n\nNous espérons vous accueillir une prochaine fois,\n{{restaurant_name}}'),
+  ('reservation_reminder', 'email',
+   'Rappel : votre table chez {{restaurant_name}} demain',
+   E'Bonjour {{firstname}},\n\nNous vous attendons le {{date}} à {{time}} pour {{people}} personne(s).\nUn empêchement ? Merci de nous prévenir.\n\n{{management_link}}\n\nÀ bientôt,\n{{restaurant_name}}')
+ON CONFLICT (event, channel) DO NOTHING;
@@ -0,0 +1,25 @@
+-- backend/database/migrations/013_sms_notifications.sql
+-- Canal SMS : consentement des clients et suivi de remise des messages
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS sms_opt_in BOOLEAN NOT NULL DEFAULT false;
+
+-- Consentement des invités sans compte, donné à la réservation
+ALTER TABLE reservations ADD COLUMN IF NOT EXISTS sms_opt_in BOOLEAN NOT NULL DEFAULT false;
+
+ALTER TABLE notification_outbox ADD COLUMN IF NOT EXISTS provider_message_id VARCHAR(255);
+ALTER TABLE notification_outbox ADD COLUMN IF NOT EXISTS delivery_status VARCHAR(20)
+  CHECK (delivery_status IN ('sent', 'delivered', 'undelivered', 'failed'));
+ALTER TABLE notification_outbox ADD COLUMN IF NOT EXISTS delivered_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_notification_outbox_provider_message
+  ON notification_outbox(provider_message_id);
+
+CREATE INDEX IF NOT EXISTS idx_notification_outbox_reservation
+  ON notification_outbox(reservation_id);
+
+INSERT INTO notification_templates (event, channel, subject, body) VALUES
+  ('reservation_confirmed', 'sms', NULL,
+   '{{restaurant_name}} : votre table pour {{people}} le {{short_date}} à {{time}} est confirmée.'),
+  ('reservation_reminder', 'sms', NULL,
+   '{{restaurant_name}} : rappel, nous vous attendons le {{short_date}} à {{time}} pour {{people}} pers. Un empêchement ? Prévenez-nous.')
+ON CONFLICT (event, channel) DO NOTHING;
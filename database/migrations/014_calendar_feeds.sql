@@ -0,0 +1,8 @@
+-- backend/database/migrations/014_calendar_feeds.sql
+-- Flux iCal : jeton secret par utilisateur, placé dans l'URL du flux
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS calendar_token VARCHAR(64);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_users_calendar_token
+  ON users(calendar_token)
+  WHERE calendar_token IS NOT NULL;
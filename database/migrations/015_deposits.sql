@@ -0,0 +1,63 @@
+-- backend/database/migrations/015_deposits.sql
+-- Acomptes et empreintes bancaires : règles, paiements et statut pending_payment
+
+ALTER TABLE reservations DROP CONSTRAINT IF EXISTS reservations_status_check;
+ALTER TABLE reservations ADD CONSTRAINT reservations_status_check
+  CHECK (status IN ('pending_payment', 'pending', 'confirmed', 'seated', 'completed', 'cancelled', 'no_show', 'declined'))
+  NOT VALID;
+
+-- Une règle s'applique à partir d'une taille de groupe, sur une période, ou les deux
+CREATE TABLE IF NOT EXISTS deposit_rules (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  kind VARCHAR(20) NOT NULL CHECK (kind IN ('deposit', 'card_hold')),
+  min_party INTEGER CHECK (min_party >= 1),
+  start_date DATE,
+  end_date DATE,
+  amount_cents INTEGER NOT NULL CHECK (amount_cents > 0),
+  per_person BOOLEAN NOT NULL DEFAULT true,
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT deposit_rules_criteria_check CHECK (min_party IS NOT NULL OR start_date IS NOT NULL),
+  CONSTRAINT deposit_rules_period_check CHECK (
+    (start_date IS NULL AND end_date IS NULL) OR
+    (start_date IS NOT NULL AND end_date IS NOT NULL AND end_date >= start_date)
+  )
+);
+
+-- Conservé si la réservation est supprimée (trace comptable)
+CREATE TABLE IF NOT EXISTS reservation_payments (
+  id SERIAL PRIMARY KEY,
+  reservation_id INTEGER REFERENCES reservations(id) ON DELETE SET NULL,
+  deposit_rule_id INTEGER REFERENCES deposit_rules(id) ON DELETE SET NULL,
+  kind VARCHAR(20) NOT NULL CHECK (kind IN ('deposit', 'card_hold')),
+  amount_cents INTEGER NOT NULL CHECK (amount_cents > 0),
+  currency VARCHAR(3) NOT NULL DEFAULT 'EUR',
+  status VARCHAR(20) NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'processing', 'failed', 'paid', 'authorized',
+                      'refunded', 'released', 'kept', 'captured', 'cancelled')),
+  provider VARCHAR(30),
+  provider_payment_id VARCHAR(255),
+  last_error TEXT,
+  expires_at TIMESTAMP NOT NULL,
+  paid_at TIMESTAMP,
+  settled_at TIMESTAMP,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_reservation_payments_reservation
+  ON reservation_payments(reservation_id);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_reservation_payments_provider_payment
+  ON reservation_payments(provider_payment_id)
+  WHERE provider_payment_id IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_reservation_payments_expiry
+  ON reservation_payments(expires_at)
+  WHERE status IN ('pending', 'failed');
+
+INSERT INTO deposit_rules (name, kind, min_party, amount_cents, per_person)
+SELECT 'Groupes de 8 personnes et plus', 'deposit', 8, 2000, true
+WHERE NOT EXISTS (SELECT 1 FROM deposit_rules);
@@ -0,0 +1,31 @@
+-- backend/database/migrations/016_cancellation_policies.sql
+-- Politiques d'annulation : délai limite, annulation tardive et suppression par le client
+
+-- La politique la plus précise s'applique : période d'abord, puis taille de groupe, puis politique générale
+CREATE TABLE IF NOT EXISTS cancellation_policies (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  min_party INTEGER CHECK (min_party >= 1),
+  max_party INTEGER CHECK (max_party >= 1),
+  start_date DATE,
+  end_date DATE,
+  cutoff_hours INTEGER NOT NULL DEFAULT 2 CHECK (cutoff_hours >= 0),
+  late_cancel_hours INTEGER NOT NULL DEFAULT 24 CHECK (late_cancel_hours >= 0),
+  late_cancel_penalty BOOLEAN NOT NULL DEFAULT true,
+  allow_customer_delete BOOLEAN NOT NULL DEFAULT true,
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT cancellation_policies_party_check CHECK (
+    min_party IS NULL OR max_party IS NULL OR max_party >= min_party
+  ),
+  CONSTRAINT cancellation_policies_period_check CHECK (
+    (start_date IS NULL AND end_date IS NULL) OR
+    (start_date IS NOT NULL AND end_date IS NOT NULL AND end_date >= start_date)
+  )
+);
+
+-- Reprend les délais codés jusqu'ici (2h pour annuler, 24h pour une annulation tardive)
+INSERT INTO cancellation_policies (name, cutoff_hours, late_cancel_hours, late_cancel_penalty, allow_customer_delete)
+SELECT 'Politique générale', 2, 24, true, true
+WHERE NOT EXISTS (SELECT 1 FROM cancellation_policies);
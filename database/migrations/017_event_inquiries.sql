@@ -0,0 +1,77 @@
+-- backend/database/migrations/017_event_inquiries.sql
+-- Privatisations et repas de groupe : demandes, devis et blocage de la capacité d'un service
+
+CREATE TABLE IF NOT EXISTS event_inquiries (
+  id SERIAL PRIMARY KEY,
+  user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  firstname VARCHAR(100) NOT NULL,
+  lastname VARCHAR(100) NOT NULL,
+  email VARCHAR(255) NOT NULL,
+  phone VARCHAR(30),
+  company VARCHAR(150),
+  event_type VARCHAR(20) NOT NULL CHECK (event_type IN ('birthday', 'company', 'buyout', 'other')),
+  event_date DATE NOT NULL,
+  service VARCHAR(20) NOT NULL,
+  headcount INTEGER NOT NULL CHECK (headcount >= 1),
+  budget_cents INTEGER CHECK (budget_cents >= 0),
+  menu_id INTEGER REFERENCES menus(id_menu) ON DELETE SET NULL,
+  message TEXT,
+  status VARCHAR(20) NOT NULL DEFAULT 'new'
+    CHECK (status IN ('new', 'quoted', 'accepted', 'declined', 'cancelled')),
+  access_token VARCHAR(64) NOT NULL UNIQUE,  -- lien de suivi envoyé au demandeur
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_event_inquiries_status_date
+  ON event_inquiries(status, event_date);
+
+-- block_type : 'seats' retire des couverts, 'zone' réserve une salle, 'buyout' privatise le service
+CREATE TABLE IF NOT EXISTS event_quotes (
+  id SERIAL PRIMARY KEY,
+  inquiry_id INTEGER NOT NULL REFERENCES event_inquiries(id) ON DELETE CASCADE,
+  amount_cents INTEGER NOT NULL CHECK (amount_cents >= 0),
+  headcount INTEGER NOT NULL CHECK (headcount >= 1),
+  menu_id INTEGER REFERENCES menus(id_menu) ON DELETE SET NULL,
+  block_type VARCHAR(20) NOT NULL CHECK (block_type IN ('seats', 'zone', 'buyout')),
+  zone VARCHAR(20),
+  notes TEXT,
+  valid_until DATE NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'sent'
+    CHECK (status IN ('sent', 'accepted', 'declined', 'withdrawn')),
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  responded_at TIMESTAMP,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  CHECK (block_type <> 'zone' OR zone IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_event_quotes_inquiry ON event_quotes(inquiry_id);
+
+-- Capacité retirée aux réservations classiques pour un service donné
+CREATE TABLE IF NOT EXISTS capacity_blocks (
+  id SERIAL PRIMARY KEY,
+  block_date DATE NOT NULL,
+  service VARCHAR(20) NOT NULL,
+  seats INTEGER NOT NULL DEFAULT 0 CHECK (seats >= 0),
+  zone VARCHAR(20),                        -- tables de cette zone indisponibles
+  is_buyout BOOLEAN NOT NULL DEFAULT false, -- service entier fermé aux réservations
+  reason TEXT,
+  event_inquiry_id INTEGER REFERENCES event_inquiries(id) ON DELETE CASCADE,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_capacity_blocks_date ON capacity_blocks(block_date, service);
+
+-- Messages liés à une demande (devis envoyé...)
+ALTER TABLE notification_outbox ADD COLUMN IF NOT EXISTS event_inquiry_id INTEGER
+  REFERENCES event_inquiries(id) ON DELETE SET NULL;
+
+INSERT INTO notification_templates (event, channel, subject, body) VALUES
+  ('event_quote_sent', 'email',
+   'Votre devis pour le {{date}} - {{restaurant_name}}',
+   E'Bonjour {{firstname}},\n\nMerci pour votre demande. Voici notre proposition pour {{people}} personne(s) le {{date}} : {{amount}}.\n{{notes}}\n\nCe devis est valable jusqu\'au {{valid_until}}. Pour l\'accepter ou le refuser : {{inquiry_link}}\n\nÀ bientôt,\n{{restaurant_name}}'),
+  ('event_quote_accepted', 'email',
+   'Votre événement du {{date}} est confirmé - {{restaurant_name}}',
+   E'Bonjour {{firstname}},\n\nNous avons bien reçu votre accord sur le devis ({{amount}}) : nous vous attendons le {{date}} pour {{people}} personne(s).\n\nSuivi de votre demande : {{inquiry_link}}\n\nÀ bientôt,\n{{restaurant_name}}')
+ON CONFLICT (event, channel) DO NOTHING;
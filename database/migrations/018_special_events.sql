@@ -0,0 +1,46 @@
+-- backend/database/migrations/018_special_events.sql
+-- Soirées à thème (accords mets-vins, table du chef) : menu imposé, prix par place et jauge
+
+CREATE TABLE IF NOT EXISTS special_events (
+  id SERIAL PRIMARY KEY,
+  title VARCHAR(150) NOT NULL,
+  description TEXT,
+  event_date DATE NOT NULL,
+  start_time TIME NOT NULL,
+  service VARCHAR(20) NOT NULL,               -- déduit de l'heure de début
+  menu_id INTEGER REFERENCES menus(id_menu) ON DELETE SET NULL,
+  ticket_price_cents INTEGER NOT NULL CHECK (ticket_price_cents >= 0),
+  seat_limit INTEGER NOT NULL CHECK (seat_limit >= 1),
+  zone VARCHAR(20),                           -- salle dédiée, fermée aux réservations classiques
+  status VARCHAR(20) NOT NULL DEFAULT 'scheduled'
+    CHECK (status IN ('scheduled', 'cancelled')),
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_special_events_date ON special_events(event_date, status);
+
+CREATE TABLE IF NOT EXISTS special_event_bookings (
+  id SERIAL PRIMARY KEY,
+  event_id INTEGER NOT NULL REFERENCES special_events(id) ON DELETE CASCADE,
+  user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  firstname VARCHAR(100) NOT NULL,
+  lastname VARCHAR(100) NOT NULL,
+  email VARCHAR(255) NOT NULL,
+  phone VARCHAR(30),
+  seats INTEGER NOT NULL CHECK (seats >= 1),
+  amount_cents INTEGER NOT NULL CHECK (amount_cents >= 0),  -- prix de la place au moment de la réservation
+  status VARCHAR(20) NOT NULL DEFAULT 'confirmed'
+    CHECK (status IN ('confirmed', 'cancelled')),
+  access_token VARCHAR(64) NOT NULL UNIQUE,   -- lien d'annulation des invités sans compte
+  cancelled_at TIMESTAMP,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_special_event_bookings_event
+  ON special_event_bookings(event_id, status);
+
+-- La jauge d'une soirée est retirée à la capacité du service tant qu'elle n'est pas annulée
+ALTER TABLE capacity_blocks ADD COLUMN IF NOT EXISTS special_event_id INTEGER
+  REFERENCES special_events(id) ON DELETE CASCADE;
@@ -0,0 +1,20 @@
+-- backend/database/migrations/019_menu_choice_groups.sql
+-- Composition des menus : groupes de choix ("une entrée au choix parmi trois")
+
+CREATE TABLE IF NOT EXISTS menu_choice_groups (
+  id SERIAL PRIMARY KEY,
+  menu_id INTEGER NOT NULL REFERENCES menus(id_menu) ON DELETE CASCADE,
+  label VARCHAR(100) NOT NULL,                 -- "Entrée au choix"
+  course_order INTEGER NOT NULL DEFAULT 0,
+  min_choices INTEGER NOT NULL DEFAULT 1 CHECK (min_choices >= 0),
+  max_choices INTEGER NOT NULL DEFAULT 1 CHECK (max_choices >= 1),
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT menu_choice_groups_choices_check CHECK (max_choices >= min_choices)
+);
+
+CREATE INDEX IF NOT EXISTS idx_menu_choice_groups_menu ON menu_choice_groups(menu_id);
+
+-- Un plat sans groupe est servi d'office (ou en supplément s'il est optionnel)
+ALTER TABLE menu_dishes ADD COLUMN IF NOT EXISTS choice_group_id INTEGER
+  REFERENCES menu_choice_groups(id) ON DELETE SET NULL;
@@ -0,0 +1,20 @@
+-- backend/database/migrations/020_menu_schedules.sql
+-- Horaires des menus : jours de la semaine, service et plage horaire où chaque menu est proposé
+
+-- Un menu sans horaire est proposé à tous les services ouverts.
+-- Avec des horaires, il ne l'est que lorsqu'au moins une ligne correspond.
+CREATE TABLE IF NOT EXISTS menu_schedules (
+  id SERIAL PRIMARY KEY,
+  menu_id INTEGER NOT NULL REFERENCES menus(id_menu) ON DELETE CASCADE,
+  day_of_week INTEGER CHECK (day_of_week BETWEEN 0 AND 6),  -- NULL = tous les jours, 0 = dimanche
+  service VARCHAR(20),                                       -- NULL = tous les services
+  start_time TIME,                                           -- NULL = tout le service
+  end_time TIME,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT menu_schedules_time_check CHECK (
+    (start_time IS NULL AND end_time IS NULL) OR
+    (start_time IS NOT NULL AND end_time IS NOT NULL AND end_time > start_time)
+  )
+);
+
+CREATE INDEX IF NOT EXISTS idx_menu_schedules_menu ON menu_schedules(menu_id);
@@ -0,0 +1,19 @@
+-- backend/database/migrations/021_menu_card_versions.sql
+-- Versions publiées de la carte : les tables menus, plats et catégories servent de brouillon,
+-- le site ne lit que la dernière version publiée
+
+CREATE TABLE IF NOT EXISTS menu_card_versions (
+  id SERIAL PRIMARY KEY,
+  version_number INTEGER NOT NULL UNIQUE,
+  status VARCHAR(20) NOT NULL DEFAULT 'published'
+    CHECK (status IN ('published', 'archived')),
+  snapshot JSONB NOT NULL,                     -- { menus, dishes, categories } au moment de la publication
+  note TEXT,
+  restored_from INTEGER REFERENCES menu_card_versions(id) ON DELETE SET NULL,  -- retour arrière
+  published_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  published_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Une seule version en ligne à la fois
+CREATE UNIQUE INDEX IF NOT EXISTS idx_menu_card_versions_published
+  ON menu_card_versions(status) WHERE status = 'published';
@@ -0,0 +1,13 @@
+-- backend/database/migrations/022_waitlist_offer_notifications.sql
+-- Offres de la liste d'attente : le client est prévenu par email (et SMS s'il l'a accepté)
+
+ALTER TABLE notification_outbox ADD COLUMN IF NOT EXISTS waitlist_entry_id INTEGER
+  REFERENCES waitlist_entries(id) ON DELETE SET NULL;
+
+INSERT INTO notification_templates (event, channel, subject, body) VALUES
+  ('waitlist_offer', 'email',
+   'Une table se libère le {{date}} - {{restaurant_name}}',
+   E'Bonjour {{firstname}},\n\nUne table pour {{people}} personne(s) s\'est libérée le {{date}} à {{time}}.\nElle vous est réservée jusqu\'à {{expires_at}} : connectez-vous à votre compte pour accepter l\'offre.\nPassé ce délai, elle sera proposée au client suivant.\n\nÀ bientôt,\n{{restaurant_name}}'),
+  ('waitlist_offer', 'sms', NULL,
+   '{{restaurant_name}} : une table pour {{people}} se libère le {{short_date}} à {{time}}. Acceptez-la depuis votre compte avant {{expires_at}}.')
+ON CONFLICT (event, channel) DO NOTHING;
@@ -0,0 +1,11 @@
+-- backend/database/migrations/023_email_verification.sql
+-- Vérification de l'adresse email : les réservations invitées ne sont rattachées
+-- à un compte qu'après un clic sur le lien envoyé à cette adresse
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS email_verified BOOLEAN NOT NULL DEFAULT false;
+
+INSERT INTO notification_templates (event, channel, subject, body) VALUES
+  ('email_verification', 'email',
+   'Confirmez votre adresse email - {{restaurant_name}}',
+   E'Bonjour {{firstname}},\n\nVous avez déjà réservé chez nous avec cette adresse. Pour retrouver ces réservations dans votre compte, confirmez qu\'elle vous appartient :\n{{verification_link}}\n\nCe lien est valable 7 jours. Si vous n\'avez pas créé de compte, ignorez simplement cet email.\n\n{{restaurant_name}}')
+ON CONFLICT (event, channel) DO NOTHING;
@@ -0,0 +1,11 @@
+-- backend/database/migrations/024_published_menus.sql
+-- Menus de la carte publiée, pour les jointures (soirées, demandes d'événement) :
+-- le titre affiché est celui que le site montre, pas celui du brouillon
+
+CREATE OR REPLACE VIEW published_menus AS
+  SELECT (menu->>'id_menu')::integer as id_menu,
+         menu->>'title' as title,
+         menu->>'description' as description
+  FROM menu_card_versions v
+  CROSS JOIN LATERAL jsonb_array_elements(v.snapshot->'menus') as menu
+  WHERE v.status = 'published';
@@ -3,6 +3,13 @@ const express = require('express');
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
 const router = express.Router();
+const { withTransaction } = require('../database/db');
+const {
+  verifyEmailVerificationToken,
+  countGuestReservations,
+  attachGuestReservations
+} = require('../services/guestReservations');
+const { enqueueEmailVerification } = require('../services/notifications');
 
 // ============================================
 // CONFIGURATION JWT
@@ -159,20 +166,28 @@ router.post('/register', async (req, res) => {
     const passwordHash = await bcrypt.hash(password, saltRounds);
     
     // Créer l'utilisateur
-    const result = await pool.query(
-      `INSERT INTO users (firstname, lastname, email, password_hash, role) 
-       VALUES ($1, $2, $3, $4, $5) 
-       RETURNING id, firstname, lastname, email, role, created_at`,
-      [
-        firstname.trim(),
-        lastname.trim(),
-        email.toLowerCase(),
-        passwordHash,
-        'user'
-      ]
-    );
-    
-    const newUser = result.rows[0];
+    const { newUser, guestReservations } = await withTransaction(async (client) => {
+      const result = await client.query(
+        `INSERT INTO users (firstname, lastname, email, password_hash, role) 
+         VALUES ($1, $2, $3, $4, $5) 
+         RETURNING id, firstname, lastname, email, role, created_at`,
+        [
+          firstname.trim(),
+          lastname.trim(),
+          email.toLowerCase(),
+          passwordHash,
+          'user'
+        ]
+      );
+
+      // Réservations faites sans compte avec le même email : rattachées après vérification de l'adresse
+      const count = await countGuestReservations(client, result.rows[0].email);
+      if (count > 0) {
+        await enqueueEmailVerification(client, result.rows[0]);
+      }
+
+      return { newUser: result.rows[0], guestReservations: count };
+    });
     
     // Générer le token JWT
     const token = generateToken(newUser);
@@ -190,7 +205,11 @@ router.post('/register', async (req, res) => {
         email: newUser.email,
         role: newUser.role,
         createdAt: newUser.created_at
-      }
+      },
+      pending_guest_reservations: guestReservations,
+      ...(guestReservations > 0 && {
+        notice: 'Confirmez votre adresse email pour retrouver vos réservations dans votre compte'
+      })
     });
     
   } catch (error) {
@@ -309,6 +328,93 @@ router.post('/logout', requireAuth, (req, res) => {
   });
 });
 
+/**
+ * POST /auth/verify-email
+ * Confirmer l'adresse email (lien envoyé par email) et rattacher les réservations invitées
+ */
+router.post('/verify-email', async (req, res) => {
+  const { token } = req.body;
+
+  try {
+    const decoded = token ? verifyEmailVerificationToken(token) : null;
+
+    if (!decoded) {
+      return res.status(400).json({ 
+        error: 'Lien de vérification invalide ou expiré' 
+      });
+    }
+
+    const attached = await withTransaction(async (client) => {
+      // L'adresse a pu changer depuis l'envoi du lien
+      const result = await client.query(
+        `UPDATE users SET email_verified = true 
+         WHERE id = $1 AND LOWER(email) = LOWER($2) 
+         RETURNING id, email`,
+        [decoded.userId, decoded.email]
+      );
+
+      return result.rows[0] ? attachGuestReservations(client, result.rows[0]) : null;
+    });
+
+    if (!attached) {
+      return res.status(400).json({ 
+        error: 'Lien de vérification invalide ou expiré' 
+      });
+    }
+
+    if (attached.length > 0) {
+      console.log(`🔗 ${attached.length} réservation(s) invitée(s) rattachée(s) à ${decoded.email}`);
+    }
+
+    res.json({
+      message: 'Adresse email confirmée',
+      attached_reservations: attached.length
+    });
+    
+  } catch (error) {
+    console.error('❌ Erreur vérification email:', error);
+    res.status(500).json({ 
+      error: 'Erreur lors de la vérification de l\'email' 
+    });
+  }
+});
+
+/**
+ * POST /auth/verify-email/resend
+ * Renvoyer le lien de vérification de l'email
+ */
+router.post('/verify-email/resend', requireAuth, async (req, res) => {
+  const pool = req.app.locals.pool;
+  
+  try {
+    const result = await pool.query(
+      'SELECT id, firstname, lastname, email, email_verified FROM users WHERE id = $1',
+      [req.userId]
+    );
+    const user = result.rows[0];
+    
+    if (!user) {
+      return res.status(404).json({ error: 'Utilisateur non trouvé' });
+    }
+    
+    if (user.email_verified) {
+      return res.status(400).json({ error: 'Adresse email déjà confirmée' });
+    }
+    
+    await enqueueEmailVerification(pool, user);
+    
+    res.json({
+      message: 'Lien de vérification envoyé'
+    });
+    
+  } catch (error) {
+    console.error('❌ Erreur renvoi vérification email:', error);
+    res.status(500).json({ 
+      error: 'Erreur lors de l\'envoi du lien' 
+    });
+  }
+});
+
 /**
  * GET /auth/me
  * Récupérer l'utilisateur connecté
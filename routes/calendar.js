@@ -0,0 +1,163 @@
+// backend/routes/calendar.js - Flux iCal (jeton secret dans l'URL)
+const express = require('express');
+const crypto = require('crypto');
+const router = express.Router();
+const { requireAuth } = require('../middleware/auths');
+const { getCalendarContext, buildCalendar, buildGuestEvent, buildStaffEvent } = require('../services/ical');
+
+// Période couverte par le flux de l'équipe
+const STAFF_FEED_PAST_DAYS = 7;
+const STAFF_FEED_FUTURE_DAYS = 90;
+
+const generateCalendarToken = () => crypto.randomBytes(24).toString('hex');
+
+const getFeedUrls = (req, user) => {
+  const baseUrl = process.env.API_URL || `${req.protocol}://${req.get('host')}`;
+  return {
+    reservations: `${baseUrl}/calendar/${user.calendar_token}/reservations.ics`,
+    ...(['admin', 'staff'].includes(user.role) && {
+      service: `${baseUrl}/calendar/${user.calendar_token}/service.ics`
+    })
+  };
+};
+
+const findUserByToken = async (pool, token) => {
+  const result = await pool.query(
+    'SELECT id, role, is_active FROM users WHERE calendar_token = $1',
+    [token]
+  );
+  const user = result.rows[0];
+  return user && user.is_active !== false ? user : null;
+};
+
+const sendCalendar = (res, filename, content) => {
+  res.set('Content-Type', 'text/calendar; charset=utf-8');
+  res.set('Content-Disposition', `inline; filename="${filename}"`);
+  res.send(content);
+};
+
+// GET /calendar/feeds - URLs de mes flux iCal (JWT AUTH)
+router.get('/feeds', requireAuth, async (req, res) => {
+  const pool = req.app.locals.pool;
+
+  try {
+    // Jeton créé au premier appel
+    const result = await pool.query(
+      `UPDATE users SET calendar_token = COALESCE(calendar_token, $1)
+       WHERE id = $2
+       RETURNING calendar_token, role`,
+      [generateCalendarToken(), req.userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Utilisateur non trouvé' });
+    }
+
+    res.json({
+      success: true,
+      feeds: getFeedUrls(req, result.rows[0])
+    });
+  } catch (error) {
+    console.error('❌ Erreur GET /calendar/feeds:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// POST /calendar/feeds/reset - Révoquer les anciennes URLs (JWT AUTH)
+router.post('/feeds/reset', requireAuth, async (req, res) => {
+  const pool = req.app.locals.pool;
+
+  try {
+    const result = await pool.query(
+      'UPDATE users SET calendar_token = $1 WHERE id = $2 RETURNING calendar_token, role',
+      [generateCalendarToken(), req.userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Utilisateur non trouvé' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Nouvelles URLs générées, les anciennes ne fonctionnent plus',
+      feeds: getFeedUrls(req, result.rows[0])
+    });
+  } catch (error) {
+    console.error('❌ Erreur POST /calendar/feeds/reset:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// GET /calendar/:token/reservations.ics - Mes réservations à venir (JETON)
+router.get('/:token/reservations.ics', async (req, res) => {
+  const pool = req.app.locals.pool;
+
+  try {
+    const user = await findUserByToken(pool, req.params.token);
+
+    if (!user) {
+      return res.status(404).json({ error: 'Flux non trouvé' });
+    }
+
+    const reservations = await pool.query(
+      `SELECT * FROM reservations
+       WHERE user_id = $1
+       AND reservation_date >= CURRENT_DATE
+       AND status IN ('pending', 'confirmed', 'seated')
+       ORDER BY reservation_date ASC, reservation_time ASC`,
+      [user.id]
+    );
+
+    const context = await getCalendarContext(pool);
+    const events = reservations.rows.map(reservation => buildGuestEvent(reservation, context));
+
+    sendCalendar(res, 'reservations.ics', buildCalendar(`Mes réservations - ${context.restaurantName}`, events));
+  } catch (error) {
+    console.error('❌ Erreur GET /calendar/:token/reservations.ics:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// GET /calendar/:token/service.ics - Réservations confirmées du restaurant (JETON STAFF)
+router.get('/:token/service.ics', async (req, res) => {
+  const pool = req.app.locals.pool;
+
+  try {
+    const user = await findUserByToken(pool, req.params.token);
+
+    // Le rôle est vérifié à chaque lecture : un ancien membre de l'équipe perd l'accès
+    if (!user || !['admin', 'staff'].includes(user.role)) {
+      return res.status(404).json({ error: 'Flux non trouvé' });
+    }
+
+    const reservations = await pool.query(
+      `SELECT r.*,
+              COALESCE(u.firstname, r.guest_firstname) as firstname,
+              COALESCE(u.lastname, r.guest_lastname) as lastname,
+              COALESCE(u.phone, r.guest_phone) as phone,
+              COALESCE(
+                (SELECT json_agg(t.label ORDER BY t.label)
+                 FROM reservation_tables rt
+                 JOIN restaurant_tables t ON t.id = rt.table_id
+                 WHERE rt.reservation_id = r.id),
+                '[]'
+              ) as tables
+       FROM reservations r
+       LEFT JOIN users u ON u.id = r.user_id
+       WHERE r.status IN ('confirmed', 'seated', 'completed')
+       AND r.reservation_date BETWEEN CURRENT_DATE - $1::integer AND CURRENT_DATE + $2::integer
+       ORDER BY r.reservation_date ASC, r.reservation_time ASC`,
+      [STAFF_FEED_PAST_DAYS, STAFF_FEED_FUTURE_DAYS]
+    );
+
+    const context = await getCalendarContext(pool);
+    const events = reservations.rows.map(buildStaffEvent);
+
+    sendCalendar(res, 'service.ics', buildCalendar(`Réservations - ${context.restaurantName}`, events));
+  } catch (error) {
+    console.error('❌ Erreur GET /calendar/:token/service.ics:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+module.exports = router;
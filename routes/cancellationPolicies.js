@@ -0,0 +1,214 @@
+// backend/routes/cancellationPolicies.js - VERSION JWT
+const express = require('express');
+const router = express.Router();
+const { requireAdmin } = require('../middleware/auths');
+
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+const isPositiveOrNull = (value, min) => value === undefined || value === null || parseInt(value) >= min;
+
+const validatePolicy = (body, partial = false) => {
+  const { name, min_party, max_party, start_date, end_date, cutoff_hours, late_cancel_hours } = body;
+
+  if (!partial && !name) {
+    return 'Nom de la politique requis';
+  }
+
+  if (!isPositiveOrNull(min_party, 1) || !isPositiveOrNull(max_party, 1)) {
+    return 'La taille de groupe doit être au moins 1';
+  }
+
+  if (min_party && max_party && parseInt(max_party) < parseInt(min_party)) {
+    return 'La taille maximale doit être supérieure à la taille minimale';
+  }
+
+  if ((start_date === undefined) !== (end_date === undefined)) {
+    return 'La période demande une date de début et une date de fin';
+  }
+
+  if (start_date) {
+    if (!DATE_REGEX.test(start_date) || !DATE_REGEX.test(end_date) || end_date < start_date) {
+      return 'Période invalide (YYYY-MM-DD)';
+    }
+  }
+
+  if (!isPositiveOrNull(cutoff_hours, 0) || !isPositiveOrNull(late_cancel_hours, 0)) {
+    return 'Les délais doivent être positifs (en heures)';
+  }
+
+  return null;
+};
+
+// GET /cancellation-policies - Politiques d'annulation (ADMIN JWT)
+router.get('/', requireAdmin, async (req, res) => {
+  const pool = req.app.locals.pool;
+
+  try {
+    const result = await pool.query(
+      `SELECT * FROM cancellation_policies
+       ORDER BY is_active DESC, start_date ASC NULLS FIRST, min_party ASC NULLS FIRST, id ASC`
+    );
+
+    res.json({
+      success: true,
+      policies: result.rows
+    });
+  } catch (error) {
+    console.error('❌ Erreur GET /cancellation-policies:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// POST /cancellation-policies - Créer une politique (ADMIN JWT)
+router.post('/', requireAdmin, async (req, res) => {
+  const pool = req.app.locals.pool;
+
+  try {
+    const validationError = validatePolicy(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const {
+      name,
+      min_party,
+      max_party,
+      start_date,
+      end_date,
+      cutoff_hours,
+      late_cancel_hours,
+      late_cancel_penalty,
+      allow_customer_delete,
+      is_active
+    } = req.body;
+
+    const result = await pool.query(`
+      INSERT INTO cancellation_policies
+        (name, min_party, max_party, start_date, end_date, cutoff_hours, late_cancel_hours,
+         late_cancel_penalty, allow_customer_delete, is_active)
+      VALUES ($1, $2, $3, $4, $5, COALESCE($6, 2), COALESCE($7, 24),
+              COALESCE($8, true), COALESCE($9, true), COALESCE($10, true))
+      RETURNING *
+    `, [
+      name,
+      min_party || null,
+      max_party || null,
+      start_date || null,
+      end_date || null,
+      cutoff_hours,
+      late_cancel_hours,
+      late_cancel_penalty,
+      allow_customer_delete,
+      is_active
+    ]);
+
+    res.status(201).json({
+      success: true,
+      message: 'Politique créée avec succès',
+      policy: result.rows[0]
+    });
+  } catch (error) {
+    console.error('❌ Erreur POST /cancellation-policies:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// PUT /cancellation-policies/:id - Mettre à jour une politique (ADMIN JWT)
+router.put('/:id', requireAdmin, async (req, res) => {
+  const pool = req.app.locals.pool;
+
+  try {
+    const validationError = validatePolicy(req.body, true);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const {
+      name,
+      min_party,
+      max_party,
+      start_date,
+      end_date,
+      cutoff_hours,
+      late_cancel_hours,
+      late_cancel_penalty,
+      allow_customer_delete,
+      is_active
+    } = req.body;
+
+    const result = await pool.query(`
+      UPDATE cancellation_policies SET
+        name = COALESCE($1, name),
+        min_party = CASE WHEN $2::boolean THEN $3 ELSE min_party END,
+        max_party = CASE WHEN $4::boolean THEN $5 ELSE max_party END,
+        start_date = CASE WHEN $6::boolean THEN $7::date ELSE start_date END,
+        end_date = CASE WHEN $6::boolean THEN $8::date ELSE end_date END,
+        cutoff_hours = COALESCE($9, cutoff_hours),
+        late_cancel_hours = COALESCE($10, late_cancel_hours),
+        late_cancel_penalty = COALESCE($11, late_cancel_penalty),
+        allow_customer_delete = COALESCE($12, allow_customer_delete),
+        is_active = COALESCE($13, is_active),
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = $14
+      RETURNING *
+    `, [
+      name,
+      min_party !== undefined,
+      min_party || null,
+      max_party !== undefined,
+      max_party || null,
+      start_date !== undefined,
+      start_date || null,
+      end_date || null,
+      cutoff_hours,
+      late_cancel_hours,
+      late_cancel_penalty,
+      allow_customer_delete,
+      is_active,
+      req.params.id
+    ]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Politique non trouvée' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Politique mise à jour avec succès',
+      policy: result.rows[0]
+    });
+  } catch (error) {
+    // Taille maximale inférieure à la taille minimale déjà enregistrée
+    if (error.code === '23514') {
+      return res.status(400).json({ error: 'La taille maximale doit être supérieure à la taille minimale' });
+    }
+    console.error('❌ Erreur PUT /cancellation-policies/:id:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// DELETE /cancellation-policies/:id - Supprimer une politique (ADMIN JWT)
+router.delete('/:id', requireAdmin, async (req, res) => {
+  const pool = req.app.locals.pool;
+
+  try {
+    const result = await pool.query(
+      'DELETE FROM cancellation_policies WHERE id = $1 RETURNING id',
+      [req.params.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Politique non trouvée' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Politique supprimée avec succès'
+    });
+  } catch (error) {
+    console.error('❌ Erreur DELETE /cancellation-policies/:id:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+module.exports = router;
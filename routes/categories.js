@@ -2,32 +2,24 @@
 const express = require('express');
 const router = express.Router();
 const { requireAuth, requireAdmin } = require('../middleware/auths');
+const { getPublicCard, selectDishes, selectCategories } = require('../services/menuCard');
 
-// Récupérer toutes les catégories avec comptage de plats (PUBLIC)
+// Récupérer toutes les catégories de la carte publiée avec comptage de plats (PUBLIC)
 router.get('/', async (req, res) => {
   const pool = req.app.locals.pool;
   
   try {
     const { limit = 50 } = req.query;
 
-    const result = await pool.query(`
-      SELECT 
-        c.*,
-        COUNT(CASE WHEN d.is_available = true THEN 1 END) as dish_count
-      FROM categories c
-      LEFT JOIN dishes d ON c.id_category = d.category_id
-      GROUP BY c.id_category
-      ORDER BY c.display_order ASC, dish_count DESC
-      LIMIT $1
-    `, [parseInt(limit)]);
-
-    const totalResult = await pool.query('SELECT COUNT(*) as total FROM categories');
-    const total = parseInt(totalResult.rows[0].total);
+    const card = await getPublicCard(pool);
+    const categories = selectCategories(card)
+      .sort((a, b) => a.display_order - b.display_order || b.dish_count - a.dish_count)
+      .slice(0, parseInt(limit));
 
     res.json({
       success: true,
-      categories: result.rows,
-      total
+      categories,
+      total: card.categories.length
     });
   } catch (error) {
     console.error('❌ Erreur GET /categories:', error);
@@ -35,28 +27,21 @@ router.get('/', async (req, res) => {
   }
 });
 
-// Récupérer une catégorie par ID (PUBLIC)
+// Récupérer une catégorie de la carte publiée par ID (PUBLIC)
 router.get('/:id', async (req, res) => {
   const pool = req.app.locals.pool;
   
   try {
-    const result = await pool.query(`
-      SELECT 
-        c.*,
-        COUNT(CASE WHEN d.is_available = true THEN 1 END) as dish_count
-      FROM categories c
-      LEFT JOIN dishes d ON c.id_category = d.category_id
-      WHERE c.id_category = $1
-      GROUP BY c.id_category
-    `, [req.params.id]);
+    const card = await getPublicCard(pool);
+    const category = selectCategories(card).find(c => c.id_category === Number(req.params.id));
 
-    if (result.rows.length === 0) {
+    if (!category) {
       return res.status(404).json({ error: 'Catégorie non trouvée' });
     }
 
     res.json({
       success: true,
-      category: result.rows[0]
+      category
     });
   } catch (error) {
     console.error('❌ Erreur GET /categories/:id:', error);
@@ -64,25 +49,16 @@ router.get('/:id', async (req, res) => {
   }
 });
 
-// Récupérer les plats d'une catégorie (PUBLIC)
+// Récupérer les plats d'une catégorie de la carte publiée (PUBLIC)
 router.get('/:id/dishes', async (req, res) => {
   const pool = req.app.locals.pool;
   
   try {
-    const result = await pool.query(`
-      SELECT 
-        d.*,
-        c.name as category_name,
-        c.icon as category_icon
-      FROM dishes d
-      LEFT JOIN categories c ON d.category_id = c.id_category
-      WHERE d.category_id = $1 AND d.is_available = true
-      ORDER BY d.name ASC
-    `, [req.params.id]);
+    const card = await getPublicCard(pool);
 
     res.json({ 
       success: true,
-      dishes: result.rows 
+      dishes: selectDishes(card, { categoryId: Number(req.params.id), sortByName: true })
     });
   } catch (error) {
     console.error('❌ Erreur GET /categories/:id/dishes:', error);
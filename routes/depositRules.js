@@ -0,0 +1,175 @@
+// backend/routes/depositRules.js - VERSION JWT
+const express = require('express');
+const router = express.Router();
+const { requireAdmin } = require('../middleware/auths');
+
+const KINDS = ['deposit', 'card_hold'];
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+const validateRule = (body, partial = false) => {
+  const { name, kind, min_party, start_date, end_date, amount_cents } = body;
+
+  if (!partial && (!name || !kind || !amount_cents)) {
+    return 'Nom, type de garantie et montant requis';
+  }
+
+  if (!partial && !min_party && !start_date) {
+    return 'Indiquer une taille de groupe minimale et/ou une période';
+  }
+
+  if (kind !== undefined && !KINDS.includes(kind)) {
+    return `Type de garantie invalide (${KINDS.join(', ')})`;
+  }
+
+  if (amount_cents !== undefined && !(parseInt(amount_cents) > 0)) {
+    return 'Le montant doit être positif (en centimes)';
+  }
+
+  if (min_party !== undefined && min_party !== null && !(parseInt(min_party) >= 1)) {
+    return 'La taille de groupe doit être au moins 1';
+  }
+
+  if ((start_date === undefined) !== (end_date === undefined)) {
+    return 'La période demande une date de début et une date de fin';
+  }
+
+  if (start_date) {
+    if (!DATE_REGEX.test(start_date) || !DATE_REGEX.test(end_date) || end_date < start_date) {
+      return 'Période invalide (YYYY-MM-DD)';
+    }
+  }
+
+  return null;
+};
+
+// GET /deposit-rules - Règles de garantie (ADMIN JWT)
+router.get('/', requireAdmin, async (req, res) => {
+  const pool = req.app.locals.pool;
+
+  try {
+    const result = await pool.query(
+      'SELECT * FROM deposit_rules ORDER BY is_active DESC, start_date ASC NULLS FIRST, min_party ASC'
+    );
+
+    res.json({
+      success: true,
+      rules: result.rows
+    });
+  } catch (error) {
+    console.error('❌ Erreur GET /deposit-rules:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// POST /deposit-rules - Créer une règle (ADMIN JWT)
+router.post('/', requireAdmin, async (req, res) => {
+  const pool = req.app.locals.pool;
+
+  try {
+    const validationError = validateRule(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const { name, kind, min_party, start_date, end_date, amount_cents, per_person, is_active } = req.body;
+
+    const result = await pool.query(`
+      INSERT INTO deposit_rules (name, kind, min_party, start_date, end_date, amount_cents, per_person, is_active)
+      VALUES ($1, $2, $3, $4, $5, $6, COALESCE($7, true), COALESCE($8, true))
+      RETURNING *
+    `, [name, kind, min_party || null, start_date || null, end_date || null, amount_cents, per_person, is_active]);
+
+    res.status(201).json({
+      success: true,
+      message: 'Règle créée avec succès',
+      rule: result.rows[0]
+    });
+  } catch (error) {
+    console.error('❌ Erreur POST /deposit-rules:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// PUT /deposit-rules/:id - Mettre à jour une règle (ADMIN JWT)
+router.put('/:id', requireAdmin, async (req, res) => {
+  const pool = req.app.locals.pool;
+
+  try {
+    const validationError = validateRule(req.body, true);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const { name, kind, min_party, start_date, end_date, amount_cents, per_person, is_active } = req.body;
+
+    const result = await pool.query(`
+      UPDATE deposit_rules SET
+        name = COALESCE($1, name),
+        kind = COALESCE($2, kind),
+        min_party = CASE WHEN $3::boolean THEN $4 ELSE min_party END,
+        start_date = CASE WHEN $5::boolean THEN $6::date ELSE start_date END,
+        end_date = CASE WHEN $5::boolean THEN $7::date ELSE end_date END,
+        amount_cents = COALESCE($8, amount_cents),
+        per_person = COALESCE($9, per_person),
+        is_active = COALESCE($10, is_active),
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = $11
+      RETURNING *
+    `, [
+      name,
+      kind,
+      min_party !== undefined,
+      min_party || null,
+      start_date !== undefined,
+      start_date || null,
+      end_date || null,
+      amount_cents,
+      per_person,
+      is_active,
+      req.params.id
+    ]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Règle non trouvée' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Règle mise à jour avec succès',
+      rule: result.rows[0]
+    });
+  } catch (error) {
+    // Règle sans critère (ni taille de groupe ni période)
+    if (error.code === '23514') {
+      return res.status(400).json({ error: 'Indiquer une taille de groupe minimale et/ou une période' });
+    }
+    console.error('❌ Erreur PUT /deposit-rules/:id:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// DELETE /deposit-rules/:id - Supprimer une règle (ADMIN JWT)
+router.delete('/:id', requireAdmin, async (req, res) => {
+  const pool = req.app.locals.pool;
+
+  try {
+    const result = await pool.query(
+      'DELETE FROM deposit_rules WHERE id = $1 RETURNING id',
+      [req.params.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Règle non trouvée' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Règle supprimée avec succès'
+    });
+  } catch (error) {
+    console.error('❌ Erreur DELETE /deposit-rules/:id:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+module.exports = router;
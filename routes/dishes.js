@@ -2,27 +2,19 @@
 const express = require('express');
 const router = express.Router();
 const { requireAdmin } = require('../middleware/auths');
+const { getPublicCard, selectDishes } = require('../services/menuCard');
 
-// GET /dishes - Récupérer tous les plats (PUBLIC)
+// GET /dishes - Récupérer tous les plats de la carte publiée (PUBLIC)
 router.get('/', async (req, res) => {
   try {
     const pool = req.app.locals.pool;
-    
-    const result = await pool.query(`
-      SELECT 
-        d.*,
-        c.name as category_name,
-        c.icon as category_icon
-      FROM dishes d
-      LEFT JOIN categories c ON d.category_id = c.id_category
-      WHERE d.is_available = true
-      ORDER BY c.display_order, d.name
-    `);
+
+    const dishes = selectDishes(await getPublicCard(pool));
 
     res.json({
       success: true,
-      dishes: result.rows,
-      count: result.rows.length
+      dishes,
+      count: dishes.length
     });
   } catch (error) {
     console.error('❌ Erreur GET /dishes:', error);
@@ -30,7 +22,7 @@ router.get('/', async (req, res) => {
   }
 });
 
-// GET /dishes/search - Rechercher des plats (PUBLIC)
+// GET /dishes/search - Rechercher des plats de la carte publiée (PUBLIC)
 router.get('/search', async (req, res) => {
   try {
     const pool = req.app.locals.pool;
@@ -40,25 +32,12 @@ router.get('/search', async (req, res) => {
       return res.status(400).json({ error: 'Paramètre de recherche requis' });
     }
 
-    const result = await pool.query(`
-      SELECT 
-        d.*,
-        c.name as category_name,
-        c.icon as category_icon
-      FROM dishes d
-      LEFT JOIN categories c ON d.category_id = c.id_category
-      WHERE d.is_available = true
-        AND (
-          LOWER(d.name) LIKE LOWER($1)
-          OR LOWER(d.description) LIKE LOWER($1)
-        )
-      ORDER BY d.name
-    `, [`%${q}%`]);
+    const dishes = selectDishes(await getPublicCard(pool), { search: q, sortByName: true });
 
     res.json({
       success: true,
-      dishes: result.rows,
-      count: result.rows.length
+      dishes,
+      count: dishes.length
     });
   } catch (error) {
     console.error('❌ Erreur GET /dishes/search:', error);
@@ -66,29 +45,22 @@ router.get('/search', async (req, res) => {
   }
 });
 
-// GET /dishes/:id - Récupérer un plat par ID (PUBLIC)
+// GET /dishes/:id - Récupérer un plat de la carte publiée par ID (PUBLIC)
 router.get('/:id', async (req, res) => {
   try {
     const pool = req.app.locals.pool;
     const { id } = req.params;
 
-    const result = await pool.query(`
-      SELECT 
-        d.*,
-        c.name as category_name,
-        c.icon as category_icon
-      FROM dishes d
-      LEFT JOIN categories c ON d.category_id = c.id_category
-      WHERE d.id_dish = $1
-    `, [id]);
+    const card = await getPublicCard(pool);
+    const dish = card.dishes.find(d => d.id_dish === Number(id));
 
-    if (result.rows.length === 0) {
+    if (!dish) {
       return res.status(404).json({ error: 'Plat non trouvé' });
     }
 
     res.json({
       success: true,
-      dish: result.rows[0]
+      dish
     });
   } catch (error) {
     console.error('❌ Erreur GET /dishes/:id:', error);
@@ -0,0 +1,566 @@
+// backend/routes/eventInquiries.js - Privatisations et repas de groupe (devis, lien de suivi)
+const express = require('express');
+const router = express.Router();
+const { requireAuth, requireAdmin, optionalAuth } = require('../middleware/auths');
+const { withTransaction } = require('../database/db');
+const { getServicesForDate, toDateString } = require('../services/availability');
+const { getActiveTables } = require('../services/tables');
+const { releaseToWaitlist } = require('../services/waitlist');
+const { enqueueInquiryNotification } = require('../services/notifications');
+const {
+  EVENT_TYPES,
+  INQUIRY_STATUSES,
+  BLOCK_TYPES,
+  createInquiryToken,
+  getInquiryLink,
+  getInquiryByToken,
+  getInquiryDetail,
+  acceptQuote,
+  releaseInquiryBlock
+} = require('../services/eventInquiries');
+
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+// Un devis sans date de validité reste ouvert 14 jours (sans dépasser la date de l'événement)
+const DEFAULT_QUOTE_VALIDITY_DAYS = 14;
+
+const isValidEmail = (email) => {
+  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+  return emailRegex.test(email);
+};
+
+const isPositiveInteger = (value, min) => Number.isInteger(Number(value)) && Number(value) >= min;
+
+const addDays = (date, days) => {
+  const result = new Date(`${toDateString(date)}T12:00:00`);
+  result.setDate(result.getDate() + days);
+  return toDateString(result);
+};
+
+// ============================================
+// MIDDLEWARE - Lien de suivi requis
+// ============================================
+const requireInquiryToken = async (req, res, next) => {
+  const token = req.query.token || (req.body && req.body.token);
+
+  if (!token) {
+    return res.status(401).json({ error: 'Lien de suivi manquant' });
+  }
+
+  const pool = req.app.locals.pool;
+
+  try {
+    const inquiry = await getInquiryByToken(pool, String(token));
+
+    if (!inquiry) {
+      return res.status(404).json({ error: 'Demande non trouvée' });
+    }
+
+    req.inquiry = inquiry;
+    next();
+  } catch (error) {
+    console.error('❌ Erreur vérification lien de suivi:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+};
+
+// Le jeton n'est renvoyé qu'au demandeur, jamais dans les listes de l'équipe
+const toPublicInquiry = ({ access_token, ...inquiry }) => inquiry;
+
+// Annule la demande, retire les devis en attente et libère la capacité ; retourne les blocages libérés
+const cancelInquiry = async (client, inquiry, status = 'cancelled') => {
+  const released = await releaseInquiryBlock(client, inquiry.id);
+
+  await client.query(
+    "UPDATE event_quotes SET status = 'withdrawn' WHERE inquiry_id = $1 AND status = 'sent'",
+    [inquiry.id]
+  );
+
+  await client.query(
+    'UPDATE event_inquiries SET status = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+    [inquiry.id, status]
+  );
+
+  return released;
+};
+
+// ============================================
+// ENVOYER UNE DEMANDE (PUBLIC)
+// ============================================
+router.post('/', optionalAuth, async (req, res) => {
+  const pool = req.app.locals.pool;
+
+  try {
+    const {
+      firstname,
+      lastname,
+      email,
+      phone,
+      company,
+      event_type,
+      event_date,
+      service,
+      headcount,
+      budget_cents,
+      menu_id,
+      message
+    } = req.body;
+
+    if (!firstname || !lastname || !email) {
+      return res.status(400).json({ error: 'Nom, prénom et email requis' });
+    }
+
+    if (!isValidEmail(email)) {
+      return res.status(400).json({ error: 'Email invalide' });
+    }
+
+    if (!EVENT_TYPES.includes(event_type)) {
+      return res.status(400).json({ error: `Type d'événement invalide (${EVENT_TYPES.join(', ')})` });
+    }
+
+    if (!event_date || !DATE_REGEX.test(event_date) || !service || !headcount) {
+      return res.status(400).json({ error: 'Date (YYYY-MM-DD), service et nombre de personnes requis' });
+    }
+
+    if (event_date <= toDateString(new Date())) {
+      return res.status(400).json({ error: 'La date de l\'événement doit être future' });
+    }
+
+    if (!isPositiveInteger(headcount, 1)) {
+      return res.status(400).json({ error: 'Le nombre de personnes doit être au moins 1' });
+    }
+
+    if (budget_cents !== undefined && budget_cents !== null && !isPositiveInteger(budget_cents, 0)) {
+      return res.status(400).json({ error: 'Budget invalide (en centimes)' });
+    }
+
+    const services = await getServicesForDate(pool, event_date);
+    if (!services.some(dayService => dayService.service === service)) {
+      return res.status(400).json({ error: 'Ce service n\'est pas ouvert à cette date' });
+    }
+
+    // Le client choisit parmi les menus de la carte publiée
+    if (menu_id) {
+      const menu = await pool.query(
+        'SELECT id_menu FROM published_menus WHERE id_menu = $1',
+        [menu_id]
+      );
+      if (menu.rows.length === 0) {
+        return res.status(400).json({ error: 'Menu non trouvé' });
+      }
+    }
+
+    const result = await pool.query(`
+      INSERT INTO event_inquiries
+        (user_id, firstname, lastname, email, phone, company, event_type, event_date, service,
+         headcount, budget_cents, menu_id, message, access_token)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+      RETURNING *
+    `, [
+      req.userId || null,
+      firstname.trim(),
+      lastname.trim(),
+      email.toLowerCase(),
+      phone ? phone.trim() : null,
+      company || null,
+      event_type,
+      event_date,
+      service,
+      parseInt(headcount),
+      budget_cents !== undefined && budget_cents !== null ? parseInt(budget_cents) : null,
+      menu_id || null,
+      message || null,
+      createInquiryToken()
+    ]);
+
+    const inquiry = result.rows[0];
+
+    console.log('✅ Demande d\'événement créée:', inquiry.id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Demande envoyée : le restaurant vous adressera un devis',
+      inquiry,
+      inquiry_link: getInquiryLink(inquiry)
+    });
+  } catch (error) {
+    console.error('❌ Erreur POST /event-inquiries:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// GET /event-inquiries/my - Mes demandes (JWT AUTH)
+router.get('/my', requireAuth, async (req, res) => {
+  const pool = req.app.locals.pool;
+
+  try {
+    const result = await pool.query(`
+      SELECT * FROM event_inquiries
+      WHERE user_id = $1
+      ORDER BY event_date DESC, created_at DESC
+    `, [req.userId]);
+
+    res.json({
+      success: true,
+      inquiries: await Promise.all(result.rows.map(async (inquiry) => ({
+        ...await getInquiryDetail(pool, inquiry),
+        inquiry_link: getInquiryLink(inquiry)
+      })))
+    });
+  } catch (error) {
+    console.error('❌ Erreur GET /event-inquiries/my:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// ============================================
+// SUIVI DE LA DEMANDE (LIEN DE SUIVI)
+// ============================================
+router.get('/manage', requireInquiryToken, async (req, res) => {
+  const pool = req.app.locals.pool;
+
+  try {
+    res.json({
+      success: true,
+      inquiry: await getInquiryDetail(pool, req.inquiry)
+    });
+  } catch (error) {
+    console.error('❌ Erreur GET /event-inquiries/manage:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// Accepter un devis : la capacité du service est bloquée dans la même transaction
+router.post('/manage/quotes/:quoteId/accept', requireInquiryToken, async (req, res) => {
+  const pool = req.app.locals.pool;
+
+  try {
+    const outcome = await withTransaction(async (client) => {
+      const accepted = await acceptQuote(client, req.inquiry, req.params.quoteId);
+
+      if (!accepted.error) {
+        await enqueueInquiryNotification(client, accepted.inquiry, accepted.quote, 'event_quote_accepted');
+      }
+
+      return accepted;
+    });
+
+    if (outcome.error) {
+      return res.status(outcome.status).json({ error: outcome.error });
+    }
+
+    console.log(`✅ Devis ${outcome.quote.id} accepté pour la demande ${outcome.inquiry.id}`);
+
+    res.json({
+      success: true,
+      message: 'Devis accepté : votre événement est confirmé',
+      inquiry: await getInquiryDetail(pool, outcome.inquiry)
+    });
+  } catch (error) {
+    console.error('❌ Erreur POST /event-inquiries/manage/quotes/:quoteId/accept:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// Refuser un devis : sans autre devis en attente, la demande revient à l'équipe
+router.post('/manage/quotes/:quoteId/decline', requireInquiryToken, async (req, res) => {
+  const pool = req.app.locals.pool;
+  const inquiry = req.inquiry;
+
+  try {
+    const outcome = await withTransaction(async (client) => {
+      const quote = await client.query(
+        `UPDATE event_quotes SET status = 'declined', responded_at = CURRENT_TIMESTAMP
+         WHERE id = $1 AND inquiry_id = $2 AND status = 'sent'
+         RETURNING *`,
+        [req.params.quoteId, inquiry.id]
+      );
+
+      if (quote.rows.length === 0) {
+        return { status: 409, error: 'Ce devis n\'est plus en attente de réponse' };
+      }
+
+      const updated = await client.query(
+        `UPDATE event_inquiries SET
+           status = CASE WHEN EXISTS (
+             SELECT 1 FROM event_quotes WHERE inquiry_id = $1 AND status = 'sent'
+           ) THEN status ELSE 'new' END,
+           updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1
+         RETURNING *`,
+        [inquiry.id]
+      );
+
+      return { inquiry: updated.rows[0] };
+    });
+
+    if (outcome.error) {
+      return res.status(outcome.status).json({ error: outcome.error });
+    }
+
+    res.json({
+      success: true,
+      message: 'Devis refusé : le restaurant pourra vous faire une nouvelle proposition',
+      inquiry: await getInquiryDetail(pool, outcome.inquiry)
+    });
+  } catch (error) {
+    console.error('❌ Erreur POST /event-inquiries/manage/quotes/:quoteId/decline:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// Annuler sa demande ; un événement confirmé libère la capacité bloquée
+router.put('/manage/cancel', requireInquiryToken, async (req, res) => {
+  const pool = req.app.locals.pool;
+  const inquiry = req.inquiry;
+
+  try {
+    if (!['new', 'quoted', 'accepted'].includes(inquiry.status)) {
+      return res.status(409).json({ error: 'Cette demande ne peut plus être annulée' });
+    }
+
+    if (inquiry.status === 'accepted' && toDateString(inquiry.event_date) <= toDateString(new Date())) {
+      return res.status(400).json({ error: 'Merci de contacter directement le restaurant pour annuler' });
+    }
+
+    const released = await withTransaction((client) => cancelInquiry(client, inquiry));
+
+    if (released.length > 0) {
+      releaseToWaitlist(pool, inquiry.event_date);
+    }
+
+    res.json({
+      success: true,
+      message: 'Demande annulée avec succès'
+    });
+  } catch (error) {
+    console.error('❌ Erreur PUT /event-inquiries/manage/cancel:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// ============================================
+// GESTION (ADMIN)
+// ============================================
+// GET /event-inquiries - Demandes d'événements (ADMIN JWT)
+router.get('/', requireAdmin, async (req, res) => {
+  const pool = req.app.locals.pool;
+
+  try {
+    const { status, from, to } = req.query;
+
+    if (status && !INQUIRY_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Statut invalide (${INQUIRY_STATUSES.join(', ')})` });
+    }
+
+    if ((from && !DATE_REGEX.test(from)) || (to && !DATE_REGEX.test(to))) {
+      return res.status(400).json({ error: 'Format de date invalide (YYYY-MM-DD)' });
+    }
+
+    const result = await pool.query(`
+      SELECT i.*, m.title as menu_title
+      FROM event_inquiries i
+      LEFT JOIN published_menus m ON m.id_menu = i.menu_id
+      WHERE ($1::text IS NULL OR i.status = $1)
+      AND ($2::date IS NULL OR i.event_date >= $2)
+      AND ($3::date IS NULL OR i.event_date <= $3)
+      ORDER BY i.event_date ASC, i.created_at ASC
+    `, [status || null, from || null, to || null]);
+
+    res.json({
+      success: true,
+      inquiries: result.rows.map(toPublicInquiry),
+      count: result.rows.length
+    });
+  } catch (error) {
+    console.error('❌ Erreur GET /event-inquiries:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// GET /event-inquiries/:id - Détail d'une demande et de ses devis (ADMIN JWT)
+router.get('/:id', requireAdmin, async (req, res) => {
+  const pool = req.app.locals.pool;
+
+  try {
+    const result = await pool.query('SELECT * FROM event_inquiries WHERE id = $1', [req.params.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Demande non trouvée' });
+    }
+
+    res.json({
+      success: true,
+      inquiry: toPublicInquiry(await getInquiryDetail(pool, result.rows[0]))
+    });
+  } catch (error) {
+    console.error('❌ Erreur GET /event-inquiries/:id:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// POST /event-inquiries/:id/quotes - Envoyer un devis ; il remplace les devis encore en attente (ADMIN JWT)
+router.post('/:id/quotes', requireAdmin, async (req, res) => {
+  const pool = req.app.locals.pool;
+
+  try {
+    const result = await pool.query('SELECT * FROM event_inquiries WHERE id = $1', [req.params.id]);
+    const inquiry = result.rows[0];
+
+    if (!inquiry) {
+      return res.status(404).json({ error: 'Demande non trouvée' });
+    }
+
+    if (!['new', 'quoted'].includes(inquiry.status)) {
+      return res.status(409).json({ error: 'Cette demande n\'attend plus de devis' });
+    }
+
+    const {
+      amount_cents,
+      headcount = inquiry.headcount,
+      menu_id = inquiry.menu_id,
+      block_type = inquiry.event_type === 'buyout' ? 'buyout' : 'seats',
+      zone,
+      notes
+    } = req.body;
+
+    if (amount_cents === undefined || !isPositiveInteger(amount_cents, 0)) {
+      return res.status(400).json({ error: 'Montant du devis requis (en centimes)' });
+    }
+
+    if (!isPositiveInteger(headcount, 1)) {
+      return res.status(400).json({ error: 'Le nombre de personnes doit être au moins 1' });
+    }
+
+    if (!BLOCK_TYPES.includes(block_type)) {
+      return res.status(400).json({ error: `Type de blocage invalide (${BLOCK_TYPES.join(', ')})` });
+    }
+
+    if (block_type === 'zone') {
+      if (!zone) {
+        return res.status(400).json({ error: 'Zone requise pour réserver une salle' });
+      }
+      if ((await getActiveTables(pool, zone)).length === 0) {
+        return res.status(400).json({ error: 'Aucune table active dans cette zone' });
+      }
+    }
+
+    const today = toDateString(new Date());
+    const eventDate = toDateString(inquiry.event_date);
+    const lastValidDay = addDays(eventDate, -1);
+    const validUntil = req.body.valid_until ||
+      [addDays(today, DEFAULT_QUOTE_VALIDITY_DAYS), lastValidDay].sort()[0];
+
+    if (!DATE_REGEX.test(validUntil) || validUntil < today || validUntil > lastValidDay) {
+      return res.status(400).json({
+        error: 'Date de validité invalide : entre aujourd\'hui et la veille de l\'événement (YYYY-MM-DD)'
+      });
+    }
+
+    const outcome = await withTransaction(async (client) => {
+      await client.query(
+        "UPDATE event_quotes SET status = 'withdrawn' WHERE inquiry_id = $1 AND status = 'sent'",
+        [inquiry.id]
+      );
+
+      const quote = await client.query(`
+        INSERT INTO event_quotes
+          (inquiry_id, amount_cents, headcount, menu_id, block_type, zone, notes, valid_until, created_by)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        RETURNING *
+      `, [
+        inquiry.id,
+        parseInt(amount_cents),
+        parseInt(headcount),
+        menu_id || null,
+        block_type,
+        block_type === 'zone' ? zone : null,
+        notes || null,
+        validUntil,
+        req.userId
+      ]);
+
+      const updated = await client.query(
+        `UPDATE event_inquiries SET status = 'quoted', updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1
+         RETURNING *`,
+        [inquiry.id]
+      );
+
+      await enqueueInquiryNotification(client, updated.rows[0], quote.rows[0], 'event_quote_sent');
+
+      return { inquiry: updated.rows[0], quote: quote.rows[0] };
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Devis envoyé avec succès',
+      quote: outcome.quote
+    });
+  } catch (error) {
+    console.error('❌ Erreur POST /event-inquiries/:id/quotes:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// PUT /event-inquiries/:id/decline - Décliner une demande (ADMIN JWT)
+router.put('/:id/decline', requireAdmin, async (req, res) => {
+  const pool = req.app.locals.pool;
+
+  try {
+    const result = await pool.query('SELECT * FROM event_inquiries WHERE id = $1', [req.params.id]);
+    const inquiry = result.rows[0];
+
+    if (!inquiry) {
+      return res.status(404).json({ error: 'Demande non trouvée' });
+    }
+
+    if (!['new', 'quoted'].includes(inquiry.status)) {
+      return res.status(409).json({ error: 'Seule une demande en attente peut être déclinée' });
+    }
+
+    await withTransaction((client) => cancelInquiry(client, inquiry, 'declined'));
+
+    res.json({
+      success: true,
+      message: 'Demande déclinée'
+    });
+  } catch (error) {
+    console.error('❌ Erreur PUT /event-inquiries/:id/decline:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// PUT /event-inquiries/:id/cancel - Annuler un événement et libérer la capacité (ADMIN JWT)
+router.put('/:id/cancel', requireAdmin, async (req, res) => {
+  const pool = req.app.locals.pool;
+
+  try {
+    const result = await pool.query('SELECT * FROM event_inquiries WHERE id = $1', [req.params.id]);
+    const inquiry = result.rows[0];
+
+    if (!inquiry) {
+      return res.status(404).json({ error: 'Demande non trouvée' });
+    }
+
+    if (!['new', 'quoted', 'accepted'].includes(inquiry.status)) {
+      return res.status(409).json({ error: 'Cette demande est déjà close' });
+    }
+
+    const released = await withTransaction((client) => cancelInquiry(client, inquiry));
+
+    if (released.length > 0) {
+      releaseToWaitlist(pool, inquiry.event_date);
+    }
+
+    res.json({
+      success: true,
+      message: 'Événement annulé, la capacité du service est libérée'
+    });
+  } catch (error) {
+    console.error('❌ Erreur PUT /event-inquiries/:id/cancel:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,440 @@
+// backend/routes/guestReservations.js - Réservations sans compte (lien de gestion signé)
+const express = require('express');
+const router = express.Router();
+const { withTransaction } = require('../database/db');
+const { getStatusHistory } = require('../services/reservationStatus');
+const { evaluateBookingPolicies } = require('../services/reliability');
+const {
+  createReservation,
+  modifyReservation,
+  cancelReservation
+} = require('../services/reservations');
+const {
+  createManagementToken,
+  verifyManagementToken,
+  getManagementLink
+} = require('../services/guestReservations');
+const { releaseToWaitlist } = require('../services/waitlist');
+const { enqueueReservationNotification } = require('../services/notifications');
+const { getCalendarContext, buildCalendar, buildGuestEvent } = require('../services/ical');
+const { PAYMENT_DUE_MINUTES, getReservationPayment } = require('../services/deposits');
+const { toRestaurantInstant } = require('../services/timezone');
+const { getCancellationPolicy, evaluateChange } = require('../services/cancellationPolicies');
+const {
+  authorizePayment,
+  completePayment,
+  settlePayment
+} = require('../services/payments');
+
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_REGEX = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+
+const isValidEmail = (email) => {
+  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+  return emailRegex.test(email);
+};
+
+// Nombre de couverts : entier de 1 à 20, en nombre ou en chiffres
+const isValidPartySize = (value) => (typeof value === 'number' || (typeof value === 'string' && /^\d+$/.test(value.trim()))) &&
+  Number.isInteger(Number(value)) && Number(value) >= 1 && Number(value) <= 20;
+
+// ============================================
+// MIDDLEWARE - Jeton de gestion requis
+// ============================================
+const requireManagementToken = async (req, res, next) => {
+  const token = req.query.token || (req.body && req.body.token);
+
+  if (!token) {
+    return res.status(401).json({ error: 'Lien de gestion manquant' });
+  }
+
+  const decoded = verifyManagementToken(token);
+
+  if (!decoded) {
+    return res.status(401).json({ error: 'Lien de gestion invalide ou expiré' });
+  }
+
+  const pool = req.app.locals.pool;
+
+  try {
+    const result = await pool.query(
+      'SELECT * FROM reservations WHERE id = $1',
+      [decoded.reservationId]
+    );
+    const reservation = result.rows[0];
+
+    // L'email du jeton doit toujours correspondre à celui de la réservation
+    if (!reservation || !reservation.guest_email ||
+        reservation.guest_email.toLowerCase() !== String(decoded.email).toLowerCase()) {
+      return res.status(404).json({ error: 'Réservation non trouvée' });
+    }
+
+    req.reservation = reservation;
+    next();
+  } catch (error) {
+    console.error('❌ Erreur vérification lien de gestion:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+};
+
+// ============================================
+// CRÉER UNE RÉSERVATION INVITÉE (PUBLIC)
+// ============================================
+router.post('/', async (req, res) => {
+  const pool = req.app.locals.pool;
+
+  try {
+    const {
+      firstname,
+      lastname,
+      email,
+      phone,
+      reservation_date,
+      reservation_time,
+      number_of_people,
+      special_requests,
+      zone,
+      sms_opt_in
+    } = req.body;
+
+    if (!firstname || !lastname || !email || !phone) {
+      return res.status(400).json({
+        error: 'Nom, prénom, email et téléphone requis'
+      });
+    }
+
+    if (!isValidEmail(email)) {
+      return res.status(400).json({ error: 'Email invalide' });
+    }
+
+    if (!reservation_date || !reservation_time || !number_of_people) {
+      return res.status(400).json({
+        error: 'Date, heure et nombre de personnes requis'
+      });
+    }
+
+    if (!isValidPartySize(number_of_people)) {
+      return res.status(400).json({
+        error: 'Le nombre de personnes doit être entre 1 et 20'
+      });
+    }
+
+    if (toRestaurantInstant(reservation_date, reservation_time) < new Date()) {
+      return res.status(400).json({
+        error: 'La date de réservation doit être future'
+      });
+    }
+
+    // Un email déjà inscrit hérite des politiques de fiabilité de son compte
+    const account = await pool.query(
+      'SELECT id FROM users WHERE email = $1',
+      [email.toLowerCase()]
+    );
+
+    let requiresConfirmation = false;
+    if (account.rows.length > 0) {
+      const policy = await evaluateBookingPolicies(pool, account.rows[0].id);
+
+      if (policy.action === 'block_online') {
+        return res.status(403).json({
+          error: 'Réservation en ligne indisponible pour cet email',
+          message: 'Merci de contacter directement le restaurant'
+        });
+      }
+
+      requiresConfirmation = policy.action === 'require_confirmation';
+    }
+
+    const outcome = await withTransaction(async (client) => {
+      const created = await createReservation(client, {
+        userId: null,
+        date: reservation_date,
+        time: reservation_time,
+        people: Number(number_of_people),
+        specialRequests: special_requests || null,
+        zone: zone || null,
+        requiresConfirmation,
+        guest: {
+          firstname: firstname.trim(),
+          lastname: lastname.trim(),
+          email: email.toLowerCase(),
+          phone: phone.trim(),
+          smsOptIn: sms_opt_in === true
+        }
+      });
+
+      // Une réservation en attente de garantie n'est annoncée qu'une fois réglée
+      if (!created.error && !created.payment) {
+        await enqueueReservationNotification(client, created.reservation.id, 'reservation_created');
+      }
+
+      return created;
+    });
+
+    if (outcome.error) {
+      return res.status(outcome.status).json(outcome.error);
+    }
+
+    const token = createManagementToken(outcome.reservation);
+
+    console.log('✅ Réservation invitée créée:', outcome.reservation.id);
+
+    res.status(201).json({
+      success: true,
+      message: outcome.payment
+        ? `Une garantie est demandée : merci de la régler sous ${PAYMENT_DUE_MINUTES} minutes pour valider la réservation`
+        : requiresConfirmation
+          ? 'Réservation enregistrée, elle sera confirmée par le restaurant'
+          : 'Réservation créée avec succès',
+      reservation: {
+        ...outcome.reservation,
+        tables: outcome.tables ? outcome.tables.map(table => table.label) : []
+      },
+      payment: outcome.payment || null,
+      management_token: token,
+      management_link: getManagementLink(token)
+    });
+  } catch (error) {
+    console.error('❌ Erreur POST /reservations/guest:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// ============================================
+// CONSULTER SA RÉSERVATION (LIEN DE GESTION)
+// ============================================
+router.get('/manage', requireManagementToken, async (req, res) => {
+  const pool = req.app.locals.pool;
+
+  try {
+    const tables = await pool.query(
+      `SELECT t.label FROM reservation_tables rt
+       JOIN restaurant_tables t ON t.id = rt.table_id
+       WHERE rt.reservation_id = $1
+       ORDER BY t.label`,
+      [req.reservation.id]
+    );
+
+    res.json({
+      success: true,
+      reservation: {
+        ...req.reservation,
+        tables: tables.rows.map(table => table.label),
+        status_history: await getStatusHistory(pool, req.reservation.id),
+        payment: await getReservationPayment(pool, req.reservation.id),
+        cancellation_policy: await getCancellationPolicy(pool, req.reservation)
+      }
+    });
+  } catch (error) {
+    console.error('❌ Erreur GET /reservations/guest/manage:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// GET /reservations/guest/manage/ics - Ajouter à son agenda (LIEN DE GESTION)
+router.get('/manage/ics', requireManagementToken, async (req, res) => {
+  const pool = req.app.locals.pool;
+
+  try {
+    const context = await getCalendarContext(pool);
+    const calendar = buildCalendar(context.restaurantName, [buildGuestEvent(req.reservation, context)]);
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="reservation-${req.reservation.id}.ics"`);
+    res.send(calendar);
+  } catch (error) {
+    console.error('❌ Erreur GET /reservations/guest/manage/ics:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// ============================================
+// RÉGLER LA GARANTIE (LIEN DE GESTION)
+// ============================================
+router.post('/manage/payment', requireManagementToken, async (req, res) => {
+  const pool = req.app.locals.pool;
+  const provider = req.app.locals.paymentProvider;
+  const reservation = req.reservation;
+
+  try {
+    const { payment_method } = req.body;
+
+    if (!payment_method) {
+      return res.status(400).json({ error: 'Moyen de paiement requis' });
+    }
+
+    const attempt = await authorizePayment(pool, provider, reservation, payment_method);
+
+    if (attempt.error) {
+      return res.status(attempt.status).json({ error: attempt.error });
+    }
+
+    if (!attempt.succeeded) {
+      return res.status(202).json({
+        success: true,
+        message: 'Paiement en cours de validation',
+        payment: attempt.payment,
+        action_url: attempt.action_url
+      });
+    }
+
+    const outcome = await withTransaction((client) => completePayment(client, attempt.payment.id));
+
+    if (outcome.error) {
+      if (outcome.payment) {
+        settlePayment(pool, provider, reservation.id, 'refund');
+      }
+      return res.status(409).json({ error: 'Le délai de paiement est dépassé, la garantie sera remboursée' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Garantie enregistrée, votre réservation est validée',
+      reservation: outcome.reservation,
+      payment: outcome.payment
+    });
+  } catch (error) {
+    console.error('❌ Erreur POST /reservations/guest/manage/payment:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// ============================================
+// MODIFIER SA RÉSERVATION (LIEN DE GESTION)
+// ============================================
+router.put('/manage', requireManagementToken, async (req, res) => {
+  const pool = req.app.locals.pool;
+
+  try {
+    const {
+      reservation_date,
+      reservation_time,
+      number_of_people,
+      special_requests,
+      zone
+    } = req.body;
+
+    if (reservation_date === undefined && reservation_time === undefined &&
+        number_of_people === undefined && special_requests === undefined) {
+      return res.status(400).json({ error: 'Aucune modification demandée' });
+    }
+
+    if (number_of_people !== undefined && !isValidPartySize(number_of_people)) {
+      return res.status(400).json({
+        error: 'Le nombre de personnes doit être entre 1 et 20'
+      });
+    }
+
+    if (reservation_date !== undefined && !DATE_REGEX.test(reservation_date)) {
+      return res.status(400).json({ error: 'Format de date invalide (YYYY-MM-DD)' });
+    }
+
+    if (reservation_time !== undefined && !TIME_REGEX.test(reservation_time)) {
+      return res.status(400).json({ error: 'Format d\'heure invalide (HH:MM)' });
+    }
+
+    const outcome = await withTransaction(async (client) => {
+      // Relire la réservation verrouillée : elle a pu être annulée depuis la vérification du lien
+      const locked = await client.query(
+        'SELECT * FROM reservations WHERE id = $1 FOR UPDATE',
+        [req.reservation.id]
+      );
+      const reservation = locked.rows[0];
+
+      if (!reservation) {
+        return { status: 404, error: { error: 'Réservation non trouvée' } };
+      }
+
+      const change = await evaluateChange(client, reservation, { action: 'modify' });
+      if (change.error) {
+        return { status: 400, error: { error: change.error } };
+      }
+
+      const modified = await modifyReservation(client, reservation, {
+        date: reservation_date,
+        time: reservation_time,
+        people: number_of_people,
+        specialRequests: special_requests,
+        zone: zone || null
+      });
+
+      if (modified.error) {
+        return { status: 400, error: modified.error };
+      }
+
+      await enqueueReservationNotification(client, reservation.id, 'reservation_modified');
+
+      return modified;
+    });
+
+    if (outcome.error) {
+      return res.status(outcome.status).json(outcome.error);
+    }
+
+    if (outcome.slotChanged) {
+      releaseToWaitlist(pool, outcome.previousDate);
+    }
+
+    // Nouveau jeton : son expiration suit la date du repas
+    const token = createManagementToken(outcome.reservation);
+
+    res.json({
+      success: true,
+      message: 'Réservation modifiée avec succès',
+      reservation: {
+        ...outcome.reservation,
+        ...(outcome.tables && { tables: outcome.tables.map(table => table.label) })
+      },
+      management_token: token,
+      management_link: getManagementLink(token)
+    });
+  } catch (error) {
+    console.error('❌ Erreur PUT /reservations/guest/manage:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// ============================================
+// ANNULER SA RÉSERVATION (LIEN DE GESTION)
+// ============================================
+router.put('/manage/cancel', requireManagementToken, async (req, res) => {
+  const pool = req.app.locals.pool;
+  const reservation = req.reservation;
+
+  try {
+    const change = await evaluateChange(pool, reservation, { action: 'cancel' });
+    if (change.error) {
+      return res.status(400).json({ error: change.error });
+    }
+
+    const outcome = await withTransaction(async (client) => {
+      const cancelled = await cancelReservation(client, reservation, {
+        reason: req.body.reason || null,
+        late: change.late
+      });
+
+      if (!cancelled.error) {
+        await enqueueReservationNotification(client, reservation.id, 'reservation_cancelled');
+      }
+
+      return cancelled;
+    });
+
+    if (outcome.error) {
+      return res.status(outcome.status).json({ error: outcome.error });
+    }
+
+    releaseToWaitlist(pool, reservation.reservation_date);
+    settlePayment(pool, req.app.locals.paymentProvider, reservation.id);
+
+    res.json({
+      success: true,
+      message: 'Réservation annulée avec succès'
+    });
+  } catch (error) {
+    console.error('❌ Erreur PUT /reservations/guest/manage/cancel:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,141 @@
+// backend/routes/menuVersions.js - Brouillon, publication et historique de la carte
+const express = require('express');
+const router = express.Router();
+const { requireAdmin } = require('../middleware/auths');
+const { withTransaction } = require('../database/db');
+const {
+  buildDraftCard,
+  getPublishedVersion,
+  listVersions,
+  getVersion,
+  publishCard
+} = require('../services/menuCard');
+
+const isPositiveInteger = (value) => Number.isInteger(Number(value)) && Number(value) >= 1;
+
+// GET /menu-versions - Historique des publications (ADMIN JWT)
+router.get('/', requireAdmin, async (req, res) => {
+  const pool = req.app.locals.pool;
+
+  try {
+    const versions = await listVersions(pool);
+
+    res.json({
+      success: true,
+      versions,
+      count: versions.length
+    });
+  } catch (error) {
+    console.error('❌ Erreur GET /menu-versions:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// GET /menu-versions/draft - Aperçu de la carte telle qu'elle serait publiée (ADMIN JWT)
+router.get('/draft', requireAdmin, async (req, res) => {
+  const pool = req.app.locals.pool;
+
+  try {
+    const published = await getPublishedVersion(pool);
+
+    res.json({
+      success: true,
+      draft: await buildDraftCard(pool),
+      published_version: published ? published.version_number : null
+    });
+  } catch (error) {
+    console.error('❌ Erreur GET /menu-versions/draft:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// GET /menu-versions/:id - Contenu d'une version (ADMIN JWT)
+router.get('/:id', requireAdmin, async (req, res) => {
+  const pool = req.app.locals.pool;
+
+  try {
+    if (!isPositiveInteger(req.params.id)) {
+      return res.status(400).json({ error: 'Identifiant de version invalide' });
+    }
+
+    const version = await getVersion(pool, req.params.id);
+
+    if (!version) {
+      return res.status(404).json({ error: 'Version non trouvée' });
+    }
+
+    res.json({
+      success: true,
+      version
+    });
+  } catch (error) {
+    console.error('❌ Erreur GET /menu-versions/:id:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// POST /menu-versions/publish - Publier le brouillon (ADMIN JWT)
+router.post('/publish', requireAdmin, async (req, res) => {
+  try {
+    const { note } = req.body;
+
+    const version = await withTransaction((client) => publishCard(client, {
+      note: note ? String(note).trim() : null,
+      publishedBy: req.userId
+    }));
+
+    console.log(`✅ Carte publiée (version ${version.version_number})`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Carte publiée avec succès',
+      version
+    });
+  } catch (error) {
+    console.error('❌ Erreur POST /menu-versions/publish:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// POST /menu-versions/:id/rollback - Remettre en ligne une ancienne version (ADMIN JWT)
+// Le contenu de l'ancienne version est republié sous un nouveau numéro ;
+// le brouillon (tables menus, plats, catégories) n'est pas modifié.
+router.post('/:id/rollback', requireAdmin, async (req, res) => {
+  const pool = req.app.locals.pool;
+
+  try {
+    if (!isPositiveInteger(req.params.id)) {
+      return res.status(400).json({ error: 'Identifiant de version invalide' });
+    }
+
+    const target = await getVersion(pool, req.params.id);
+
+    if (!target) {
+      return res.status(404).json({ error: 'Version non trouvée' });
+    }
+
+    if (target.status === 'published') {
+      return res.status(400).json({ error: 'Cette version est déjà en ligne' });
+    }
+
+    const version = await withTransaction((client) => publishCard(client, {
+      snapshot: target.snapshot,
+      note: `Retour à la version ${target.version_number}`,
+      restoredFrom: target.id,
+      publishedBy: req.userId
+    }));
+
+    console.log(`✅ Version ${target.version_number} remise en ligne (version ${version.version_number})`);
+
+    res.status(201).json({
+      success: true,
+      message: `Version ${target.version_number} remise en ligne`,
+      version
+    });
+  } catch (error) {
+    console.error('❌ Erreur POST /menu-versions/:id/rollback:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+module.exports = router;
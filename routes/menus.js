@@ -1,96 +1,203 @@
 const express = require('express');
 const router = express.Router();
-const pool = require('../database/db');
+const { requireAdmin } = require('../middleware/auths');
+const { withTransaction } = require('../database/db');
+const { selectMenus, getMenuComposition } = require('../services/menus');
+const { getPublicCard, selectDishes, selectCategories } = require('../services/menuCard');
+const { getServicesForDate, findServiceForTime, toDateString } = require('../services/availability');
+const { getRestaurantNow } = require('../services/timezone');
+
+const MENU_TYPES = ['standard', 'seasonal', 'special', 'tasting', 'chef'];
+const SERVICES = ['lunch', 'dinner'];
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_REGEX = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+
+// ============================================
+// UTILITAIRES VALIDATION
+// ============================================
+// Nombre ou chaîne numérique : Number('') et Number(true) valent 0 et 1 mais ne sont pas des saisies valides
+const isNumeric = (value) => (typeof value === 'number' || (typeof value === 'string' && value.trim() !== ''))
+  && !isNaN(Number(value));
+const isIntegerAtLeast = (value, min) => isNumeric(value) && Number.isInteger(Number(value)) && Number(value) >= min;
+const isMissing = (value) => value === undefined || value === null;
+
+const validateMenu = (body, partial = false) => {
+  const { title, price, menu_type, available_from, available_until, display_order, is_active } = body;
+
+  if (!partial && (!title || isMissing(price))) {
+    return 'Titre et prix du menu requis';
+  }
+
+  if (title !== undefined && (typeof title !== 'string' || !title.trim())) {
+    return 'Titre invalide';
+  }
+
+  if (!isMissing(price) && (!isNumeric(price) || Number(price) < 0)) {
+    return 'Le prix doit être un nombre positif';
+  }
+
+  if (menu_type !== undefined && !MENU_TYPES.includes(menu_type)) {
+    return `Type de menu invalide (${MENU_TYPES.join(', ')})`;
+  }
+
+  for (const date of [available_from, available_until]) {
+    if (!isMissing(date) && !DATE_REGEX.test(date)) {
+      return 'Format de date invalide (YYYY-MM-DD)';
+    }
+  }
+
+  if (available_from && available_until && available_until < available_from) {
+    return 'La date de fin doit suivre la date de début';
+  }
+
+  if (!isMissing(display_order) && !isIntegerAtLeast(display_order, 0)) {
+    return 'Ordre d\'affichage invalide';
+  }
+
+  if (!isMissing(is_active) && typeof is_active !== 'boolean') {
+    return 'is_active doit être un booléen';
+  }
+
+  return null;
+};
+
+const validateCourse = (body) => {
+  const { course_order, is_optional } = body;
+
+  if (!isMissing(course_order) && !isIntegerAtLeast(course_order, 0)) {
+    return 'Ordre de service invalide (entier positif)';
+  }
+
+  if (!isMissing(is_optional) && typeof is_optional !== 'boolean') {
+    return 'is_optional doit être un booléen';
+  }
+
+  return null;
+};
+
+const validateChoiceGroup = (body, partial = false) => {
+  const { label, course_order, min_choices, max_choices } = body;
+
+  if (!partial && !label) {
+    return 'Libellé du groupe requis (ex : Entrée au choix)';
+  }
+
+  if (!isMissing(course_order) && !isIntegerAtLeast(course_order, 0)) {
+    return 'Ordre de service invalide (entier positif)';
+  }
+
+  if (!isMissing(min_choices) && !isIntegerAtLeast(min_choices, 0)) {
+    return 'Le nombre minimum de choix doit être positif';
+  }
+
+  if (!isMissing(max_choices) && !isIntegerAtLeast(max_choices, 1)) {
+    return 'Le nombre maximum de choix doit être au moins 1';
+  }
+
+  if (!isMissing(min_choices) && !isMissing(max_choices) && Number(max_choices) < Number(min_choices)) {
+    return 'Le nombre maximum de choix doit être supérieur au minimum';
+  }
+
+  return null;
+};
+
+const validateSchedule = (schedule) => {
+  const { day_of_week, service, start_time, end_time } = schedule;
+
+  if (!isMissing(day_of_week) && (!Number.isInteger(Number(day_of_week)) || day_of_week < 0 || day_of_week > 6)) {
+    return 'Le jour doit être compris entre 0 (dimanche) et 6 (samedi)';
+  }
+
+  if (!isMissing(service) && !SERVICES.includes(service)) {
+    return 'Service invalide (lunch ou dinner)';
+  }
+
+  if (isMissing(start_time) !== isMissing(end_time)) {
+    return 'La plage horaire demande une heure de début et une heure de fin';
+  }
+
+  if (!isMissing(start_time)) {
+    if (!TIME_REGEX.test(start_time) || !TIME_REGEX.test(end_time)) {
+      return 'Format d\'heure invalide (HH:MM)';
+    }
+    if (end_time <= start_time) {
+      return 'L\'heure de fin doit suivre l\'heure de début';
+    }
+  }
+
+  return null;
+};
+
+const menuExists = async (db, menuId) => {
+  const result = await db.query('SELECT id_menu FROM menus WHERE id_menu = $1', [menuId]);
+  return result.rows.length > 0;
+};
+
+// Un groupe de choix n'est utilisable que dans son propre menu
+const getChoiceGroup = async (db, menuId, groupId) => {
+  const result = await db.query(
+    'SELECT * FROM menu_choice_groups WHERE id = $1 AND menu_id = $2',
+    [groupId, menuId]
+  );
+  return result.rows[0] || null;
+};
 
 /**
  * GET /api/menus
- * Récupère tous les menus actifs avec leurs plats
+ * Récupère tous les menus actifs de la carte publiée avec leurs plats.
+ * Avec ?date=YYYY-MM-DD, ?service=lunch|dinner et/ou ?time=HH:MM, seuls les menus
+ * réellement proposés à ce moment-là (horaires des menus, services ouverts) sont renvoyés.
  */
 router.get('/', async (req, res) => {
+  const pool = req.app.locals.pool;
+
   try {
-    console.log('📋 Récupération de tous les menus...');
-    
-    const menusQuery = `
-      SELECT 
-        m.id_menu,
-        m.title,
-        m.description,
-        m.price,
-        m.image,
-        m.menu_type,
-        m.is_active,
-        m.available_from,
-        m.available_until,
-        m.display_order
-      FROM menus m
-      WHERE m.is_active = true
-        AND (m.available_from IS NULL OR m.available_from <= CURRENT_DATE)
-        AND (m.available_until IS NULL OR m.available_until >= CURRENT_DATE)
-      ORDER BY m.display_order ASC, m.title ASC
-    `;
-
-    const menusResult = await pool.query(menusQuery);
-    
-    // Le résultat est directement le tableau, pas result.rows
-    const menus = Array.isArray(menusResult) ? menusResult : [];
-    
-    console.log(`✅ ${menus.length} menus trouvés`);
+    const { date, service, time } = req.query;
+    let filters = {};
 
-    // Si aucun menu, retourner un tableau vide
-    if (menus.length === 0) {
-      return res.json({
-        success: true,
-        menus: []
-      });
+    if (date || service || time) {
+      if ((date && !DATE_REGEX.test(date)) || (service && !SERVICES.includes(service)) ||
+          (time && !TIME_REGEX.test(time))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Paramètres invalides (date YYYY-MM-DD, service lunch ou dinner, heure HH:MM)'
+        });
+      }
+
+      const targetDate = date || getRestaurantNow().date;
+      const openServices = await getServicesForDate(pool, targetDate);
+      const targetServices = time
+        ? [findServiceForTime(openServices, time)].filter(Boolean)
+        : openServices;
+      const offered = targetServices.filter(dayService => !service || dayService.service === service);
+
+      // Restaurant fermé à ce moment-là : aucun menu n'est proposé
+      if (offered.length === 0) {
+        return res.json({
+          success: true,
+          menus: []
+        });
+      }
+
+      filters = { date: targetDate, services: offered, time: time || null };
     }
 
-    // Pour chaque menu, récupérer les plats associés
-    const menusWithDishes = await Promise.all(
-      menus.map(async (menu) => {
-        const dishesQuery = `
-          SELECT 
-            d.id_dish,
-            d.name,
-            d.description,
-            d.price as dish_price,
-            d.image_url,
-            d.allergens,
-            d.is_vegetarian,
-            d.is_vegan,
-            d.is_gluten_free,
-            d.course_type,
-            md.course_order,
-            md.is_optional,
-            c.name as category_name
-          FROM menu_dishes md
-          JOIN dishes d ON md.dish_id = d.id_dish
-          LEFT JOIN categories c ON d.category_id = c.id_category
-          WHERE md.menu_id = $1
-            AND d.is_available = true
-          ORDER BY md.course_order ASC
-        `;
-
-        const dishesResult = await pool.query(dishesQuery, [menu.id_menu]);
-        const dishes = Array.isArray(dishesResult) ? dishesResult : [];
-
-        return {
-          ...menu,
-          dishes: dishes,
-          dish_count: dishes.length
-        };
-      })
-    );
+    console.log('📋 Récupération de tous les menus...');
+
+    const card = await getPublicCard(pool);
+    const menus = selectMenus(card.menus, filters);
+
+    console.log(`✅ ${menus.length} menus trouvés`);
 
     res.json({
       success: true,
-      menus: menusWithDishes
+      menus
     });
   } catch (error) {
     console.error('❌ Erreur récupération menus:', error);
     res.status(500).json({
       success: false,
-      message: 'Erreur lors de la récupération des menus',
-      error: error.message
+      message: 'Erreur lors de la récupération des menus'
     });
   }
 });
@@ -100,34 +207,14 @@ router.get('/', async (req, res) => {
  * Récupère tous les plats disponibles
  */
 router.get('/dishes/all', async (req, res) => {
+  const pool = req.app.locals.pool;
+
   try {
-    const dishesQuery = `
-      SELECT 
-        d.id_dish,
-        d.name,
-        d.description,
-        d.price,
-        d.image_url,
-        d.allergens,
-        d.is_vegetarian,
-        d.is_vegan,
-        d.is_gluten_free,
-        d.course_type,
-        d.preparation_time,
-        c.name as category_name,
-        c.icon as category_icon
-      FROM dishes d
-      LEFT JOIN categories c ON d.category_id = c.id_category
-      WHERE d.is_available = true
-      ORDER BY c.display_order ASC, d.name ASC
-    `;
-
-    const result = await pool.query(dishesQuery);
-    const dishes = Array.isArray(result) ? result : [];
+    const card = await getPublicCard(pool);
 
     res.json({
       success: true,
-      dishes: dishes
+      dishes: selectDishes(card)
     });
   } catch (error) {
     console.error('Erreur récupération plats:', error);
@@ -143,33 +230,14 @@ router.get('/dishes/all', async (req, res) => {
  * Récupère les plats d'une catégorie spécifique
  */
 router.get('/dishes/category/:categoryId', async (req, res) => {
+  const pool = req.app.locals.pool;
+
   try {
-    const { categoryId } = req.params;
-
-    const dishesQuery = `
-      SELECT 
-        d.id_dish,
-        d.name,
-        d.description,
-        d.price,
-        d.image_url,
-        d.allergens,
-        d.is_vegetarian,
-        d.is_vegan,
-        d.is_gluten_free,
-        d.course_type
-      FROM dishes d
-      WHERE d.category_id = $1
-        AND d.is_available = true
-      ORDER BY d.name ASC
-    `;
-
-    const result = await pool.query(dishesQuery, [categoryId]);
-    const dishes = Array.isArray(result) ? result : [];
+    const card = await getPublicCard(pool);
 
     res.json({
       success: true,
-      dishes: dishes
+      dishes: selectDishes(card, { categoryId: Number(req.params.categoryId), sortByName: true })
     });
   } catch (error) {
     console.error('Erreur récupération plats par catégorie:', error);
@@ -185,28 +253,14 @@ router.get('/dishes/category/:categoryId', async (req, res) => {
  * Récupère toutes les catégories actives
  */
 router.get('/categories/all', async (req, res) => {
+  const pool = req.app.locals.pool;
+
   try {
-    const categoriesQuery = `
-      SELECT 
-        c.id_category,
-        c.name,
-        c.description,
-        c.icon,
-        c.display_order,
-        COUNT(d.id_dish) as dish_count
-      FROM categories c
-      LEFT JOIN dishes d ON c.id_category = d.category_id AND d.is_available = true
-      WHERE c.is_active = true
-      GROUP BY c.id_category
-      ORDER BY c.display_order ASC
-    `;
-
-    const result = await pool.query(categoriesQuery);
-    const categories = Array.isArray(result) ? result : [];
+    const card = await getPublicCard(pool);
 
     res.json({
       success: true,
-      categories: categories
+      categories: selectCategories(card).filter(category => category.is_active)
     });
   } catch (error) {
     console.error('Erreur récupération catégories:', error);
@@ -222,32 +276,14 @@ router.get('/categories/all', async (req, res) => {
  * Récupère les menus par type (standard, seasonal, special, tasting, chef)
  */
 router.get('/type/:type', async (req, res) => {
-  try {
-    const { type } = req.params;
-
-    const menusQuery = `
-      SELECT 
-        m.id_menu,
-        m.title,
-        m.description,
-        m.price,
-        m.image,
-        m.menu_type,
-        m.display_order
-      FROM menus m
-      WHERE m.is_active = true
-        AND m.menu_type = $1
-        AND (m.available_from IS NULL OR m.available_from <= CURRENT_DATE)
-        AND (m.available_until IS NULL OR m.available_until >= CURRENT_DATE)
-      ORDER BY m.display_order ASC
-    `;
+  const pool = req.app.locals.pool;
 
-    const result = await pool.query(menusQuery, [type]);
-    const menus = Array.isArray(result) ? result : [];
+  try {
+    const card = await getPublicCard(pool);
 
     res.json({
       success: true,
-      menus: menus
+      menus: selectMenus(card.menus, { menuType: req.params.type })
     });
   } catch (error) {
     console.error('Erreur récupération menus par type:', error);
@@ -263,78 +299,28 @@ router.get('/type/:type', async (req, res) => {
  * Récupère un menu spécifique avec tous ses détails
  */
 router.get('/:id', async (req, res) => {
+  const pool = req.app.locals.pool;
+
   try {
     const { id } = req.params;
-    
-    console.log(`📋 Récupération du menu ${id}...`);
 
-    // Récupérer le menu
-    const menuQuery = `
-      SELECT 
-        m.id_menu,
-        m.title,
-        m.description,
-        m.price,
-        m.image,
-        m.menu_type,
-        m.is_active,
-        m.available_from,
-        m.available_until,
-        m.display_order,
-        m.created_at
-      FROM menus m
-      WHERE m.id_menu = $1 AND m.is_active = true
-    `;
+    console.log(`📋 Récupération du menu ${id}...`);
 
-    const menuResult = await pool.query(menuQuery, [id]);
-    const menus = Array.isArray(menuResult) ? menuResult : [];
+    const card = await getPublicCard(pool);
+    const [menu] = selectMenus(card.menus, { menuId: Number(id) });
 
-    if (menus.length === 0) {
+    if (!menu) {
       return res.status(404).json({
         success: false,
         message: 'Menu non trouvé'
       });
     }
 
-    const menu = menus[0];
-
-    // Récupérer les plats du menu groupés par type de plat
-    const dishesQuery = `
-      SELECT 
-        d.id_dish,
-        d.name,
-        d.description,
-        d.price as dish_price,
-        d.image_url,
-        d.allergens,
-        d.is_vegetarian,
-        d.is_vegan,
-        d.is_gluten_free,
-        d.course_type,
-        d.preparation_time,
-        d.calories,
-        md.course_order,
-        md.is_optional,
-        c.name as category_name,
-        c.icon as category_icon
-      FROM menu_dishes md
-      JOIN dishes d ON md.dish_id = d.id_dish
-      LEFT JOIN categories c ON d.category_id = c.id_category
-      WHERE md.menu_id = $1
-        AND d.is_available = true
-      ORDER BY md.course_order ASC
-    `;
-
-    const dishesResult = await pool.query(dishesQuery, [id]);
-    const dishes = Array.isArray(dishesResult) ? dishesResult : [];
-    
-    console.log(`✅ Menu trouvé avec ${dishes.length} plats`);
+    console.log(`✅ Menu trouvé avec ${menu.dish_count} plats`);
 
     res.json({
       success: true,
-      ...menu,
-      dishes: dishes,
-      dish_count: dishes.length
+      ...menu
     });
   } catch (error) {
     console.error('Erreur récupération menu:', error);
@@ -345,4 +331,607 @@ router.get('/:id', async (req, res) => {
   }
 });
 
-module.exports = router;
\ No newline at end of file
+// ============================================
+// GESTION DES MENUS (ADMIN)
+// ============================================
+// GET /menus/admin/all - Tous les menus, archivés compris (ADMIN JWT)
+router.get('/admin/all', requireAdmin, async (req, res) => {
+  const pool = req.app.locals.pool;
+
+  try {
+    const result = await pool.query(`
+      SELECT m.*, COUNT(md.dish_id)::int as dish_count
+      FROM menus m
+      LEFT JOIN menu_dishes md ON md.menu_id = m.id_menu
+      GROUP BY m.id_menu
+      ORDER BY m.is_active DESC, m.display_order ASC, m.title ASC
+    `);
+
+    res.json({
+      success: true,
+      menus: result.rows
+    });
+  } catch (error) {
+    console.error('❌ Erreur GET /menus/admin/all:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// POST /menus - Créer un menu (ADMIN JWT)
+router.post('/', requireAdmin, async (req, res) => {
+  const pool = req.app.locals.pool;
+
+  try {
+    const validationError = validateMenu(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const {
+      title,
+      description,
+      price,
+      image,
+      menu_type,
+      available_from,
+      available_until,
+      display_order
+    } = req.body;
+
+    // Sans ordre précisé, le nouveau menu s'affiche en dernier
+    const result = await pool.query(`
+      INSERT INTO menus (title, description, price, image, menu_type, available_from, available_until, display_order)
+      VALUES ($1, $2, $3, $4, COALESCE($5, 'standard'), $6, $7,
+              COALESCE($8, (SELECT COALESCE(MAX(display_order), 0) + 1 FROM menus)))
+      RETURNING *
+    `, [
+      title.trim(),
+      description || null,
+      price,
+      image || null,
+      menu_type,
+      available_from || null,
+      available_until || null,
+      display_order
+    ]);
+
+    res.status(201).json({
+      success: true,
+      message: 'Menu créé avec succès',
+      menu: result.rows[0]
+    });
+  } catch (error) {
+    console.error('❌ Erreur POST /menus:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// PUT /menus/reorder - Ordre d'affichage des menus (ADMIN JWT)
+router.put('/reorder', requireAdmin, async (req, res) => {
+  const pool = req.app.locals.pool;
+
+  try {
+    const { menu_ids } = req.body;
+
+    if (!Array.isArray(menu_ids) || menu_ids.length === 0 ||
+        !menu_ids.every(id => isIntegerAtLeast(id, 1)) ||
+        new Set(menu_ids.map(Number)).size !== menu_ids.length) {
+      return res.status(400).json({ error: 'Liste des menus requise (menu_ids, sans doublon)' });
+    }
+
+    const result = await pool.query(`
+      UPDATE menus m SET display_order = ordered.position
+      FROM unnest($1::integer[]) WITH ORDINALITY AS ordered(id_menu, position)
+      WHERE m.id_menu = ordered.id_menu
+      RETURNING m.id_menu, m.title, m.display_order
+    `, [menu_ids.map(Number)]);
+
+    if (result.rows.length !== menu_ids.length) {
+      return res.status(404).json({ error: 'Menu non trouvé dans la liste' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Ordre des menus mis à jour',
+      menus: result.rows.sort((a, b) => a.display_order - b.display_order)
+    });
+  } catch (error) {
+    console.error('❌ Erreur PUT /menus/reorder:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// PUT /menus/:id - Mettre à jour un menu (ADMIN JWT)
+router.put('/:id', requireAdmin, async (req, res) => {
+  const pool = req.app.locals.pool;
+
+  try {
+    const validationError = validateMenu(req.body, true);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const {
+      title,
+      description,
+      price,
+      image,
+      menu_type,
+      available_from,
+      available_until,
+      display_order,
+      is_active
+    } = req.body;
+
+    const current = await pool.query(
+      'SELECT available_from, available_until FROM menus WHERE id_menu = $1',
+      [req.params.id]
+    );
+
+    if (current.rows.length === 0) {
+      return res.status(404).json({ error: 'Menu non trouvé' });
+    }
+
+    // Une seule des deux dates peut changer : la période est vérifiée une fois complétée
+    const from = available_from !== undefined ? available_from : current.rows[0].available_from;
+    const until = available_until !== undefined ? available_until : current.rows[0].available_until;
+    if (from && until && toDateString(until) < toDateString(from)) {
+      return res.status(400).json({ error: 'La date de fin doit suivre la date de début' });
+    }
+
+    const result = await pool.query(`
+      UPDATE menus SET
+        title = COALESCE($1, title),
+        description = CASE WHEN $2::boolean THEN $3 ELSE description END,
+        price = COALESCE($4, price),
+        image = CASE WHEN $5::boolean THEN $6 ELSE image END,
+        menu_type = COALESCE($7, menu_type),
+        available_from = CASE WHEN $8::boolean THEN $9::date ELSE available_from END,
+        available_until = CASE WHEN $10::boolean THEN $11::date ELSE available_until END,
+        display_order = COALESCE($12, display_order),
+        is_active = COALESCE($13, is_active)
+      WHERE id_menu = $14
+      RETURNING *
+    `, [
+      title ? title.trim() : null,
+      description !== undefined,
+      description || null,
+      price,
+      image !== undefined,
+      image || null,
+      menu_type,
+      available_from !== undefined,
+      available_from || null,
+      available_until !== undefined,
+      available_until || null,
+      display_order,
+      is_active,
+      req.params.id
+    ]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Menu non trouvé' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Menu mis à jour avec succès',
+      menu: result.rows[0]
+    });
+  } catch (error) {
+    console.error('❌ Erreur PUT /menus/:id:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// PUT /menus/:id/archive - Retirer un menu de la carte sans le supprimer (ADMIN JWT)
+// Les demandes d'événements et les soirées passées gardent ainsi leur menu
+router.put('/:id/archive', requireAdmin, async (req, res) => {
+  const pool = req.app.locals.pool;
+
+  try {
+    const result = await pool.query(
+      'UPDATE menus SET is_active = false WHERE id_menu = $1 RETURNING *',
+      [req.params.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Menu non trouvé' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Menu archivé avec succès',
+      menu: result.rows[0]
+    });
+  } catch (error) {
+    console.error('❌ Erreur PUT /menus/:id/archive:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// PUT /menus/:id/restore - Remettre un menu archivé à la carte (ADMIN JWT)
+router.put('/:id/restore', requireAdmin, async (req, res) => {
+  const pool = req.app.locals.pool;
+
+  try {
+    const result = await pool.query(
+      'UPDATE menus SET is_active = true WHERE id_menu = $1 RETURNING *',
+      [req.params.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Menu non trouvé' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Menu remis à la carte',
+      menu: result.rows[0]
+    });
+  } catch (error) {
+    console.error('❌ Erreur PUT /menus/:id/restore:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// ============================================
+// COMPOSITION D'UN MENU (ADMIN)
+// ============================================
+// GET /menus/:id/composition - Plats et groupes de choix, indisponibles compris (ADMIN JWT)
+router.get('/:id/composition', requireAdmin, async (req, res) => {
+  const pool = req.app.locals.pool;
+
+  try {
+    if (!await menuExists(pool, req.params.id)) {
+      return res.status(404).json({ error: 'Menu non trouvé' });
+    }
+
+    const composition = await getMenuComposition(pool, req.params.id, { availableOnly: false });
+
+    res.json({
+      success: true,
+      ...composition
+    });
+  } catch (error) {
+    console.error('❌ Erreur GET /menus/:id/composition:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// POST /menus/:id/dishes - Ajouter un plat au menu (ADMIN JWT)
+router.post('/:id/dishes', requireAdmin, async (req, res) => {
+  const pool = req.app.locals.pool;
+  const menuId = req.params.id;
+
+  try {
+    const { dish_id, course_order, is_optional, choice_group_id } = req.body;
+
+    if (!isIntegerAtLeast(dish_id, 1)) {
+      return res.status(400).json({ error: 'Plat requis (dish_id)' });
+    }
+
+    const validationError = validateCourse(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    if (!await menuExists(pool, menuId)) {
+      return res.status(404).json({ error: 'Menu non trouvé' });
+    }
+
+    const dish = await pool.query('SELECT id_dish FROM dishes WHERE id_dish = $1', [dish_id]);
+    if (dish.rows.length === 0) {
+      return res.status(400).json({ error: 'Plat non trouvé' });
+    }
+
+    const existing = await pool.query(
+      'SELECT 1 FROM menu_dishes WHERE menu_id = $1 AND dish_id = $2',
+      [menuId, dish_id]
+    );
+    if (existing.rows.length > 0) {
+      return res.status(409).json({ error: 'Ce plat fait déjà partie du menu' });
+    }
+
+    let group = null;
+    if (choice_group_id) {
+      group = await getChoiceGroup(pool, menuId, choice_group_id);
+      if (!group) {
+        return res.status(400).json({ error: 'Groupe de choix non trouvé dans ce menu' });
+      }
+    }
+
+    // Un plat au choix est servi au moment de son groupe
+    const result = await pool.query(`
+      INSERT INTO menu_dishes (menu_id, dish_id, course_order, is_optional, choice_group_id)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING *
+    `, [
+      menuId,
+      dish_id,
+      group ? group.course_order : parseInt(course_order) || 0,
+      is_optional === true,
+      group ? group.id : null
+    ]);
+
+    res.status(201).json({
+      success: true,
+      message: 'Plat ajouté au menu',
+      course: result.rows[0]
+    });
+  } catch (error) {
+    console.error('❌ Erreur POST /menus/:id/dishes:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// PUT /menus/:id/dishes/:dishId - Ordre, option ou groupe de choix d'un plat (ADMIN JWT)
+router.put('/:id/dishes/:dishId', requireAdmin, async (req, res) => {
+  const pool = req.app.locals.pool;
+  const menuId = req.params.id;
+
+  try {
+    const validationError = validateCourse(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const { course_order, is_optional, choice_group_id } = req.body;
+
+    const current = await pool.query(
+      'SELECT choice_group_id FROM menu_dishes WHERE menu_id = $1 AND dish_id = $2',
+      [menuId, req.params.dishId]
+    );
+
+    if (current.rows.length === 0) {
+      return res.status(404).json({ error: 'Plat absent de ce menu' });
+    }
+
+    // Un plat groupé est servi avec son groupe : son ordre se change sur le groupe
+    const staysGrouped = choice_group_id !== undefined
+      ? Boolean(choice_group_id)
+      : Boolean(current.rows[0].choice_group_id);
+    if (!isMissing(course_order) && staysGrouped) {
+      return res.status(400).json({ error: 'L\'ordre de service d\'un plat groupé suit celui de son groupe' });
+    }
+
+    let group = null;
+    if (choice_group_id) {
+      group = await getChoiceGroup(pool, menuId, choice_group_id);
+      if (!group) {
+        return res.status(400).json({ error: 'Groupe de choix non trouvé dans ce menu' });
+      }
+    }
+
+    // choice_group_id: null retire le plat de son groupe
+    const result = await pool.query(`
+      UPDATE menu_dishes SET
+        course_order = COALESCE($1, course_order),
+        is_optional = COALESCE($2, is_optional),
+        choice_group_id = CASE WHEN $3::boolean THEN $4::integer ELSE choice_group_id END
+      WHERE menu_id = $5 AND dish_id = $6
+      RETURNING *
+    `, [
+      group ? group.course_order : course_order,
+      is_optional,
+      choice_group_id !== undefined,
+      group ? group.id : null,
+      menuId,
+      req.params.dishId
+    ]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Plat absent de ce menu' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Plat du menu mis à jour',
+      course: result.rows[0]
+    });
+  } catch (error) {
+    console.error('❌ Erreur PUT /menus/:id/dishes/:dishId:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// DELETE /menus/:id/dishes/:dishId - Retirer un plat du menu (ADMIN JWT)
+router.delete('/:id/dishes/:dishId', requireAdmin, async (req, res) => {
+  const pool = req.app.locals.pool;
+
+  try {
+    const result = await pool.query(
+      'DELETE FROM menu_dishes WHERE menu_id = $1 AND dish_id = $2 RETURNING dish_id',
+      [req.params.id, req.params.dishId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Plat absent de ce menu' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Plat retiré du menu'
+    });
+  } catch (error) {
+    console.error('❌ Erreur DELETE /menus/:id/dishes/:dishId:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// POST /menus/:id/choice-groups - Créer un groupe de choix (ADMIN JWT)
+router.post('/:id/choice-groups', requireAdmin, async (req, res) => {
+  const pool = req.app.locals.pool;
+
+  try {
+    const validationError = validateChoiceGroup(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    if (!await menuExists(pool, req.params.id)) {
+      return res.status(404).json({ error: 'Menu non trouvé' });
+    }
+
+    const { label, course_order, min_choices, max_choices } = req.body;
+
+    // Par défaut : un plat à choisir ; sans maximum, on en choisit exactement le minimum
+    const result = await pool.query(`
+      INSERT INTO menu_choice_groups (menu_id, label, course_order, min_choices, max_choices)
+      VALUES ($1, $2, COALESCE($3, 0), COALESCE($4, 1), COALESCE($5, GREATEST(COALESCE($4, 1), 1)))
+      RETURNING *
+    `, [req.params.id, label.trim(), course_order, min_choices, max_choices]);
+
+    res.status(201).json({
+      success: true,
+      message: 'Groupe de choix créé',
+      choice_group: result.rows[0]
+    });
+  } catch (error) {
+    console.error('❌ Erreur POST /menus/:id/choice-groups:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// PUT /menus/:id/choice-groups/:groupId - Modifier un groupe de choix (ADMIN JWT)
+router.put('/:id/choice-groups/:groupId', requireAdmin, async (req, res) => {
+  try {
+    const validationError = validateChoiceGroup(req.body, true);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const { label, course_order, min_choices, max_choices } = req.body;
+
+    // Les plats du groupe suivent son ordre de service
+    const group = await withTransaction(async (client) => {
+      const result = await client.query(`
+        UPDATE menu_choice_groups SET
+          label = COALESCE($1, label),
+          course_order = COALESCE($2, course_order),
+          min_choices = COALESCE($3, min_choices),
+          max_choices = COALESCE($4, max_choices),
+          updated_at = CURRENT_TIMESTAMP
+        WHERE id = $5 AND menu_id = $6
+        RETURNING *
+      `, [label ? label.trim() : null, course_order, min_choices, max_choices, req.params.groupId, req.params.id]);
+
+      if (result.rows[0] && !isMissing(course_order)) {
+        await client.query(
+          'UPDATE menu_dishes SET course_order = $1 WHERE choice_group_id = $2',
+          [result.rows[0].course_order, result.rows[0].id]
+        );
+      }
+
+      return result.rows[0];
+    });
+
+    if (!group) {
+      return res.status(404).json({ error: 'Groupe de choix non trouvé' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Groupe de choix mis à jour',
+      choice_group: group
+    });
+  } catch (error) {
+    // Minimum supérieur au maximum déjà enregistré
+    if (error.code === '23514') {
+      return res.status(400).json({ error: 'Le nombre maximum de choix doit être supérieur au minimum' });
+    }
+    console.error('❌ Erreur PUT /menus/:id/choice-groups/:groupId:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// DELETE /menus/:id/choice-groups/:groupId - Supprimer un groupe et ses plats au choix (ADMIN JWT)
+router.delete('/:id/choice-groups/:groupId', requireAdmin, async (req, res) => {
+  try {
+    // Sans leur groupe, les plats au choix deviendraient tous servis d'office
+    const deleted = await withTransaction(async (client) => {
+      const removed = await client.query(
+        `DELETE FROM menu_dishes
+         WHERE menu_id = $1 AND choice_group_id = $2
+         RETURNING dish_id`,
+        [req.params.id, req.params.groupId]
+      );
+
+      const result = await client.query(
+        'DELETE FROM menu_choice_groups WHERE id = $1 AND menu_id = $2 RETURNING id',
+        [req.params.groupId, req.params.id]
+      );
+
+      return result.rows.length > 0 ? removed.rows.length : null;
+    });
+
+    if (deleted === null) {
+      return res.status(404).json({ error: 'Groupe de choix non trouvé' });
+    }
+
+    res.json({
+      success: true,
+      message: `Groupe de choix supprimé (${deleted} plat(s) retiré(s) du menu)`
+    });
+  } catch (error) {
+    console.error('❌ Erreur DELETE /menus/:id/choice-groups/:groupId:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// PUT /menus/:id/schedules - Remplacer les horaires d'un menu (ADMIN JWT)
+// Une liste vide rend le menu disponible à tous les services
+router.put('/:id/schedules', requireAdmin, async (req, res) => {
+  const pool = req.app.locals.pool;
+
+  try {
+    const { schedules } = req.body;
+
+    if (!Array.isArray(schedules)) {
+      return res.status(400).json({ error: 'Liste des horaires requise (schedules)' });
+    }
+
+    for (const schedule of schedules) {
+      const validationError = validateSchedule(schedule || {});
+      if (validationError) {
+        return res.status(400).json({ error: validationError });
+      }
+    }
+
+    if (!await menuExists(pool, req.params.id)) {
+      return res.status(404).json({ error: 'Menu non trouvé' });
+    }
+
+    const saved = await withTransaction(async (client) => {
+      await client.query('DELETE FROM menu_schedules WHERE menu_id = $1', [req.params.id]);
+
+      const rows = [];
+      for (const schedule of schedules) {
+        const result = await client.query(`
+          INSERT INTO menu_schedules (menu_id, day_of_week, service, start_time, end_time)
+          VALUES ($1, $2, $3, $4, $5)
+          RETURNING *
+        `, [
+          req.params.id,
+          isMissing(schedule.day_of_week) ? null : parseInt(schedule.day_of_week),
+          schedule.service || null,
+          schedule.start_time || null,
+          schedule.end_time || null
+        ]);
+        rows.push(result.rows[0]);
+      }
+      return rows;
+    });
+
+    res.json({
+      success: true,
+      message: 'Horaires du menu mis à jour',
+      schedules: saved
+    });
+  } catch (error) {
+    console.error('❌ Erreur PUT /menus/:id/schedules:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,179 @@
+// backend/routes/notifications.js - VERSION JWT
+const express = require('express');
+const router = express.Router();
+const { requireAdmin } = require('../middleware/auths');
+const { processOutbox, queueDueReminders, recordDeliveryStatus } = require('../services/notifications');
+
+const OUTBOX_STATUSES = ['pending', 'sending', 'sent', 'failed'];
+const CHANNELS = ['email', 'sms'];
+const DELIVERY_STATUSES = ['sent', 'delivered', 'undelivered', 'failed'];
+
+// GET /notifications/templates - Modèles de messages (ADMIN JWT)
+router.get('/templates', requireAdmin, async (req, res) => {
+  const pool = req.app.locals.pool;
+
+  try {
+    const result = await pool.query(
+      'SELECT * FROM notification_templates ORDER BY channel ASC, event ASC'
+    );
+
+    res.json({
+      success: true,
+      templates: result.rows
+    });
+  } catch (error) {
+    console.error('❌ Erreur GET /notifications/templates:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// PUT /notifications/templates/:id - Modifier un modèle (ADMIN JWT)
+router.put('/templates/:id', requireAdmin, async (req, res) => {
+  const pool = req.app.locals.pool;
+
+  try {
+    const { subject, body, is_active } = req.body;
+
+    if (body !== undefined && !String(body).trim()) {
+      return res.status(400).json({ error: 'Le contenu du message ne peut pas être vide' });
+    }
+
+    const result = await pool.query(`
+      UPDATE notification_templates SET
+        subject = COALESCE($1, subject),
+        body = COALESCE($2, body),
+        is_active = COALESCE($3, is_active),
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = $4
+      RETURNING *
+    `, [subject, body, is_active, req.params.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Modèle non trouvé' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Modèle mis à jour avec succès',
+      template: result.rows[0]
+    });
+  } catch (error) {
+    console.error('❌ Erreur PUT /notifications/templates/:id:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// GET /notifications/outbox - File d'envoi (ADMIN JWT)
+router.get('/outbox', requireAdmin, async (req, res) => {
+  const pool = req.app.locals.pool;
+
+  try {
+    const { status, channel, reservation_id } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+
+    if (status && !OUTBOX_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Statut invalide (${OUTBOX_STATUSES.join(', ')})` });
+    }
+
+    if (channel && !CHANNELS.includes(channel)) {
+      return res.status(400).json({ error: `Canal invalide (${CHANNELS.join(', ')})` });
+    }
+
+    const result = await pool.query(`
+      SELECT * FROM notification_outbox
+      WHERE ($1::text IS NULL OR status = $1)
+      AND ($2::integer IS NULL OR reservation_id = $2)
+      AND ($3::text IS NULL OR channel = $3)
+      ORDER BY created_at DESC
+      LIMIT $4
+    `, [status || null, reservation_id || null, channel || null, limit]);
+
+    res.json({
+      success: true,
+      messages: result.rows,
+      count: result.rows.length
+    });
+  } catch (error) {
+    console.error('❌ Erreur GET /notifications/outbox:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// POST /notifications/outbox/:id/retry - Relancer un message en échec (ADMIN JWT)
+router.post('/outbox/:id/retry', requireAdmin, async (req, res) => {
+  const pool = req.app.locals.pool;
+
+  try {
+    const result = await pool.query(`
+      UPDATE notification_outbox
+      SET status = 'pending', attempts = 0, next_attempt_at = NOW(), last_error = NULL
+      WHERE id = $1 AND status = 'failed'
+      RETURNING *
+    `, [req.params.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Message non trouvé ou pas en échec' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Message remis en file',
+      outbox_message: result.rows[0]
+    });
+  } catch (error) {
+    console.error('❌ Erreur POST /notifications/outbox/:id/retry:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// POST /notifications/process - Traiter la file immédiatement (ADMIN JWT)
+router.post('/process', requireAdmin, async (req, res) => {
+  const pool = req.app.locals.pool;
+
+  try {
+    const reminders = await queueDueReminders(pool);
+    const summary = await processOutbox(pool, req.app.locals.notificationTransports);
+
+    res.json({
+      success: true,
+      reminders_queued: reminders,
+      ...summary
+    });
+  } catch (error) {
+    console.error('❌ Erreur POST /notifications/process:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// POST /notifications/sms/status - Accusé de remise du fournisseur SMS (SECRET PARTAGÉ)
+router.post('/sms/status', async (req, res) => {
+  const pool = req.app.locals.pool;
+  const secret = process.env.SMS_WEBHOOK_SECRET;
+
+  if (!secret || req.headers['x-webhook-secret'] !== secret) {
+    return res.status(401).json({ error: 'Non autorisé' });
+  }
+
+  try {
+    const { provider_message_id, status } = req.body;
+
+    if (!provider_message_id || !DELIVERY_STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: `Identifiant du message et statut requis (${DELIVERY_STATUSES.join(', ')})`
+      });
+    }
+
+    const message = await recordDeliveryStatus(pool, provider_message_id, status);
+
+    if (!message) {
+      return res.status(404).json({ error: 'Message non trouvé' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('❌ Erreur POST /notifications/sms/status:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+module.exports = router;
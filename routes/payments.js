@@ -0,0 +1,95 @@
+// backend/routes/payments.js - VERSION JWT
+const express = require('express');
+const router = express.Router();
+const { requireAdmin } = require('../middleware/auths');
+const { withTransaction } = require('../database/db');
+const {
+  completePayment,
+  failPayment,
+  getPaymentByProviderId,
+  settlePayment
+} = require('../services/payments');
+
+const PAYMENT_STATUSES = [
+  'pending', 'processing', 'failed', 'paid', 'authorized',
+  'refunded', 'released', 'kept', 'captured', 'cancelled'
+];
+const WEBHOOK_STATUSES = ['succeeded', 'failed'];
+
+// GET /payments - Garanties des réservations (ADMIN JWT)
+router.get('/', requireAdmin, async (req, res) => {
+  const pool = req.app.locals.pool;
+
+  try {
+    const { status, reservation_id } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+
+    if (status && !PAYMENT_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Statut invalide (${PAYMENT_STATUSES.join(', ')})` });
+    }
+
+    const result = await pool.query(`
+      SELECT p.*, r.reservation_date, r.reservation_time, r.number_of_people, r.status as reservation_status
+      FROM reservation_payments p
+      LEFT JOIN reservations r ON r.id = p.reservation_id
+      WHERE ($1::text IS NULL OR p.status = $1)
+      AND ($2::integer IS NULL OR p.reservation_id = $2)
+      ORDER BY p.created_at DESC
+      LIMIT $3
+    `, [status || null, reservation_id || null, limit]);
+
+    res.json({
+      success: true,
+      payments: result.rows,
+      count: result.rows.length
+    });
+  } catch (error) {
+    console.error('❌ Erreur GET /payments:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// POST /payments/webhook - Résultat d'un paiement validé chez le prestataire (SECRET PARTAGÉ)
+router.post('/webhook', async (req, res) => {
+  const pool = req.app.locals.pool;
+  const secret = process.env.PAYMENT_WEBHOOK_SECRET;
+
+  if (!secret || req.headers['x-webhook-secret'] !== secret) {
+    return res.status(401).json({ error: 'Non autorisé' });
+  }
+
+  try {
+    const { provider_payment_id, status, error } = req.body;
+
+    if (!provider_payment_id || !WEBHOOK_STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: `Identifiant du paiement et statut requis (${WEBHOOK_STATUSES.join(', ')})`
+      });
+    }
+
+    const payment = await getPaymentByProviderId(pool, provider_payment_id);
+
+    if (!payment) {
+      return res.status(404).json({ error: 'Paiement non trouvé' });
+    }
+
+    if (status === 'failed') {
+      await failPayment(pool, payment.id, error);
+      return res.json({ success: true });
+    }
+
+    const outcome = await withTransaction((client) => completePayment(client, payment.id));
+
+    if (outcome.error && outcome.payment) {
+      // Réservation expirée avant la validation : la garantie est rendue
+      settlePayment(pool, req.app.locals.paymentProvider, payment.reservation_id, 'refund');
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('❌ Erreur POST /payments/webhook:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+module.exports = router;
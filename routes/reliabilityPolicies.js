@@ -0,0 +1,146 @@
+// backend/routes/reliabilityPolicies.js - VERSION JWT
+const express = require('express');
+const router = express.Router();
+const { requireAdmin } = require('../middleware/auths');
+
+const METRICS = ['no_shows', 'late_cancellations'];
+const ACTIONS = ['require_confirmation', 'block_online'];
+
+const validatePolicy = (body, partial = false) => {
+  const { metric, threshold, action, lookback_days } = body;
+
+  if (!partial && (!metric || !threshold || !action)) {
+    return 'Critère, seuil et action requis';
+  }
+
+  if (metric !== undefined && !METRICS.includes(metric)) {
+    return `Critère invalide (${METRICS.join(', ')})`;
+  }
+
+  if (action !== undefined && !ACTIONS.includes(action)) {
+    return `Action invalide (${ACTIONS.join(', ')})`;
+  }
+
+  if (threshold !== undefined && !(parseInt(threshold) >= 1)) {
+    return 'Le seuil doit être au moins 1';
+  }
+
+  if (lookback_days !== undefined && lookback_days !== null && !(parseInt(lookback_days) > 0)) {
+    return 'La période doit être positive';
+  }
+
+  return null;
+};
+
+// GET /reliability-policies - Liste des politiques (ADMIN JWT)
+router.get('/', requireAdmin, async (req, res) => {
+  const pool = req.app.locals.pool;
+
+  try {
+    const result = await pool.query(
+      'SELECT * FROM reliability_policies ORDER BY metric ASC, threshold ASC'
+    );
+
+    res.json({
+      success: true,
+      policies: result.rows
+    });
+  } catch (error) {
+    console.error('❌ Erreur GET /reliability-policies:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// POST /reliability-policies - Créer une politique (ADMIN JWT)
+router.post('/', requireAdmin, async (req, res) => {
+  const pool = req.app.locals.pool;
+
+  try {
+    const validationError = validatePolicy(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const { metric, threshold, action, lookback_days, is_active } = req.body;
+
+    const result = await pool.query(`
+      INSERT INTO reliability_policies (metric, threshold, action, lookback_days, is_active)
+      VALUES ($1, $2, $3, $4, COALESCE($5, true))
+      RETURNING *
+    `, [metric, threshold, action, lookback_days || null, is_active]);
+
+    res.status(201).json({
+      success: true,
+      message: 'Politique créée avec succès',
+      policy: result.rows[0]
+    });
+  } catch (error) {
+    console.error('❌ Erreur POST /reliability-policies:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// PUT /reliability-policies/:id - Mettre à jour une politique (ADMIN JWT)
+router.put('/:id', requireAdmin, async (req, res) => {
+  const pool = req.app.locals.pool;
+
+  try {
+    const validationError = validatePolicy(req.body, true);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const { metric, threshold, action, lookback_days, is_active } = req.body;
+
+    const result = await pool.query(`
+      UPDATE reliability_policies SET
+        metric = COALESCE($1, metric),
+        threshold = COALESCE($2, threshold),
+        action = COALESCE($3, action),
+        lookback_days = CASE WHEN $4::boolean THEN $5 ELSE lookback_days END,
+        is_active = COALESCE($6, is_active),
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = $7
+      RETURNING *
+    `, [metric, threshold, action, lookback_days !== undefined, lookback_days || null, is_active, req.params.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Politique non trouvée' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Politique mise à jour avec succès',
+      policy: result.rows[0]
+    });
+  } catch (error) {
+    console.error('❌ Erreur PUT /reliability-policies/:id:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// DELETE /reliability-policies/:id - Supprimer une politique (ADMIN JWT)
+router.delete('/:id', requireAdmin, async (req, res) => {
+  const pool = req.app.locals.pool;
+
+  try {
+    const result = await pool.query(
+      'DELETE FROM reliability_policies WHERE id = $1 RETURNING id',
+      [req.params.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Politique non trouvée' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Politique supprimée avec succès'
+    });
+  } catch (error) {
+    console.error('❌ Erreur DELETE /reliability-policies/:id:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+module.exports = router;
@@ -1,7 +1,45 @@
 // backend/routes/reservations.js - VERSION JWT
 const express = require('express');
 const router = express.Router();
-const { requireAuth, requireAdmin } = require('../middleware/auths');
+const { requireAuth, requireAdmin, requireStaff } = require('../middleware/auths');
+const { withTransaction } = require('../database/db');
+const {
+  checkSlot,
+  getDaySlots,
+  getAvailabilityCalendar,
+  getSeatingDuration,
+  getOccupiedTableIds,
+  lockReservationDate
+} = require('../services/availability');
+const { assignTables } = require('../services/tables');
+const { getRestaurantNow, toRestaurantInstant } = require('../services/timezone');
+const {
+  ACTIVE_STATUSES,
+  transitionReservation,
+  getStatusHistory
+} = require('../services/reservationStatus');
+const { evaluateBookingPolicies } = require('../services/reliability');
+const {
+  getReservationDateTime,
+  createReservation,
+  modifyReservation,
+  cancelReservation
+} = require('../services/reservations');
+const { createManagementToken, getManagementLink } = require('../services/guestReservations');
+const { releaseToWaitlist } = require('../services/waitlist');
+const { getCalendarContext, buildCalendar, buildGuestEvent } = require('../services/ical');
+const { PAYMENT_DUE_MINUTES, getReservationPayment } = require('../services/deposits');
+const { getCancellationPolicy, evaluateChange } = require('../services/cancellationPolicies');
+const {
+  authorizePayment,
+  completePayment,
+  settlePayment,
+  refundPayment
+} = require('../services/payments');
+const {
+  enqueueReservationNotification,
+  getReservationNotifications
+} = require('../services/notifications');
 
 // Helper pour exécuter des requêtes
 const query = async (pool, sql, params = []) => {
@@ -14,6 +52,31 @@ const queryOne = async (pool, sql, params = []) => {
   return result.rows[0] || null;
 };
 
+// Nombre maximum de jours couverts par le calendrier de disponibilité
+const MAX_CALENDAR_DAYS = 62;
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_REGEX = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+
+// Nombre de couverts : entier de 1 à 20, en nombre ou en chiffres
+const isValidPartySize = (value) => (typeof value === 'number' || (typeof value === 'string' && /^\d+$/.test(value.trim()))) &&
+  Number.isInteger(Number(value)) && Number(value) >= 1 && Number(value) <= 20;
+
+// Pagination de la liste admin
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// Tris disponibles pour la liste admin (colonnes SQL, jamais issues de la requête)
+const ADMIN_SORTS = {
+  date: ['r.reservation_date', 'r.reservation_time'],
+  created_at: ['r.created_at'],
+  people: ['r.number_of_people'],
+  status: ['r.status'],
+  name: ['COALESCE(u.lastname, r.guest_lastname)', 'COALESCE(u.firstname, r.guest_firstname)']
+};
+
+// Origine d'une réservation saisie par le personnel ou en ligne
+const RESERVATION_SOURCES = ['web', 'phone', 'walk_in', 'email'];
+
 // ============================================
 // VÉRIFIER LES DISPONIBILITÉS (PUBLIC)
 // ============================================
@@ -21,36 +84,41 @@ router.post('/check-availability', async (req, res) => {
   const pool = req.app.locals.pool;
   
   try {
-    const { reservation_date, reservation_time, number_of_people } = req.body;
+    const { reservation_date, reservation_time, number_of_people, zone } = req.body;
 
     if (!reservation_date || !reservation_time || !number_of_people) {
       return res.status(400).json({ error: 'Paramètres manquants' });
     }
 
-    const hour = parseInt(reservation_time.split(':')[0]);
-    const isLunchTime = hour >= 12 && hour < 15;
-
-    const availabilityResult = await query(pool,
-      `SELECT COALESCE(SUM(number_of_people), 0) as total_people
-       FROM reservations 
-       WHERE reservation_date = $1
-       AND reservation_time BETWEEN $2 AND $3
-       AND status IN ('confirmed', 'pending')`,
-      [
-        reservation_date,
-        isLunchTime ? '12:00:00' : '19:00:00',
-        isLunchTime ? '14:30:00' : '22:30:00'
-      ]
-    );
+    if (!isValidPartySize(number_of_people)) {
+      return res.status(400).json({ error: 'Le nombre de personnes doit être entre 1 et 20' });
+    }
+
+    const people = Number(number_of_people);
+    const slot = await checkSlot(pool, {
+      date: reservation_date,
+      time: reservation_time,
+      people,
+      zone: zone || null
+    });
 
-    const totalPeople = parseInt(availabilityResult[0].total_people);
-    const availableSeats = 50 - totalPeople;
-    const isAvailable = availableSeats >= parseInt(number_of_people);
+    // Places réellement libres à chaque horaire du même service
+    let slots = [];
+    if (slot.service) {
+      const daySlots = await getDaySlots(pool, { date: reservation_date, people, zone: zone || null });
+      const serviceSlots = daySlots.find(day => day.service === slot.service.service);
+      slots = serviceSlots ? serviceSlots.slots : [];
+    }
 
     res.json({
-      available: isAvailable,
-      available_seats: availableSeats,
-      requested_seats: parseInt(number_of_people)
+      available: slot.available,
+      available_seats: slot.available_seats,
+      requested_seats: people,
+      service: slot.service ? slot.service.service : null,
+      duration_minutes: slot.duration_minutes || null,
+      tables: slot.tables ? slot.tables.map(table => table.label) : null,
+      slots,
+      ...(slot.message && { message: slot.message })
     });
   } catch (error) {
     console.error('Erreur check availability:', error);
@@ -58,6 +126,55 @@ router.post('/check-availability', async (req, res) => {
   }
 });
 
+// ============================================
+// CALENDRIER DES DISPONIBILITÉS (PUBLIC)
+// ============================================
+router.get('/availability', async (req, res) => {
+  const pool = req.app.locals.pool;
+
+  try {
+    const { from, to, people, zone } = req.query;
+
+    if (!from || !to || !people) {
+      return res.status(400).json({ error: 'Paramètres from, to et people requis' });
+    }
+
+    if (!DATE_REGEX.test(from) || !DATE_REGEX.test(to) || from > to) {
+      return res.status(400).json({ error: 'Plage de dates invalide (YYYY-MM-DD)' });
+    }
+
+    const partySize = parseInt(people);
+    if (!(partySize >= 1 && partySize <= 20)) {
+      return res.status(400).json({ 
+        error: 'Le nombre de personnes doit être entre 1 et 20' 
+      });
+    }
+
+    const dayCount = (new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / (24 * 60 * 60 * 1000) + 1;
+    if (dayCount > MAX_CALENDAR_DAYS) {
+      return res.status(400).json({ 
+        error: `La plage ne peut pas dépasser ${MAX_CALENDAR_DAYS} jours` 
+      });
+    }
+
+    const days = await getAvailabilityCalendar(pool, {
+      from,
+      to,
+      people: partySize,
+      zone: zone || null
+    });
+
+    res.json({
+      success: true,
+      requested_seats: partySize,
+      days
+    });
+  } catch (error) {
+    console.error('❌ Erreur GET /reservations/availability:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
 // ============================================
 // CRÉER UNE RÉSERVATION (JWT AUTH)
 // ============================================
@@ -70,7 +187,8 @@ router.post('/', requireAuth, async (req, res) => {
       reservation_date,
       reservation_time,
       number_of_people,
-      special_requests
+      special_requests,
+      zone
     } = req.body;
 
     console.log('📝 Création réservation pour user:', userId);
@@ -82,73 +200,69 @@ router.post('/', requireAuth, async (req, res) => {
       });
     }
 
-    if (number_of_people < 1 || number_of_people > 20) {
+    if (!isValidPartySize(number_of_people)) {
       return res.status(400).json({ 
         error: 'Le nombre de personnes doit être entre 1 et 20' 
       });
     }
 
-    // Vérifier date future
-    const reservationDateTime = new Date(`${reservation_date}T${reservation_time}`);
+    // Vérifier date future (heure du restaurant)
+    const reservationDateTime = toRestaurantInstant(reservation_date, reservation_time);
     if (reservationDateTime < new Date()) {
       return res.status(400).json({ 
         error: 'La date de réservation doit être future' 
       });
     }
 
-    // Vérifier horaires
-    const [hour, minute] = reservation_time.split(':').map(Number);
-    const timeInMinutes = hour * 60 + minute;
-    const lunchStart = 12 * 60;
-    const lunchEnd = 14 * 60 + 30;
-    const dinnerStart = 19 * 60;
-    const dinnerEnd = 22 * 60 + 30;
-    const isLunchTime = timeInMinutes >= lunchStart && timeInMinutes <= lunchEnd;
-    const isDinnerTime = timeInMinutes >= dinnerStart && timeInMinutes <= dinnerEnd;
+    // Politiques de fiabilité (no-shows, annulations tardives)
+    const policy = await evaluateBookingPolicies(pool, userId);
 
-    if (!isLunchTime && !isDinnerTime) {
-      return res.status(400).json({ 
-        error: 'Horaires de réservation : 12h-14h30 et 19h-22h30' 
+    if (policy.action === 'block_online') {
+      return res.status(403).json({ 
+        error: 'Réservation en ligne indisponible pour ce compte',
+        message: 'Merci de contacter directement le restaurant'
       });
     }
 
-    // Vérifier disponibilité
-    const availabilityResult = await query(pool,
-      `SELECT COALESCE(SUM(number_of_people), 0) as total_people
-       FROM reservations 
-       WHERE reservation_date = $1
-       AND reservation_time BETWEEN $2 AND $3
-       AND status IN ('confirmed', 'pending')`,
-      [
-        reservation_date,
-        isLunchTime ? '12:00:00' : '19:00:00',
-        isLunchTime ? '14:30:00' : '22:30:00'
-      ]
-    );
+    const requiresConfirmation = policy.action === 'require_confirmation';
 
-    const totalPeople = parseInt(availabilityResult[0].total_people);
-    if (totalPeople + parseInt(number_of_people) > 50) {
-      return res.status(400).json({ 
-        error: 'Plus de disponibilité pour ce créneau',
-        available_seats: 50 - totalPeople
+    const outcome = await withTransaction(async (client) => {
+      const created = await createReservation(client, {
+        userId,
+        date: reservation_date,
+        time: reservation_time,
+        people: Number(number_of_people),
+        specialRequests: special_requests || null,
+        zone: zone || null,
+        requiresConfirmation
       });
-    }
 
-    // Créer la réservation
-    const result = await query(pool,
-      `INSERT INTO reservations 
-       (user_id, reservation_date, reservation_time, number_of_people, special_requests, status) 
-       VALUES ($1, $2, $3, $4, $5, 'pending')
-       RETURNING id, user_id, reservation_date, reservation_time, number_of_people, status, created_at`,
-      [userId, reservation_date, reservation_time, number_of_people, special_requests || null]
-    );
+      // Une réservation en attente de garantie n'est annoncée qu'une fois réglée
+      if (!created.error && !created.payment) {
+        await enqueueReservationNotification(client, created.reservation.id, 'reservation_created');
+      }
+
+      return created;
+    });
 
-    console.log('✅ Réservation créée:', result[0]);
+    if (outcome.error) {
+      return res.status(outcome.status).json(outcome.error);
+    }
+
+    console.log('✅ Réservation créée:', outcome.reservation);
 
     res.status(201).json({
       success: true,
-      message: 'Réservation créée avec succès',
-      reservation: result[0]
+      message: outcome.payment
+        ? `Une garantie est demandée : merci de la régler sous ${PAYMENT_DUE_MINUTES} minutes pour valider la réservation`
+        : requiresConfirmation
+          ? 'Réservation enregistrée, elle sera confirmée par le restaurant'
+          : 'Réservation créée avec succès',
+      reservation: {
+        ...outcome.reservation,
+        tables: outcome.tables ? outcome.tables.map(table => table.label) : []
+      },
+      payment: outcome.payment || null
     });
   } catch (error) {
     console.error('❌ Erreur create reservation:', error);
@@ -159,6 +273,153 @@ router.post('/', requireAuth, async (req, res) => {
   }
 });
 
+// ============================================
+// STAFF: SAISIR UNE RÉSERVATION (TÉLÉPHONE, SANS RÉSERVATION, EMAIL) (JWT STAFF)
+// ============================================
+router.post('/staff', requireStaff, async (req, res) => {
+  const pool = req.app.locals.pool;
+  const staffId = req.userId; // ✅ JWT
+
+  try {
+    const {
+      user_id,
+      firstname,
+      lastname,
+      email,
+      phone,
+      number_of_people,
+      special_requests,
+      zone,
+      override_capacity,
+      override_reason,
+      sms_opt_in
+    } = req.body;
+    const source = req.body.source || 'phone';
+
+    if (!RESERVATION_SOURCES.includes(source)) {
+      return res.status(400).json({ error: `Origine invalide (${RESERVATION_SOURCES.join(', ')})` });
+    }
+
+    // Un client sans réservation est installé maintenant, à l'heure du restaurant
+    const now = getRestaurantNow();
+    const isWalkIn = source === 'walk_in';
+    const reservation_date = req.body.reservation_date || (isWalkIn ? now.date : null);
+    const reservation_time = req.body.reservation_time || (isWalkIn ? now.time : null);
+
+    if (!reservation_date || !reservation_time || !number_of_people) {
+      return res.status(400).json({ 
+        error: 'Date, heure et nombre de personnes requis' 
+      });
+    }
+
+    if (!isValidPartySize(number_of_people)) {
+      return res.status(400).json({ 
+        error: 'Le nombre de personnes doit être entre 1 et 20' 
+      });
+    }
+
+    if (!isWalkIn && toRestaurantInstant(reservation_date, reservation_time) < new Date()) {
+      return res.status(400).json({ 
+        error: 'La date de réservation doit être future' 
+      });
+    }
+
+    // Client existant : par identifiant, sinon par email
+    let customerId = null;
+    if (user_id) {
+      const user = await queryOne(pool, 'SELECT id FROM users WHERE id = $1', [user_id]);
+      if (!user) {
+        return res.status(404).json({ error: 'Client non trouvé' });
+      }
+      customerId = user.id;
+    } else if (email) {
+      const user = await queryOne(pool, 'SELECT id FROM users WHERE email = $1', [email.toLowerCase()]);
+      customerId = user ? user.id : null;
+    }
+
+    if (!customerId && !lastname) {
+      return res.status(400).json({ error: 'Nom du client requis' });
+    }
+
+    const outcome = await withTransaction(async (client) => {
+      // Une transition refusée annule la saisie entière
+      await client.query('SAVEPOINT staff_reservation');
+
+      const created = await createReservation(client, {
+        userId: customerId,
+        date: reservation_date,
+        time: reservation_time,
+        people: Number(number_of_people),
+        specialRequests: special_requests || null,
+        zone: zone || null,
+        guest: customerId ? null : {
+          firstname: firstname ? firstname.trim() : null,
+          lastname: lastname.trim(),
+          email: email ? email.toLowerCase() : null,
+          phone: phone ? phone.trim() : null,
+          smsOptIn: sms_opt_in === true
+        },
+        source,
+        strictInterval: false,
+        capacityOverride: override_capacity ? { by: staffId, reason: override_reason } : null,
+        changedBy: staffId,
+        // Le personnel prend lui-même les garanties au téléphone ou au comptoir
+        depositRules: false
+      });
+
+      if (created.error) {
+        return created;
+      }
+
+      // Saisie par le personnel : confirmée d'office, installée pour un client sans réservation
+      const steps = isWalkIn ? ['confirmed', 'seated'] : ['confirmed'];
+      for (const toStatus of steps) {
+        const transition = await transitionReservation(client, {
+          reservationId: created.reservation.id,
+          toStatus,
+          changedBy: staffId
+        });
+        if (transition.error) {
+          await client.query('ROLLBACK TO SAVEPOINT staff_reservation');
+          return { status: transition.status, error: { error: transition.error } };
+        }
+        created.reservation = transition.reservation;
+      }
+
+      if (!isWalkIn) {
+        await enqueueReservationNotification(client, created.reservation.id, 'reservation_confirmed');
+      }
+
+      return created;
+    });
+
+    if (outcome.error) {
+      return res.status(outcome.status).json(outcome.error);
+    }
+
+    if (outcome.overridden) {
+      console.log(`⚠️ Dépassement de capacité par ${staffId} pour la réservation ${outcome.reservation.id}`);
+    }
+
+    // Un invité avec email reçoit le même lien de gestion qu'en ligne
+    const token = outcome.reservation.guest_email ? createManagementToken(outcome.reservation) : null;
+
+    res.status(201).json({
+      success: true,
+      message: isWalkIn ? 'Client installé' : 'Réservation enregistrée',
+      reservation: {
+        ...outcome.reservation,
+        tables: outcome.tables ? outcome.tables.map(table => table.label) : []
+      },
+      capacity_overridden: outcome.overridden,
+      ...(token && { management_link: getManagementLink(token) })
+    });
+  } catch (error) {
+    console.error('❌ Erreur POST /reservations/staff:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
 // ============================================
 // RÉCUPÉRER LES RÉSERVATIONS DE L'UTILISATEUR (JWT AUTH)
 // ============================================
@@ -201,9 +462,20 @@ router.get('/:id', requireAuth, async (req, res) => {
   
   try {
     const reservation = await queryOne(pool,
-      `SELECT r.*, u.firstname, u.lastname, u.email, u.phone
+      `SELECT r.*,
+              COALESCE(u.firstname, r.guest_firstname) as firstname,
+              COALESCE(u.lastname, r.guest_lastname) as lastname,
+              COALESCE(u.email, r.guest_email) as email,
+              COALESCE(u.phone, r.guest_phone) as phone,
+              COALESCE(
+                (SELECT json_agg(json_build_object('id', t.id, 'label', t.label, 'zone', t.zone) ORDER BY t.label)
+                 FROM reservation_tables rt
+                 JOIN restaurant_tables t ON t.id = rt.table_id
+                 WHERE rt.reservation_id = r.id),
+                '[]'
+              ) as tables
        FROM reservations r
-       JOIN users u ON r.user_id = u.id
+       LEFT JOIN users u ON r.user_id = u.id
        WHERE r.id = $1`,
       [req.params.id]
     );
@@ -217,6 +489,11 @@ router.get('/:id', requireAuth, async (req, res) => {
       return res.status(403).json({ error: 'Accès refusé' });
     }
 
+    reservation.status_history = await getStatusHistory(pool, reservation.id);
+    reservation.notifications = await getReservationNotifications(pool, reservation.id);
+    reservation.payment = await getReservationPayment(pool, reservation.id);
+    reservation.cancellation_policy = await getCancellationPolicy(pool, reservation);
+
     res.json({
       success: true,
       reservation
@@ -227,6 +504,203 @@ router.get('/:id', requireAuth, async (req, res) => {
   }
 });
 
+// GET /reservations/:id/ics - Ajouter à son agenda (JWT AUTH)
+router.get('/:id/ics', requireAuth, async (req, res) => {
+  const pool = req.app.locals.pool;
+
+  try {
+    const reservation = await queryOne(pool,
+      'SELECT * FROM reservations WHERE id = $1',
+      [req.params.id]
+    );
+
+    if (!reservation) {
+      return res.status(404).json({ error: 'Réservation non trouvée' });
+    }
+
+    if (reservation.user_id !== req.userId && req.userRole !== 'admin') {
+      return res.status(403).json({ error: 'Accès refusé' });
+    }
+
+    const context = await getCalendarContext(pool);
+    const calendar = buildCalendar(context.restaurantName, [buildGuestEvent(reservation, context)]);
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="reservation-${reservation.id}.ics"`);
+    res.send(calendar);
+  } catch (error) {
+    console.error('❌ Erreur GET /reservations/:id/ics:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// ============================================
+// RÉGLER LA GARANTIE (ACOMPTE OU EMPREINTE) (JWT AUTH)
+// ============================================
+router.post('/:id/payment', requireAuth, async (req, res) => {
+  const pool = req.app.locals.pool;
+  const provider = req.app.locals.paymentProvider;
+  const userId = req.userId; // ✅ JWT
+
+  try {
+    const { payment_method } = req.body;
+
+    if (!payment_method) {
+      return res.status(400).json({ error: 'Moyen de paiement requis' });
+    }
+
+    const reservation = await queryOne(pool,
+      'SELECT * FROM reservations WHERE id = $1',
+      [req.params.id]
+    );
+
+    if (!reservation || reservation.user_id !== userId) {
+      return res.status(404).json({ error: 'Réservation non trouvée' });
+    }
+
+    const attempt = await authorizePayment(pool, provider, reservation, payment_method);
+
+    if (attempt.error) {
+      return res.status(attempt.status).json({ error: attempt.error });
+    }
+
+    // Validation en attente chez le prestataire (3-D Secure...) : le résultat arrive par webhook
+    if (!attempt.succeeded) {
+      return res.status(202).json({
+        success: true,
+        message: 'Paiement en cours de validation',
+        payment: attempt.payment,
+        action_url: attempt.action_url
+      });
+    }
+
+    const outcome = await withTransaction((client) => completePayment(client, attempt.payment.id, {
+      changedBy: userId
+    }));
+
+    if (outcome.error) {
+      // Réservation annulée pendant le paiement : la garantie est rendue
+      if (outcome.payment) {
+        settlePayment(pool, provider, reservation.id, 'refund');
+      }
+      return res.status(409).json({ error: 'Le délai de paiement est dépassé, la garantie sera remboursée' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Garantie enregistrée, votre réservation est validée',
+      reservation: outcome.reservation,
+      payment: outcome.payment
+    });
+  } catch (error) {
+    console.error('❌ Erreur POST /reservations/:id/payment:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// ============================================
+// MODIFIER UNE RÉSERVATION (JWT AUTH)
+// ============================================
+router.put('/:id', requireAuth, async (req, res) => {
+  const pool = req.app.locals.pool;
+  const userId = req.userId; // ✅ JWT
+  const userRole = req.userRole; // ✅ JWT
+
+  try {
+    const {
+      reservation_date,
+      reservation_time,
+      number_of_people,
+      special_requests,
+      zone
+    } = req.body;
+
+    if (reservation_date === undefined && reservation_time === undefined &&
+        number_of_people === undefined && special_requests === undefined) {
+      return res.status(400).json({ error: 'Aucune modification demandée' });
+    }
+
+    if (number_of_people !== undefined && !isValidPartySize(number_of_people)) {
+      return res.status(400).json({ 
+        error: 'Le nombre de personnes doit être entre 1 et 20' 
+      });
+    }
+
+    if (reservation_date !== undefined && !DATE_REGEX.test(reservation_date)) {
+      return res.status(400).json({ error: 'Format de date invalide (YYYY-MM-DD)' });
+    }
+
+    if (reservation_time !== undefined && !TIME_REGEX.test(reservation_time)) {
+      return res.status(400).json({ error: 'Format d\'heure invalide (HH:MM)' });
+    }
+
+    const outcome = await withTransaction(async (client) => {
+      // La ligne reste verrouillée : une annulation concurrente attend la fin de la modification
+      const locked = await client.query(
+        'SELECT * FROM reservations WHERE id = $1 FOR UPDATE',
+        [req.params.id]
+      );
+      const reservation = locked.rows[0];
+
+      if (!reservation) {
+        return { status: 404, error: { error: 'Réservation non trouvée' } };
+      }
+
+      // Vérifier propriétaire ou admin
+      if (reservation.user_id !== userId && userRole !== 'admin') {
+        return { status: 403, error: { error: 'Accès refusé' } };
+      }
+
+      const change = await evaluateChange(client, reservation, {
+        action: 'modify',
+        byCustomer: reservation.user_id === userId,
+        override: req.body.override_policy === true
+      });
+      if (change.error) {
+        return { status: 400, error: { error: change.error } };
+      }
+
+      const modified = await modifyReservation(client, reservation, {
+        date: reservation_date,
+        time: reservation_time,
+        people: number_of_people,
+        specialRequests: special_requests,
+        zone: zone || null
+      });
+
+      if (modified.error) {
+        return { status: 400, error: modified.error };
+      }
+
+      await enqueueReservationNotification(client, modified.reservation.id, 'reservation_modified');
+
+      return modified;
+    });
+
+    if (outcome.error) {
+      return res.status(outcome.status).json(outcome.error);
+    }
+
+    console.log('✏️ Réservation modifiée:', outcome.reservation.id);
+
+    if (outcome.slotChanged) {
+      releaseToWaitlist(pool, outcome.previousDate);
+    }
+
+    res.json({
+      success: true,
+      message: 'Réservation modifiée avec succès',
+      reservation: {
+        ...outcome.reservation,
+        ...(outcome.tables && { tables: outcome.tables.map(table => table.label) })
+      }
+    });
+  } catch (error) {
+    console.error('❌ Erreur PUT /reservations/:id:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
 // ============================================
 // ANNULER UNE RÉSERVATION (JWT AUTH)
 // ============================================
@@ -250,24 +724,35 @@ router.put('/:id/cancel', requireAuth, async (req, res) => {
       return res.status(403).json({ error: 'Accès refusé' });
     }
 
-    if (reservation.status === 'cancelled') {
-      return res.status(400).json({ error: 'Réservation déjà annulée' });
+    const change = await evaluateChange(pool, reservation, {
+      action: 'cancel',
+      byCustomer: reservation.user_id === userId,
+      override: req.body.override_policy === true
+    });
+    if (change.error) {
+      return res.status(400).json({ error: change.error });
     }
 
-    // Vérifier 2h avant
-    const reservationDateTime = new Date(`${reservation.reservation_date}T${reservation.reservation_time}`);
-    const twoHoursFromNow = new Date(Date.now() + 2 * 60 * 60 * 1000);
-
-    if (reservationDateTime < twoHoursFromNow) {
-      return res.status(400).json({ 
-        error: 'Impossible d\'annuler moins de 2h avant la réservation' 
+    const outcome = await withTransaction(async (client) => {
+      const cancelled = await cancelReservation(client, reservation, {
+        changedBy: userId,
+        reason: req.body.reason || null,
+        late: change.late
       });
+
+      if (!cancelled.error) {
+        await enqueueReservationNotification(client, reservation.id, 'reservation_cancelled');
+      }
+
+      return cancelled;
+    });
+
+    if (outcome.error) {
+      return res.status(outcome.status).json({ error: outcome.error });
     }
 
-    await query(pool,
-      'UPDATE reservations SET status = $1, cancelled_at = CURRENT_TIMESTAMP WHERE id = $2',
-      ['cancelled', req.params.id]
-    );
+    releaseToWaitlist(pool, reservation.reservation_date);
+    settlePayment(pool, req.app.locals.paymentProvider, reservation.id);
 
     res.json({ 
       success: true,
@@ -289,31 +774,65 @@ router.delete('/:id', requireAuth, async (req, res) => {
   const { id } = req.params;
 
   try {
-    // Vérifier propriétaire ou admin
-    const checkQuery = `
-      SELECT * FROM reservations 
-      WHERE id = $1 
-      AND (user_id = $2 OR $3 = 'admin')
-    `;
-    const checkResult = await query(pool, checkQuery, [id, userId, userRole]);
+    const outcome = await withTransaction(async (client) => {
+      // Vérifier propriétaire ou admin ; la ligne reste verrouillée jusqu'à la suppression
+      const checkResult = await client.query(
+        `SELECT * FROM reservations 
+         WHERE id = $1 
+         AND (user_id = $2 OR $3 = 'admin')
+         FOR UPDATE`,
+        [id, userId, userRole]
+      );
+      const reservation = checkResult.rows[0];
+
+      if (!reservation) {
+        return {
+          status: 404,
+          error: { success: false, error: 'Réservation non trouvée ou accès non autorisé' }
+        };
+      }
 
-    if (checkResult.length === 0) {
-      return res.status(404).json({ 
-        success: false,
-        error: 'Réservation non trouvée ou accès non autorisé' 
+      const change = await evaluateChange(client, reservation, {
+        action: 'delete',
+        byCustomer: reservation.user_id === userId,
+        override: req.body.override_policy === true
       });
+      if (change.error) {
+        return { status: 400, error: { error: change.error } };
+      }
+
+      const active = ACTIVE_STATUSES.includes(reservation.status);
+
+      // Prévenir le client et relever sa garantie avant que la réservation ne disparaisse
+      const payment = active ? await getReservationPayment(client, reservation.id) : null;
+      if (active) {
+        await enqueueReservationNotification(client, reservation.id, 'reservation_cancelled');
+      }
+
+      const deleted = await client.query(
+        'DELETE FROM reservations WHERE id = $1 RETURNING *',
+        [reservation.id]
+      );
+
+      return { reservation: deleted.rows[0], active, payment };
+    });
+
+    if (outcome.error) {
+      return res.status(outcome.status).json(outcome.error);
     }
 
-    // Supprimer
-    const result = await query(pool,
-      'DELETE FROM reservations WHERE id = $1 RETURNING *',
-      [id]
-    );
+    // La garantie n'est rendue qu'une fois la suppression validée
+    if (outcome.active) {
+      releaseToWaitlist(pool, outcome.reservation.reservation_date);
+      if (outcome.payment) {
+        refundPayment(pool, req.app.locals.paymentProvider, outcome.payment);
+      }
+    }
 
     res.json({
       success: true,
       message: 'Réservation supprimée avec succès',
-      reservation: result[0]
+      reservation: outcome.reservation
     });
   } catch (error) {
     console.error('❌ Erreur DELETE /reservations/:id:', error);
@@ -328,57 +847,221 @@ router.get('/admin/all', requireAdmin, async (req, res) => {
   const pool = req.app.locals.pool;
   
   try {
-    const { date, status } = req.query;
-    let sql = `
-      SELECT r.*, u.firstname, u.lastname, u.email, u.phone
-      FROM reservations r
-      JOIN users u ON r.user_id = u.id
-      WHERE 1=1
-    `;
+    const {
+      date,
+      from,
+      to,
+      status,
+      source,
+      user_id,
+      search,
+      min_people,
+      max_people
+    } = req.query;
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const sort = req.query.sort || 'date';
+    const order = String(req.query.order || 'desc').toLowerCase();
+
+    if (!ADMIN_SORTS[sort]) {
+      return res.status(400).json({ error: `Tri invalide (${Object.keys(ADMIN_SORTS).join(', ')})` });
+    }
+
+    if (!['asc', 'desc'].includes(order)) {
+      return res.status(400).json({ error: 'Ordre invalide (asc, desc)' });
+    }
+
+    for (const value of [date, from, to]) {
+      if (value && !DATE_REGEX.test(value)) {
+        return res.status(400).json({ error: 'Date invalide (AAAA-MM-JJ)' });
+      }
+    }
+
+    if ((min_people && isNaN(parseInt(min_people))) || (max_people && isNaN(parseInt(max_people)))) {
+      return res.status(400).json({ error: 'Nombre de personnes invalide' });
+    }
+
+    let where = ' WHERE 1=1';
     const params = [];
     let paramIndex = 1;
 
     if (date) {
-      sql += ` AND r.reservation_date = $${paramIndex}`;
+      where += ` AND r.reservation_date = $${paramIndex}`;
       params.push(date);
       paramIndex++;
     }
 
+    if (from) {
+      where += ` AND r.reservation_date >= $${paramIndex}`;
+      params.push(from);
+      paramIndex++;
+    }
+
+    if (to) {
+      where += ` AND r.reservation_date <= $${paramIndex}`;
+      params.push(to);
+      paramIndex++;
+    }
+
+    // Plusieurs statuts possibles : ?status=pending,confirmed
     if (status) {
-      sql += ` AND r.status = $${paramIndex}`;
-      params.push(status);
+      where += ` AND r.status = ANY($${paramIndex}::text[])`;
+      params.push(String(status).split(','));
       paramIndex++;
     }
 
-    sql += ' ORDER BY r.reservation_date DESC, r.reservation_time DESC';
+    if (source) {
+      where += ` AND r.source = ANY($${paramIndex}::text[])`;
+      params.push(String(source).split(','));
+      paramIndex++;
+    }
 
-    const reservations = await query(pool, sql, params);
+    if (user_id) {
+      where += ` AND r.user_id = $${paramIndex}`;
+      params.push(user_id);
+      paramIndex++;
+    }
+
+    if (min_people) {
+      where += ` AND r.number_of_people >= $${paramIndex}`;
+      params.push(parseInt(min_people));
+      paramIndex++;
+    }
+
+    if (max_people) {
+      where += ` AND r.number_of_people <= $${paramIndex}`;
+      params.push(parseInt(max_people));
+      paramIndex++;
+    }
+
+    // Recherche sur le nom ou l'email, compte client comme invité
+    if (search) {
+      where += ` AND (
+        COALESCE(u.firstname, r.guest_firstname) ILIKE $${paramIndex}
+        OR COALESCE(u.lastname, r.guest_lastname) ILIKE $${paramIndex}
+        OR COALESCE(u.email, r.guest_email) ILIKE $${paramIndex}
+        OR CONCAT_WS(' ', COALESCE(u.firstname, r.guest_firstname), COALESCE(u.lastname, r.guest_lastname)) ILIKE $${paramIndex}
+      )`;
+      params.push(`%${search}%`);
+      paramIndex++;
+    }
+
+    const fromSql = `
+      FROM reservations r
+      LEFT JOIN users u ON r.user_id = u.id
+    `;
+
+    const counts = await query(pool,
+      `SELECT r.status, COUNT(*) as count ${fromSql} ${where} GROUP BY r.status`,
+      params
+    );
+
+    const statusCounts = {};
+    let total = 0;
+    counts.forEach(row => {
+      statusCounts[row.status] = parseInt(row.count);
+      total += parseInt(row.count);
+    });
+
+    const direction = order === 'asc' ? 'ASC' : 'DESC';
+    const orderBy = ADMIN_SORTS[sort].map(column => `${column} ${direction}`).join(', ');
+
+    const reservations = await query(pool,
+      `SELECT r.*,
+              COALESCE(u.firstname, r.guest_firstname) as firstname,
+              COALESCE(u.lastname, r.guest_lastname) as lastname,
+              COALESCE(u.email, r.guest_email) as email,
+              COALESCE(u.phone, r.guest_phone) as phone
+       ${fromSql} ${where}
+       ORDER BY ${orderBy}, r.id ${direction}
+       LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`,
+      [...params, limit, (page - 1) * limit]
+    );
 
     res.json({ 
       success: true,
-      reservations 
+      reservations,
+      pagination: {
+        page,
+        limit,
+        total,
+        total_pages: Math.ceil(total / limit)
+      },
+      status_counts: statusCounts
     });
   } catch (error) {
+    if (error.code === '22P02') {
+      return res.status(400).json({ error: 'Identifiant client invalide' });
+    }
     console.error('❌ Erreur get all reservations:', error);
     res.status(500).json({ error: 'Erreur serveur' });
   }
 });
 
 // ============================================
-// ADMIN: CONFIRMER UNE RÉSERVATION (JWT ADMIN)
+// ADMIN: JOURNAL DES DÉPASSEMENTS DE CAPACITÉ (JWT ADMIN)
 // ============================================
-router.put('/:id/confirm', requireAdmin, async (req, res) => {
+router.get('/admin/capacity-overrides', requireAdmin, async (req, res) => {
   const pool = req.app.locals.pool;
-  
+
   try {
-    await query(pool,
-      'UPDATE reservations SET status = $1 WHERE id = $2',
-      ['confirmed', req.params.id]
+    const { from, to } = req.query;
+
+    const overrides = await query(pool,
+      `SELECT o.*, r.reservation_date, r.reservation_time, r.source, r.status,
+              u.firstname as staff_firstname, u.lastname as staff_lastname
+       FROM capacity_overrides o
+       JOIN reservations r ON r.id = o.reservation_id
+       LEFT JOIN users u ON u.id = o.overridden_by
+       WHERE ($1::date IS NULL OR r.reservation_date >= $1)
+       AND ($2::date IS NULL OR r.reservation_date <= $2)
+       ORDER BY o.created_at DESC`,
+      [from || null, to || null]
     );
 
+    res.json({
+      success: true,
+      overrides,
+      count: overrides.length
+    });
+  } catch (error) {
+    console.error('❌ Erreur GET /reservations/admin/capacity-overrides:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// ============================================
+// ADMIN: CONFIRMER UNE RÉSERVATION (JWT ADMIN)
+// ============================================
+router.put('/:id/confirm', requireAdmin, async (req, res) => {
+  try {
+    const outcome = await withTransaction(async (client) => {
+      const transition = await transitionReservation(client, {
+        reservationId: req.params.id,
+        toStatus: 'confirmed',
+        changedBy: req.userId,
+        reason: req.body.reason || null
+      });
+
+      if (!transition.error) {
+        await enqueueReservationNotification(client, transition.reservation.id, 'reservation_confirmed');
+      }
+
+      return transition;
+    });
+
+    if (outcome.error) {
+      return res.status(outcome.status).json({ 
+        error: outcome.error,
+        ...(outcome.allowed && { allowed: outcome.allowed })
+      });
+    }
+
     res.json({ 
       success: true,
-      message: 'Réservation confirmée avec succès' 
+      message: 'Réservation confirmée avec succès',
+      reservation: outcome.reservation
     });
   } catch (error) {
     console.error('❌ Erreur confirm reservation:', error);
@@ -386,4 +1069,205 @@ router.put('/:id/confirm', requireAdmin, async (req, res) => {
   }
 });
 
+// ============================================
+// STAFF: CHANGER LE STATUT D'UNE RÉSERVATION (JWT STAFF)
+// ============================================
+router.put('/:id/status', requireStaff, async (req, res) => {
+  try {
+    const { status, reason } = req.body;
+
+    if (!status) {
+      return res.status(400).json({ error: 'Statut requis' });
+    }
+
+    // Une annulation par le personnel suit la même politique que les autres chemins
+    if (status === 'cancelled') {
+      const reservation = await queryOne(req.app.locals.pool,
+        'SELECT * FROM reservations WHERE id = $1',
+        [req.params.id]
+      );
+
+      if (reservation) {
+        const change = await evaluateChange(req.app.locals.pool, reservation, {
+          action: 'cancel',
+          byCustomer: false,
+          override: req.body.override_policy === true
+        });
+        if (change.error) {
+          return res.status(400).json({ error: change.error });
+        }
+      }
+    }
+
+    const outcome = await withTransaction(async (client) => {
+      const transition = await transitionReservation(client, {
+        reservationId: req.params.id,
+        toStatus: status,
+        changedBy: req.userId,
+        reason: reason || null
+      });
+
+      if (transition.error) {
+        return transition;
+      }
+
+      if (['cancelled', 'declined'].includes(status)) {
+        await enqueueReservationNotification(client, transition.reservation.id, 'reservation_cancelled');
+      }
+
+      if (status === 'confirmed') {
+        await enqueueReservationNotification(client, transition.reservation.id, 'reservation_confirmed');
+      }
+
+      return transition;
+    });
+
+    if (outcome.error) {
+      return res.status(outcome.status).json({ 
+        error: outcome.error,
+        ...(outcome.allowed && { allowed: outcome.allowed })
+      });
+    }
+
+    console.log(`🔄 Réservation ${req.params.id} → ${status} par ${req.userId}`);
+
+    if (['cancelled', 'declined'].includes(status)) {
+      releaseToWaitlist(req.app.locals.pool, outcome.reservation.reservation_date);
+    }
+
+    settlePayment(req.app.locals.pool, req.app.locals.paymentProvider, outcome.reservation.id);
+
+    res.json({
+      success: true,
+      message: 'Statut mis à jour avec succès',
+      reservation: outcome.reservation
+    });
+  } catch (error) {
+    console.error('❌ Erreur PUT /reservations/:id/status:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// ============================================
+// STAFF: MARQUER UN NO-SHOW (JWT STAFF)
+// ============================================
+router.put('/:id/no-show', requireStaff, async (req, res) => {
+  const pool = req.app.locals.pool;
+
+  try {
+    const reservation = await queryOne(pool,
+      'SELECT * FROM reservations WHERE id = $1',
+      [req.params.id]
+    );
+
+    if (!reservation) {
+      return res.status(404).json({ error: 'Réservation non trouvée' });
+    }
+
+    if (getReservationDateTime(reservation) > new Date()) {
+      return res.status(400).json({ error: 'L\'heure de la réservation n\'est pas encore passée' });
+    }
+
+    const outcome = await withTransaction((client) => transitionReservation(client, {
+      reservationId: reservation.id,
+      toStatus: 'no_show',
+      changedBy: req.userId,
+      reason: req.body.reason || null
+    }));
+
+    if (outcome.error) {
+      return res.status(outcome.status).json({ 
+        error: outcome.error,
+        ...(outcome.allowed && { allowed: outcome.allowed })
+      });
+    }
+
+    console.log(`🚫 No-show enregistré pour réservation ${reservation.id}`);
+
+    settlePayment(pool, req.app.locals.paymentProvider, reservation.id);
+
+    res.json({
+      success: true,
+      message: 'No-show enregistré',
+      reservation: outcome.reservation
+    });
+  } catch (error) {
+    console.error('❌ Erreur PUT /reservations/:id/no-show:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// ============================================
+// STAFF: MODIFIER L'AFFECTATION DES TABLES (JWT STAFF)
+// ============================================
+router.put('/:id/tables', requireStaff, async (req, res) => {
+  const pool = req.app.locals.pool;
+
+  try {
+    const { table_ids, force } = req.body;
+
+    if (!Array.isArray(table_ids) || table_ids.length === 0) {
+      return res.status(400).json({ error: 'Liste de tables requise' });
+    }
+
+    const reservation = await queryOne(pool,
+      'SELECT * FROM reservations WHERE id = $1',
+      [req.params.id]
+    );
+
+    if (!reservation) {
+      return res.status(404).json({ error: 'Réservation non trouvée' });
+    }
+
+    const tables = await query(pool,
+      'SELECT * FROM restaurant_tables WHERE id = ANY($1::int[]) AND is_active = true',
+      [table_ids]
+    );
+
+    if (tables.length !== new Set(table_ids.map(Number)).size) {
+      return res.status(400).json({ error: 'Table inconnue ou inactive' });
+    }
+
+    const conflicts = await withTransaction(async (client) => {
+      await lockReservationDate(client, reservation.reservation_date);
+
+      // Refuser les tables encore occupées pendant le repas, sauf forçage explicite
+      if (!force) {
+        const occupied = await getOccupiedTableIds(client, {
+          date: reservation.reservation_date,
+          time: reservation.reservation_time,
+          duration: reservation.duration_minutes || await getSeatingDuration(client, reservation.number_of_people),
+          excludeReservationId: reservation.id
+        });
+        const taken = tables.filter(table => occupied.includes(table.id));
+
+        if (taken.length > 0) {
+          return taken;
+        }
+      }
+
+      await assignTables(client, reservation.id, tables.map(table => table.id), req.userId);
+      return [];
+    });
+
+    if (conflicts.length > 0) {
+      return res.status(409).json({
+        error: 'Tables déjà occupées sur ce créneau',
+        conflicts: conflicts.map(table => table.label)
+      });
+    }
+
+    console.log(`🪑 Tables réaffectées pour réservation ${reservation.id} par ${req.userId}`);
+
+    res.json({
+      success: true,
+      message: 'Tables affectées avec succès',
+      tables: tables.map(table => ({ id: table.id, label: table.label, zone: table.zone }))
+    });
+  } catch (error) {
+    console.error('❌ Erreur PUT /reservations/:id/tables:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
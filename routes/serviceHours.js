@@ -0,0 +1,478 @@
+// backend/routes/serviceHours.js - VERSION JWT
+const express = require('express');
+const router = express.Router();
+const { requireAdmin } = require('../middleware/auths');
+const { ACTIVE_STATUSES } = require('../services/reservationStatus');
+
+const SERVICES = ['lunch', 'dinner'];
+const TIME_REGEX = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+const EXCEPTION_TYPES = ['closed', 'special_hours'];
+
+// ============================================
+// UTILITAIRES VALIDATION
+// ============================================
+const validateServiceHours = (body, partial = false) => {
+  const {
+    day_of_week,
+    service,
+    start_time,
+    end_time,
+    last_seating_time,
+    slot_interval_minutes,
+    capacity
+  } = body;
+
+  if (!partial) {
+    if (day_of_week === undefined || !service || !start_time || !end_time || !last_seating_time) {
+      return 'Jour, service, heure de début, heure de fin et dernière prise requis';
+    }
+  }
+
+  if (day_of_week !== undefined && (!Number.isInteger(Number(day_of_week)) || day_of_week < 0 || day_of_week > 6)) {
+    return 'Le jour doit être compris entre 0 (dimanche) et 6 (samedi)';
+  }
+
+  if (service !== undefined && !SERVICES.includes(service)) {
+    return 'Service invalide (lunch ou dinner)';
+  }
+
+  for (const time of [start_time, end_time, last_seating_time]) {
+    if (time !== undefined && !TIME_REGEX.test(time)) {
+      return 'Format d\'heure invalide (HH:MM)';
+    }
+  }
+
+  if (slot_interval_minutes !== undefined && !(parseInt(slot_interval_minutes) > 0)) {
+    return 'L\'intervalle entre créneaux doit être positif';
+  }
+
+  if (capacity !== undefined && !(parseInt(capacity) >= 0)) {
+    return 'La capacité doit être positive';
+  }
+
+  return null;
+};
+
+const validateException = (body) => {
+  const { exception_date, service, exception_type } = body;
+
+  if (!exception_date || !DATE_REGEX.test(exception_date)) {
+    return 'Date requise (YYYY-MM-DD)';
+  }
+
+  if (!EXCEPTION_TYPES.includes(exception_type)) {
+    return 'Type invalide (closed ou special_hours)';
+  }
+
+  if (service !== undefined && service !== null && !SERVICES.includes(service)) {
+    return 'Service invalide (lunch ou dinner)';
+  }
+
+  if (exception_type === 'special_hours') {
+    if (!service) {
+      return 'Un horaire spécial doit préciser le service';
+    }
+    return validateServiceHours({ ...body, day_of_week: 0 });
+  }
+
+  return null;
+};
+
+const handleConstraintError = (error, res) => {
+  if (error.code === '23505') {
+    res.status(409).json({ error: 'Ce service existe déjà pour ce jour' });
+    return true;
+  }
+  if (error.code === '23514') {
+    res.status(400).json({ error: 'Horaires incohérents (début ≤ dernière prise ≤ fin)' });
+    return true;
+  }
+  return false;
+};
+
+// GET /service-hours - Horaires des services (PUBLIC)
+router.get('/', async (req, res) => {
+  const pool = req.app.locals.pool;
+
+  try {
+    const result = await pool.query(`
+      SELECT * FROM service_hours
+      ORDER BY day_of_week ASC, start_time ASC
+    `);
+
+    res.json({
+      success: true,
+      service_hours: result.rows
+    });
+  } catch (error) {
+    console.error('❌ Erreur GET /service-hours:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// GET /service-hours/seating-durations - Durées d'occupation par taille de groupe (PUBLIC)
+router.get('/seating-durations', async (req, res) => {
+  const pool = req.app.locals.pool;
+
+  try {
+    const result = await pool.query(
+      'SELECT * FROM seating_durations ORDER BY min_party ASC'
+    );
+
+    res.json({
+      success: true,
+      seating_durations: result.rows
+    });
+  } catch (error) {
+    console.error('❌ Erreur GET /service-hours/seating-durations:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// PUT /service-hours/seating-durations - Remplacer les durées d'occupation (ADMIN JWT)
+router.put('/seating-durations', requireAdmin, async (req, res) => {
+  const pool = req.app.locals.pool;
+  const { seating_durations } = req.body;
+
+  if (!Array.isArray(seating_durations) || seating_durations.length === 0) {
+    return res.status(400).json({ error: 'Liste de durées requise' });
+  }
+
+  const invalid = seating_durations.some(rule =>
+    !(parseInt(rule.min_party) >= 1) ||
+    !(parseInt(rule.max_party) >= parseInt(rule.min_party)) ||
+    !(parseInt(rule.duration_minutes) > 0)
+  );
+
+  if (invalid) {
+    return res.status(400).json({ 
+      error: 'Chaque règle doit avoir min_party ≥ 1, max_party ≥ min_party et une durée positive' 
+    });
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    await client.query('DELETE FROM seating_durations');
+
+    for (const rule of seating_durations) {
+      await client.query(
+        'INSERT INTO seating_durations (min_party, max_party, duration_minutes) VALUES ($1, $2, $3)',
+        [rule.min_party, rule.max_party, rule.duration_minutes]
+      );
+    }
+
+    const result = await client.query('SELECT * FROM seating_durations ORDER BY min_party ASC');
+    await client.query('COMMIT');
+
+    res.json({
+      success: true,
+      message: 'Durées d\'occupation mises à jour avec succès',
+      seating_durations: result.rows
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('❌ Erreur PUT /service-hours/seating-durations:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  } finally {
+    client.release();
+  }
+});
+
+// GET /service-hours/exceptions - Fermetures et horaires spéciaux (PUBLIC)
+router.get('/exceptions', async (req, res) => {
+  const pool = req.app.locals.pool;
+
+  try {
+    const { from, to } = req.query;
+
+    const result = await pool.query(`
+      SELECT id, exception_date, service, exception_type, start_time, end_time,
+             last_seating_time, slot_interval_minutes, capacity, reason
+      FROM service_exceptions
+      WHERE exception_date >= COALESCE($1::date, CURRENT_DATE)
+      AND ($2::date IS NULL OR exception_date <= $2::date)
+      ORDER BY exception_date ASC, service ASC NULLS FIRST
+    `, [from || null, to || null]);
+
+    res.json({
+      success: true,
+      exceptions: result.rows
+    });
+  } catch (error) {
+    console.error('❌ Erreur GET /service-hours/exceptions:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// POST /service-hours/exceptions - Ajouter une fermeture ou un horaire spécial (ADMIN JWT)
+router.post('/exceptions', requireAdmin, async (req, res) => {
+  const pool = req.app.locals.pool;
+
+  try {
+    const validationError = validateException(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const {
+      exception_date,
+      service,
+      exception_type,
+      start_time,
+      end_time,
+      last_seating_time,
+      slot_interval_minutes,
+      capacity,
+      reason
+    } = req.body;
+
+    const result = await pool.query(`
+      INSERT INTO service_exceptions (
+        exception_date, service, exception_type, start_time, end_time,
+        last_seating_time, slot_interval_minutes, capacity, reason, created_by
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+      RETURNING *
+    `, [
+      exception_date, service || null, exception_type,
+      exception_type === 'special_hours' ? start_time : null,
+      exception_type === 'special_hours' ? end_time : null,
+      exception_type === 'special_hours' ? last_seating_time : null,
+      exception_type === 'special_hours' ? slot_interval_minutes || null : null,
+      exception_type === 'special_hours' ? capacity ?? null : null,
+      reason || null, req.userId
+    ]);
+
+    // Signaler les réservations déjà prises sur une journée ou un service fermé
+    let affectedReservations = 0;
+    if (exception_type === 'closed') {
+      const affected = await pool.query(`
+        SELECT COUNT(*) as count FROM reservations r
+        WHERE r.reservation_date = $1
+        AND r.status = ANY($3::text[])
+        AND ($2::text IS NULL OR EXISTS (
+          SELECT 1 FROM service_hours sh
+          WHERE sh.day_of_week = EXTRACT(DOW FROM r.reservation_date)
+          AND sh.service = $2
+          AND r.reservation_time BETWEEN sh.start_time AND sh.last_seating_time
+        ))
+      `, [exception_date, service || null, ACTIVE_STATUSES]);
+      affectedReservations = parseInt(affected.rows[0].count);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Exception ajoutée avec succès',
+      exception: result.rows[0],
+      affected_reservations: affectedReservations
+    });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'Une exception existe déjà pour ce jour et ce service' });
+    }
+    if (handleConstraintError(error, res)) return;
+    console.error('❌ Erreur POST /service-hours/exceptions:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// PUT /service-hours/exceptions/:id - Modifier une exception (ADMIN JWT)
+router.put('/exceptions/:id', requireAdmin, async (req, res) => {
+  const pool = req.app.locals.pool;
+
+  try {
+    const validationError = validateServiceHours(req.body, true);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const {
+      start_time,
+      end_time,
+      last_seating_time,
+      slot_interval_minutes,
+      capacity,
+      reason
+    } = req.body;
+
+    const result = await pool.query(`
+      UPDATE service_exceptions SET
+        start_time = COALESCE($1, start_time),
+        end_time = COALESCE($2, end_time),
+        last_seating_time = COALESCE($3, last_seating_time),
+        slot_interval_minutes = COALESCE($4, slot_interval_minutes),
+        capacity = COALESCE($5, capacity),
+        reason = COALESCE($6, reason),
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = $7
+      RETURNING *
+    `, [start_time, end_time, last_seating_time, slot_interval_minutes, capacity, reason, req.params.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Exception non trouvée' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Exception mise à jour avec succès',
+      exception: result.rows[0]
+    });
+  } catch (error) {
+    if (handleConstraintError(error, res)) return;
+    console.error('❌ Erreur PUT /service-hours/exceptions/:id:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// DELETE /service-hours/exceptions/:id - Supprimer une exception (ADMIN JWT)
+router.delete('/exceptions/:id', requireAdmin, async (req, res) => {
+  const pool = req.app.locals.pool;
+
+  try {
+    const result = await pool.query(
+      'DELETE FROM service_exceptions WHERE id = $1 RETURNING id',
+      [req.params.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Exception non trouvée' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Exception supprimée avec succès'
+    });
+  } catch (error) {
+    console.error('❌ Erreur DELETE /service-hours/exceptions/:id:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// POST /service-hours - Créer un service (ADMIN JWT)
+router.post('/', requireAdmin, async (req, res) => {
+  const pool = req.app.locals.pool;
+
+  try {
+    const validationError = validateServiceHours(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const {
+      day_of_week,
+      service,
+      start_time,
+      end_time,
+      last_seating_time,
+      slot_interval_minutes,
+      capacity,
+      is_active
+    } = req.body;
+
+    const result = await pool.query(`
+      INSERT INTO service_hours (
+        day_of_week, service, start_time, end_time, last_seating_time,
+        slot_interval_minutes, capacity, is_active
+      )
+      VALUES ($1, $2, $3, $4, $5, COALESCE($6, 15), COALESCE($7, 50), COALESCE($8, true))
+      RETURNING *
+    `, [
+      day_of_week, service, start_time, end_time, last_seating_time,
+      slot_interval_minutes, capacity, is_active
+    ]);
+
+    res.status(201).json({
+      success: true,
+      message: 'Service créé avec succès',
+      service_hours: result.rows[0]
+    });
+  } catch (error) {
+    if (handleConstraintError(error, res)) return;
+    console.error('❌ Erreur POST /service-hours:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// PUT /service-hours/:id - Mettre à jour un service (ADMIN JWT)
+router.put('/:id', requireAdmin, async (req, res) => {
+  const pool = req.app.locals.pool;
+
+  try {
+    const validationError = validateServiceHours(req.body, true);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const {
+      day_of_week,
+      service,
+      start_time,
+      end_time,
+      last_seating_time,
+      slot_interval_minutes,
+      capacity,
+      is_active
+    } = req.body;
+
+    const result = await pool.query(`
+      UPDATE service_hours SET
+        day_of_week = COALESCE($1, day_of_week),
+        service = COALESCE($2, service),
+        start_time = COALESCE($3, start_time),
+        end_time = COALESCE($4, end_time),
+        last_seating_time = COALESCE($5, last_seating_time),
+        slot_interval_minutes = COALESCE($6, slot_interval_minutes),
+        capacity = COALESCE($7, capacity),
+        is_active = COALESCE($8, is_active),
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = $9
+      RETURNING *
+    `, [
+      day_of_week, service, start_time, end_time, last_seating_time,
+      slot_interval_minutes, capacity, is_active, req.params.id
+    ]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Service non trouvé' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Service mis à jour avec succès',
+      service_hours: result.rows[0]
+    });
+  } catch (error) {
+    if (handleConstraintError(error, res)) return;
+    console.error('❌ Erreur PUT /service-hours/:id:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// DELETE /service-hours/:id - Supprimer un service (ADMIN JWT)
+router.delete('/:id', requireAdmin, async (req, res) => {
+  const pool = req.app.locals.pool;
+
+  try {
+    const result = await pool.query(
+      'DELETE FROM service_hours WHERE id = $1 RETURNING id',
+      [req.params.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Service non trouvé' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Service supprimé avec succès'
+    });
+  } catch (error) {
+    console.error('❌ Erreur DELETE /service-hours/:id:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,118 @@
+// backend/routes/serviceSheet.js - VERSION JWT
+const express = require('express');
+const router = express.Router();
+const { requireStaff } = require('../middleware/auths');
+const { withTransaction } = require('../database/db');
+const { getRestaurantNow } = require('../services/timezone');
+const {
+  getServiceSheet,
+  markArrived,
+  seatReservation,
+  markDeparted
+} = require('../services/serviceSheet');
+const { releaseToWaitlist } = require('../services/waitlist');
+const { settlePayment } = require('../services/payments');
+
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+// GET /service-sheet?date=&service= - Feuille de service de l'accueil (STAFF JWT)
+router.get('/', requireStaff, async (req, res) => {
+  const pool = req.app.locals.pool;
+
+  try {
+    const date = req.query.date || getRestaurantNow().date;
+    const { service } = req.query;
+
+    if (!DATE_REGEX.test(date)) {
+      return res.status(400).json({ error: 'Date invalide (AAAA-MM-JJ)' });
+    }
+
+    const sheet = await getServiceSheet(pool, { date, service: service || null });
+
+    if (!sheet) {
+      return res.status(404).json({ error: 'Aucun service ouvert pour cette date' });
+    }
+
+    res.json({
+      success: true,
+      sheet
+    });
+  } catch (error) {
+    console.error('❌ Erreur GET /service-sheet:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// PUT /service-sheet/:id/arrived - Client arrivé à l'accueil (STAFF JWT)
+router.put('/:id/arrived', requireStaff, async (req, res) => {
+  const pool = req.app.locals.pool;
+
+  try {
+    const outcome = await markArrived(pool, req.params.id);
+
+    if (outcome.error) {
+      return res.status(outcome.status).json({ error: outcome.error });
+    }
+
+    res.json({
+      success: true,
+      message: 'Arrivée enregistrée',
+      reservation: outcome.reservation
+    });
+  } catch (error) {
+    console.error('❌ Erreur PUT /service-sheet/:id/arrived:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// PUT /service-sheet/:id/seated - Client installé à sa table (STAFF JWT)
+router.put('/:id/seated', requireStaff, async (req, res) => {
+  try {
+    const outcome = await withTransaction((client) => seatReservation(client, {
+      reservationId: req.params.id,
+      changedBy: req.userId
+    }));
+
+    if (outcome.error) {
+      return res.status(outcome.status).json({ error: outcome.error });
+    }
+
+    res.json({
+      success: true,
+      message: 'Client installé',
+      reservation: outcome.reservation
+    });
+  } catch (error) {
+    console.error('❌ Erreur PUT /service-sheet/:id/seated:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// PUT /service-sheet/:id/departed - Table libérée (STAFF JWT)
+router.put('/:id/departed', requireStaff, async (req, res) => {
+  try {
+    const outcome = await withTransaction((client) => markDeparted(client, {
+      reservationId: req.params.id,
+      changedBy: req.userId
+    }));
+
+    if (outcome.error) {
+      return res.status(outcome.status).json({ error: outcome.error });
+    }
+
+    // Une table libérée plus tôt que prévu peut servir à la liste d'attente
+    releaseToWaitlist(req.app.locals.pool, outcome.reservation.reservation_date);
+    settlePayment(req.app.locals.pool, req.app.locals.paymentProvider, outcome.reservation.id);
+
+    res.json({
+      success: true,
+      message: 'Départ enregistré',
+      reservation: outcome.reservation
+    });
+  } catch (error) {
+    console.error('❌ Erreur PUT /service-sheet/:id/departed:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+module.exports = router;
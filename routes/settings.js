@@ -24,6 +24,14 @@ router.get('/', async (req, res) => {
       settingsObj[setting.setting_key] = setting.setting_value;
     });
 
+    // Fermetures et horaires spéciaux à venir (90 jours)
+    settingsObj.opening_exceptions = await query(
+      `SELECT exception_date, service, exception_type, start_time, last_seating_time, reason
+       FROM service_exceptions
+       WHERE exception_date BETWEEN CURRENT_DATE AND CURRENT_DATE + 90
+       ORDER BY exception_date ASC, service ASC NULLS FIRST`
+    );
+
     res.json(settingsObj);
   } catch (error) {
     console.error('Erreur get settings:', error);
@@ -0,0 +1,411 @@
+// backend/routes/specialEvents.js - Soirées à thème et vente des places
+const express = require('express');
+const router = express.Router();
+const { requireAuth, requireAdmin, optionalAuth } = require('../middleware/auths');
+const { withTransaction } = require('../database/db');
+const { toDateString } = require('../services/availability');
+const { getActiveTables } = require('../services/tables');
+const { releaseToWaitlist } = require('../services/waitlist');
+const {
+  getEvents,
+  getEvent,
+  scheduleEvent,
+  updateEvent,
+  bookSeats,
+  cancelBooking,
+  cancelEvent
+} = require('../services/specialEvents');
+
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_REGEX = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+
+const isValidEmail = (email) => {
+  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+  return emailRegex.test(email);
+};
+
+// Entier en nombre ou en chiffres : Number(true) ou Number('') passeraient, mais parseInt les rejette (NaN)
+const isPositiveInteger = (value, min) => {
+  const isDigits = typeof value === 'string' && /^\d+$/.test(value.trim());
+  if (typeof value !== 'number' && !isDigits) {
+    return false;
+  }
+  return Number.isSafeInteger(Number(value)) && Number(value) >= min;
+};
+
+const validateEvent = (body, partial = false) => {
+  const { title, event_date, start_time, ticket_price_cents, seat_limit } = body;
+
+  if (!partial && (!title || !event_date || !start_time || ticket_price_cents === undefined || !seat_limit)) {
+    return 'Titre, date, heure, prix de la place et nombre de places requis';
+  }
+
+  if (event_date !== undefined) {
+    if (!DATE_REGEX.test(event_date)) {
+      return 'Format de date invalide (YYYY-MM-DD)';
+    }
+    if (event_date < toDateString(new Date())) {
+      return 'La date de la soirée doit être future';
+    }
+  }
+
+  if (start_time !== undefined && !TIME_REGEX.test(start_time)) {
+    return 'Format d\'heure invalide (HH:MM)';
+  }
+
+  if (ticket_price_cents !== undefined && !isPositiveInteger(ticket_price_cents, 0)) {
+    return 'Prix de la place invalide (en centimes)';
+  }
+
+  if (seat_limit !== undefined && !isPositiveInteger(seat_limit, 1)) {
+    return 'Le nombre de places doit être au moins 1';
+  }
+
+  return null;
+};
+
+// Menu et zone doivent exister ; retourne un message d'erreur ou null
+const validateReferences = async (db, { menu_id, zone }) => {
+  if (menu_id) {
+    const menu = await db.query('SELECT id_menu FROM menus WHERE id_menu = $1', [menu_id]);
+    if (menu.rows.length === 0) {
+      return 'Menu non trouvé';
+    }
+  }
+
+  if (zone && (await getActiveTables(db, zone)).length === 0) {
+    return 'Aucune table active dans cette zone';
+  }
+
+  return null;
+};
+
+// Le jeton d'annulation n'est renvoyé qu'à l'acheteur
+const toPublicBooking = ({ access_token, ...booking }) => booking;
+
+// ============================================
+// CONSULTATION (PUBLIC)
+// ============================================
+// GET /special-events - Soirées à venir et places restantes (PUBLIC)
+router.get('/', async (req, res) => {
+  const pool = req.app.locals.pool;
+
+  try {
+    const events = await getEvents(pool, {
+      from: toDateString(new Date()),
+      status: 'scheduled'
+    });
+
+    res.json({
+      success: true,
+      events,
+      count: events.length
+    });
+  } catch (error) {
+    console.error('❌ Erreur GET /special-events:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// ============================================
+// MES PLACES
+// ============================================
+// GET /special-events/bookings/my - Mes places réservées (JWT AUTH)
+router.get('/bookings/my', requireAuth, async (req, res) => {
+  const pool = req.app.locals.pool;
+
+  try {
+    const result = await pool.query(`
+      SELECT b.*, e.title, e.event_date, e.start_time, e.status as event_status
+      FROM special_event_bookings b
+      JOIN special_events e ON e.id = b.event_id
+      WHERE b.user_id = $1
+      ORDER BY e.event_date DESC, b.created_at DESC
+    `, [req.userId]);
+
+    res.json({
+      success: true,
+      bookings: result.rows.map(toPublicBooking)
+    });
+  } catch (error) {
+    console.error('❌ Erreur GET /special-events/bookings/my:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// PUT /special-events/bookings/:bookingId/cancel - Annuler mes places (JWT AUTH)
+router.put('/bookings/:bookingId/cancel', requireAuth, async (req, res) => {
+  const pool = req.app.locals.pool;
+
+  try {
+    const result = await pool.query(
+      'SELECT * FROM special_event_bookings WHERE id = $1 AND user_id = $2',
+      [req.params.bookingId, req.userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Réservation non trouvée' });
+    }
+
+    const outcome = await cancelBooking(pool, result.rows[0]);
+
+    if (outcome.error) {
+      return res.status(outcome.status).json({ error: outcome.error });
+    }
+
+    res.json({
+      success: true,
+      message: 'Places annulées avec succès'
+    });
+  } catch (error) {
+    console.error('❌ Erreur PUT /special-events/bookings/:bookingId/cancel:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// PUT /special-events/bookings/manage/cancel - Annuler ses places (LIEN D'ANNULATION)
+router.put('/bookings/manage/cancel', async (req, res) => {
+  const pool = req.app.locals.pool;
+  const token = req.query.token || req.body.token;
+
+  if (!token) {
+    return res.status(401).json({ error: 'Lien d\'annulation manquant' });
+  }
+
+  try {
+    const result = await pool.query(
+      'SELECT * FROM special_event_bookings WHERE access_token = $1',
+      [String(token)]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Réservation non trouvée' });
+    }
+
+    const outcome = await cancelBooking(pool, result.rows[0]);
+
+    if (outcome.error) {
+      return res.status(outcome.status).json({ error: outcome.error });
+    }
+
+    res.json({
+      success: true,
+      message: 'Places annulées avec succès'
+    });
+  } catch (error) {
+    console.error('❌ Erreur PUT /special-events/bookings/manage/cancel:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// GET /special-events/:id - Détail d'une soirée et places restantes (PUBLIC)
+router.get('/:id', async (req, res) => {
+  const pool = req.app.locals.pool;
+
+  try {
+    const event = await getEvent(pool, req.params.id);
+
+    if (!event) {
+      return res.status(404).json({ error: 'Soirée non trouvée' });
+    }
+
+    res.json({
+      success: true,
+      event
+    });
+  } catch (error) {
+    console.error('❌ Erreur GET /special-events/:id:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// ============================================
+// RÉSERVER DES PLACES (PUBLIC)
+// ============================================
+router.post('/:id/bookings', optionalAuth, async (req, res) => {
+  const pool = req.app.locals.pool;
+
+  try {
+    const account = req.user || {};
+    const {
+      seats,
+      firstname = account.firstname,
+      lastname = account.lastname,
+      email = account.email,
+      phone
+    } = req.body;
+
+    if (!firstname || !lastname || !email) {
+      return res.status(400).json({ error: 'Nom, prénom et email requis' });
+    }
+
+    if (!isValidEmail(email)) {
+      return res.status(400).json({ error: 'Email invalide' });
+    }
+
+    if (!isPositiveInteger(seats, 1)) {
+      return res.status(400).json({ error: 'Nombre de places requis (au moins 1)' });
+    }
+
+    const outcome = await withTransaction((client) => bookSeats(client, req.params.id, {
+      seats: parseInt(seats),
+      userId: req.userId || null,
+      guest: {
+        firstname: firstname.trim(),
+        lastname: lastname.trim(),
+        email: email.toLowerCase(),
+        phone: phone ? phone.trim() : null
+      }
+    }));
+
+    if (outcome.error) {
+      return res.status(outcome.status).json({ error: outcome.error });
+    }
+
+    console.log(`✅ ${outcome.booking.seats} place(s) réservée(s) pour la soirée ${outcome.booking.event_id}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Places réservées avec succès',
+      booking: outcome.booking,
+      remaining_seats: outcome.remaining_seats
+    });
+  } catch (error) {
+    console.error('❌ Erreur POST /special-events/:id/bookings:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// ============================================
+// GESTION (ADMIN)
+// ============================================
+// POST /special-events - Programmer une soirée (ADMIN JWT)
+router.post('/', requireAdmin, async (req, res) => {
+  const pool = req.app.locals.pool;
+
+  try {
+    const validationError = validateEvent(req.body) || await validateReferences(pool, req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const { title, description, event_date, start_time, menu_id, ticket_price_cents, seat_limit, zone } = req.body;
+
+    const outcome = await withTransaction((client) => scheduleEvent(client, {
+      title,
+      description: description || null,
+      event_date,
+      start_time,
+      menu_id: menu_id || null,
+      ticket_price_cents: parseInt(ticket_price_cents),
+      seat_limit: parseInt(seat_limit),
+      zone: zone || null
+    }, { createdBy: req.userId }));
+
+    if (outcome.error) {
+      return res.status(outcome.status).json({ error: outcome.error });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Soirée programmée avec succès',
+      event: await getEvent(pool, outcome.event.id)
+    });
+  } catch (error) {
+    console.error('❌ Erreur POST /special-events:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// PUT /special-events/:id - Modifier une soirée (ADMIN JWT)
+router.put('/:id', requireAdmin, async (req, res) => {
+  const pool = req.app.locals.pool;
+
+  try {
+    const validationError = validateEvent(req.body, true) || await validateReferences(pool, req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const { title, description, event_date, start_time, menu_id, ticket_price_cents, seat_limit, zone } = req.body;
+
+    const outcome = await withTransaction((client) => updateEvent(client, req.params.id, {
+      title,
+      description,
+      event_date,
+      start_time,
+      menu_id: menu_id === undefined ? undefined : menu_id || null,
+      ticket_price_cents: ticket_price_cents === undefined ? undefined : parseInt(ticket_price_cents),
+      seat_limit: seat_limit === undefined ? undefined : parseInt(seat_limit),
+      zone: zone === undefined ? undefined : zone || null
+    }));
+
+    if (outcome.error) {
+      return res.status(outcome.status).json({ error: outcome.error });
+    }
+
+    // Une jauge réduite ou déplacée rend des couverts au service d'origine
+    if (outcome.previous.seat_limit > outcome.event.seat_limit ||
+        outcome.previous.service !== outcome.event.service ||
+        toDateString(outcome.previous.event_date) !== toDateString(outcome.event.event_date)) {
+      releaseToWaitlist(pool, outcome.previous.event_date);
+    }
+
+    res.json({
+      success: true,
+      message: 'Soirée mise à jour avec succès',
+      event: await getEvent(pool, outcome.event.id)
+    });
+  } catch (error) {
+    console.error('❌ Erreur PUT /special-events/:id:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// PUT /special-events/:id/cancel - Annuler une soirée et ses places vendues (ADMIN JWT)
+router.put('/:id/cancel', requireAdmin, async (req, res) => {
+  const pool = req.app.locals.pool;
+
+  try {
+    const outcome = await withTransaction((client) => cancelEvent(client, req.params.id));
+
+    if (!outcome) {
+      return res.status(404).json({ error: 'Soirée non trouvée ou déjà annulée' });
+    }
+
+    releaseToWaitlist(pool, outcome.event.event_date);
+
+    res.json({
+      success: true,
+      message: `Soirée annulée, ${outcome.bookings.length} réservation(s) de places annulée(s)`,
+      cancelled_bookings: outcome.bookings.map(toPublicBooking)
+    });
+  } catch (error) {
+    console.error('❌ Erreur PUT /special-events/:id/cancel:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// GET /special-events/:id/bookings - Liste des participants (ADMIN JWT)
+router.get('/:id/bookings', requireAdmin, async (req, res) => {
+  const pool = req.app.locals.pool;
+
+  try {
+    const result = await pool.query(`
+      SELECT * FROM special_event_bookings
+      WHERE event_id = $1
+      ORDER BY status ASC, created_at ASC
+    `, [req.params.id]);
+
+    res.json({
+      success: true,
+      bookings: result.rows.map(toPublicBooking),
+      count: result.rows.length
+    });
+  } catch (error) {
+    console.error('❌ Erreur GET /special-events/:id/bookings:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+module.exports = router;
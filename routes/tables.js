@@ -0,0 +1,207 @@
+// backend/routes/tables.js - VERSION JWT
+const express = require('express');
+const router = express.Router();
+const { requireAdmin, requireStaff } = require('../middleware/auths');
+
+const ZONES = ['main', 'terrace', 'bar', 'private'];
+
+const validateTable = (body, partial = false) => {
+  const { label, zone, min_capacity, max_capacity } = body;
+
+  if (!partial && (!label || !max_capacity)) {
+    return 'Nom de table et capacité maximale requis';
+  }
+
+  if (zone !== undefined && !ZONES.includes(zone)) {
+    return `Zone invalide (${ZONES.join(', ')})`;
+  }
+
+  if (min_capacity !== undefined && !(parseInt(min_capacity) >= 1)) {
+    return 'La capacité minimale doit être au moins 1';
+  }
+
+  if (max_capacity !== undefined && !(parseInt(max_capacity) >= 1)) {
+    return 'La capacité maximale doit être au moins 1';
+  }
+
+  if (min_capacity !== undefined && max_capacity !== undefined && parseInt(min_capacity) > parseInt(max_capacity)) {
+    return 'La capacité minimale dépasse la capacité maximale';
+  }
+
+  return null;
+};
+
+// GET /tables - Plan de salle (STAFF JWT)
+router.get('/', requireStaff, async (req, res) => {
+  const pool = req.app.locals.pool;
+
+  try {
+    const { zone } = req.query;
+
+    const result = await pool.query(`
+      SELECT * FROM restaurant_tables
+      WHERE ($1::text IS NULL OR zone = $1)
+      ORDER BY zone ASC, display_order ASC, label ASC
+    `, [zone || null]);
+
+    res.json({
+      success: true,
+      tables: result.rows,
+      count: result.rows.length
+    });
+  } catch (error) {
+    console.error('❌ Erreur GET /tables:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// POST /tables - Créer une table (ADMIN JWT)
+router.post('/', requireAdmin, async (req, res) => {
+  const pool = req.app.locals.pool;
+
+  try {
+    const validationError = validateTable(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const {
+      label,
+      zone,
+      min_capacity,
+      max_capacity,
+      is_combinable,
+      combination_group,
+      display_order
+    } = req.body;
+
+    const result = await pool.query(`
+      INSERT INTO restaurant_tables (
+        label, zone, min_capacity, max_capacity,
+        is_combinable, combination_group, display_order
+      )
+      VALUES ($1, COALESCE($2, 'main'), COALESCE($3, 1), $4, COALESCE($5, false), $6, COALESCE($7, 0))
+      RETURNING *
+    `, [
+      label, zone, min_capacity, max_capacity,
+      is_combinable, combination_group || null, display_order
+    ]);
+
+    res.status(201).json({
+      success: true,
+      message: 'Table créée avec succès',
+      table: result.rows[0]
+    });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'Une table porte déjà ce nom' });
+    }
+    console.error('❌ Erreur POST /tables:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// PUT /tables/:id - Mettre à jour une table (ADMIN JWT)
+router.put('/:id', requireAdmin, async (req, res) => {
+  const pool = req.app.locals.pool;
+
+  try {
+    const validationError = validateTable(req.body, true);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const {
+      label,
+      zone,
+      min_capacity,
+      max_capacity,
+      is_combinable,
+      combination_group,
+      is_active,
+      display_order
+    } = req.body;
+
+    const result = await pool.query(`
+      UPDATE restaurant_tables SET
+        label = COALESCE($1, label),
+        zone = COALESCE($2, zone),
+        min_capacity = COALESCE($3, min_capacity),
+        max_capacity = COALESCE($4, max_capacity),
+        is_combinable = COALESCE($5, is_combinable),
+        combination_group = COALESCE($6, combination_group),
+        is_active = COALESCE($7, is_active),
+        display_order = COALESCE($8, display_order),
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = $9
+      RETURNING *
+    `, [
+      label, zone, min_capacity, max_capacity, is_combinable,
+      combination_group, is_active, display_order, req.params.id
+    ]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Table non trouvée' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Table mise à jour avec succès',
+      table: result.rows[0]
+    });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'Une table porte déjà ce nom' });
+    }
+    if (error.code === '23514') {
+      return res.status(400).json({ error: 'La capacité minimale dépasse la capacité maximale' });
+    }
+    console.error('❌ Erreur PUT /tables/:id:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// DELETE /tables/:id - Supprimer une table (ADMIN JWT)
+router.delete('/:id', requireAdmin, async (req, res) => {
+  const pool = req.app.locals.pool;
+
+  try {
+    // Une table déjà affectée est conservée pour l'historique : on la désactive
+    const usage = await pool.query(
+      'SELECT COUNT(*) as count FROM reservation_tables WHERE table_id = $1',
+      [req.params.id]
+    );
+
+    if (parseInt(usage.rows[0].count) > 0) {
+      const result = await pool.query(
+        'UPDATE restaurant_tables SET is_active = false, updated_at = CURRENT_TIMESTAMP WHERE id = $1 RETURNING id',
+        [req.params.id]
+      );
+
+      return res.json({
+        success: true,
+        message: 'Table utilisée par des réservations : désactivée',
+        deactivated: result.rows.length > 0
+      });
+    }
+
+    const result = await pool.query(
+      'DELETE FROM restaurant_tables WHERE id = $1 RETURNING id',
+      [req.params.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Table non trouvée' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Table supprimée avec succès'
+    });
+  } catch (error) {
+    console.error('❌ Erreur DELETE /tables/:id:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+module.exports = router;
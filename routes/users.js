@@ -1,8 +1,9 @@
 // backend/routes/users.js - VERSION JWT
 const express = require('express');
 const bcrypt = require('bcrypt'); // ✅ UTILISER bcrypt (pas bcryptjs)
-const { query, queryOne } = require('../database/db');
-const { requireAuth, requireAdmin } = require('../middleware/auths'); // ✅ Import JWT middleware
+const { query, queryOne, getPool } = require('../database/db');
+const { requireAuth, requireAdmin, requireStaff } = require('../middleware/auths'); // ✅ Import JWT middleware
+const { getReliabilityProfile, evaluateBookingPolicies } = require('../services/reliability');
 
 const router = express.Router();
 
@@ -12,7 +13,7 @@ const router = express.Router();
 router.get('/me', requireAuth, async (req, res) => {
   try {
     const user = await queryOne(
-      `SELECT id, email, firstname, lastname, phone, role, 
+      `SELECT id, email, firstname, lastname, phone, allergies, sms_opt_in, role, 
               email_verified, avatar_url, created_at, last_login
        FROM users WHERE id = $1`,
       [req.userId] // ✅ JWT: req.userId au lieu de req.session.userId
@@ -55,7 +56,7 @@ router.get('/profile', requireAuth, async (req, res) => {
 // ============================================
 router.put('/me', requireAuth, async (req, res) => {
   try {
-    const { firstname, lastname, phone } = req.body;
+    const { firstname, lastname, phone, allergies, sms_opt_in } = req.body;
 
     // Validation
     if (!firstname || !lastname) {
@@ -64,15 +65,25 @@ router.put('/me', requireAuth, async (req, res) => {
       });
     }
 
+    if (sms_opt_in !== undefined && typeof sms_opt_in !== 'boolean') {
+      return res.status(400).json({ 
+        error: 'sms_opt_in doit être un booléen' 
+      });
+    }
+
+    // Allergies et consentement SMS absents du formulaire : on garde la valeur actuelle
     await query(
       `UPDATE users 
-       SET firstname = $1, lastname = $2, phone = $3, updated_at = CURRENT_TIMESTAMP
+       SET firstname = $1, lastname = $2, phone = $3,
+           allergies = CASE WHEN $5 THEN allergies ELSE $6 END,
+           sms_opt_in = COALESCE($7, sms_opt_in),
+           updated_at = CURRENT_TIMESTAMP
        WHERE id = $4`,
-      [firstname, lastname, phone || null, req.userId] // ✅ JWT
+      [firstname, lastname, phone || null, req.userId, allergies === undefined, allergies || null, sms_opt_in] // ✅ JWT
     );
 
     const updatedUser = await queryOne(
-      'SELECT id, email, firstname, lastname, phone, role FROM users WHERE id = $1',
+      'SELECT id, email, firstname, lastname, phone, allergies, sms_opt_in, role FROM users WHERE id = $1',
       [req.userId] // ✅ JWT
     );
 
@@ -362,6 +373,69 @@ router.get('/:id', requireAdmin, async (req, res) => {
   }
 });
 
+// ============================================
+// STAFF: PROFIL DE FIABILITÉ D'UN CLIENT
+// ============================================
+router.get('/:id/reliability', requireStaff, async (req, res) => {
+  try {
+    const user = await queryOne(
+      'SELECT id, email, firstname, lastname, phone FROM users WHERE id = $1',
+      [req.params.id]
+    );
+
+    if (!user) {
+      return res.status(404).json({ error: 'Utilisateur non trouvé' });
+    }
+
+    const profile = await getReliabilityProfile(getPool(), user.id);
+    const policy = await evaluateBookingPolicies(getPool(), user.id);
+
+    res.json({
+      user,
+      reliability: profile,
+      booking_restriction: policy.action
+    });
+  } catch (error) {
+    console.error('Erreur get reliability:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// ============================================
+// STAFF: NOTES ET ALLERGIES D'UN CLIENT
+// ============================================
+router.put('/:id/guest-notes', requireStaff, async (req, res) => {
+  try {
+    const { guest_notes, allergies } = req.body;
+
+    if (guest_notes === undefined && allergies === undefined) {
+      return res.status(400).json({ error: 'Notes ou allergies requises' });
+    }
+
+    const user = await queryOne(
+      `UPDATE users SET
+         guest_notes = CASE WHEN $1 THEN guest_notes ELSE $2 END,
+         allergies = CASE WHEN $3 THEN allergies ELSE $4 END,
+         updated_at = CURRENT_TIMESTAMP
+       WHERE id = $5
+       RETURNING id, email, firstname, lastname, phone, allergies, guest_notes`,
+      [guest_notes === undefined, guest_notes || null, allergies === undefined, allergies || null, req.params.id]
+    );
+
+    if (!user) {
+      return res.status(404).json({ error: 'Utilisateur non trouvé' });
+    }
+
+    res.json({
+      message: 'Notes client mises à jour',
+      user
+    });
+  } catch (error) {
+    console.error('Erreur update guest notes:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
 // ============================================
 // ADMIN: SUPPRIMER UN UTILISATEUR
 // ============================================
@@ -0,0 +1,336 @@
+// backend/routes/waitlist.js - VERSION JWT
+const express = require('express');
+const router = express.Router();
+const { requireAuth, requireStaff } = require('../middleware/auths');
+const { withTransaction } = require('../database/db');
+const { getServicesForDate, findServiceForTime, checkSlot, toDateString } = require('../services/availability');
+const { evaluateBookingPolicies } = require('../services/reliability');
+const { createReservation } = require('../services/reservations');
+const { PAYMENT_DUE_MINUTES } = require('../services/deposits');
+const { offerSlot, refreshWaitlist } = require('../services/waitlist');
+const { enqueueReservationNotification } = require('../services/notifications');
+const { getRestaurantNow, toRestaurantInstant } = require('../services/timezone');
+
+const WAITLIST_STATUSES = ['waiting', 'offered', 'accepted', 'expired', 'cancelled'];
+
+const TIME_REGEX = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+
+// POST /waitlist - S'inscrire sur la liste d'attente (JWT AUTH)
+router.post('/', requireAuth, async (req, res) => {
+  const pool = req.app.locals.pool;
+  const userId = req.userId; // ✅ JWT
+
+  try {
+    const { waitlist_date, service, number_of_people, preferred_time, notes } = req.body;
+
+    if (!waitlist_date || !service || !number_of_people) {
+      return res.status(400).json({
+        error: 'Date, service et nombre de personnes requis'
+      });
+    }
+
+    if (number_of_people < 1 || number_of_people > 20) {
+      return res.status(400).json({
+        error: 'Le nombre de personnes doit être entre 1 et 20'
+      });
+    }
+
+    if (waitlist_date < getRestaurantNow().date) {
+      return res.status(400).json({ error: 'La date doit être future' });
+    }
+
+    const services = await getServicesForDate(pool, waitlist_date);
+    if (!services.some(dayService => dayService.service === service)) {
+      return res.status(400).json({ error: 'Ce service n\'est pas ouvert à cette date' });
+    }
+
+    const policy = await evaluateBookingPolicies(pool, userId);
+    if (policy.action === 'block_online') {
+      return res.status(403).json({
+        error: 'Réservation en ligne indisponible pour ce compte',
+        message: 'Merci de contacter directement le restaurant'
+      });
+    }
+
+    const existing = await pool.query(
+      `SELECT id FROM waitlist_entries
+       WHERE user_id = $1 AND waitlist_date = $2 AND service = $3
+       AND status IN ('waiting', 'offered')`,
+      [userId, waitlist_date, service]
+    );
+
+    if (existing.rows.length > 0) {
+      return res.status(409).json({ error: 'Vous êtes déjà sur la liste d\'attente pour ce service' });
+    }
+
+    const result = await pool.query(`
+      INSERT INTO waitlist_entries (user_id, waitlist_date, service, number_of_people, preferred_time, notes)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING *
+    `, [userId, waitlist_date, service, number_of_people, preferred_time || null, notes || null]);
+
+    const position = await pool.query(
+      `SELECT COUNT(*) as position FROM waitlist_entries
+       WHERE waitlist_date = $1 AND service = $2 AND status = 'waiting' AND created_at <= $3`,
+      [waitlist_date, service, result.rows[0].created_at]
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Inscription sur la liste d\'attente enregistrée',
+      entry: result.rows[0],
+      position: parseInt(position.rows[0].position)
+    });
+  } catch (error) {
+    console.error('❌ Erreur POST /waitlist:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// GET /waitlist/my - Mes inscriptions (JWT AUTH)
+router.get('/my', requireAuth, async (req, res) => {
+  const pool = req.app.locals.pool;
+
+  try {
+    await refreshWaitlist(pool);
+
+    const result = await pool.query(`
+      SELECT * FROM waitlist_entries
+      WHERE user_id = $1
+      ORDER BY waitlist_date DESC, created_at DESC
+    `, [req.userId]);
+
+    res.json({
+      success: true,
+      entries: result.rows
+    });
+  } catch (error) {
+    console.error('❌ Erreur GET /waitlist/my:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// GET /waitlist - Liste d'attente (STAFF JWT)
+router.get('/', requireStaff, async (req, res) => {
+  const pool = req.app.locals.pool;
+
+  try {
+    const { date, service, status } = req.query;
+
+    if (status && !WAITLIST_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Statut invalide (${WAITLIST_STATUSES.join(', ')})` });
+    }
+
+    await refreshWaitlist(pool);
+
+    const result = await pool.query(`
+      SELECT w.*, u.firstname, u.lastname, u.email, u.phone
+      FROM waitlist_entries w
+      JOIN users u ON u.id = w.user_id
+      WHERE ($1::date IS NULL OR w.waitlist_date = $1)
+      AND ($2::text IS NULL OR w.service = $2)
+      AND ($3::text IS NULL OR w.status = $3)
+      ORDER BY w.waitlist_date ASC, w.service ASC, w.created_at ASC
+    `, [date || null, service || null, status || null]);
+
+    res.json({
+      success: true,
+      entries: result.rows,
+      count: result.rows.length
+    });
+  } catch (error) {
+    console.error('❌ Erreur GET /waitlist:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// PUT /waitlist/:id/offer - Proposer un horaire manuellement (STAFF JWT)
+router.put('/:id/offer', requireStaff, async (req, res) => {
+  const pool = req.app.locals.pool;
+
+  try {
+    const { offered_time, validity_minutes } = req.body;
+
+    if (!offered_time) {
+      return res.status(400).json({ error: 'Horaire proposé requis' });
+    }
+
+    if (!TIME_REGEX.test(offered_time)) {
+      return res.status(400).json({ error: 'Format d\'heure invalide (HH:MM)' });
+    }
+
+    const entry = await pool.query('SELECT * FROM waitlist_entries WHERE id = $1', [req.params.id]);
+
+    if (entry.rows.length === 0) {
+      return res.status(404).json({ error: 'Inscription non trouvée' });
+    }
+
+    // L'horaire doit tomber dans le service demandé, et une table doit être libre
+    const date = toDateString(entry.rows[0].waitlist_date);
+    const service = findServiceForTime(await getServicesForDate(pool, date), offered_time);
+    if (!service || service.service !== entry.rows[0].service) {
+      return res.status(400).json({ error: 'Cet horaire n\'appartient pas au service de l\'inscription' });
+    }
+
+    if (toRestaurantInstant(date, offered_time) < new Date()) {
+      return res.status(400).json({ error: 'L\'horaire proposé est déjà passé' });
+    }
+
+    // Heure saisie par le personnel : hors grille acceptée
+    const slot = await checkSlot(pool, {
+      date,
+      time: offered_time,
+      people: entry.rows[0].number_of_people,
+      strictInterval: false
+    });
+    if (!slot.available) {
+      return res.status(409).json({ error: slot.message || 'Aucune table disponible à cet horaire' });
+    }
+
+    const offered = await withTransaction((client) =>
+      offerSlot(client, entry.rows[0], offered_time, parseInt(validity_minutes) || undefined)
+    );
+
+    if (!offered) {
+      return res.status(409).json({ error: 'Cette inscription n\'est plus en attente' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Offre envoyée',
+      entry: offered
+    });
+  } catch (error) {
+    console.error('❌ Erreur PUT /waitlist/:id/offer:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// POST /waitlist/:id/accept - Accepter l'offre et réserver (JWT AUTH)
+router.post('/:id/accept', requireAuth, async (req, res) => {
+  const pool = req.app.locals.pool;
+  const userId = req.userId; // ✅ JWT
+
+  try {
+    const policy = await evaluateBookingPolicies(pool, userId);
+
+    const outcome = await withTransaction(async (client) => {
+      // Verrouille l'inscription : une seule acceptation, jamais en même temps qu'une annulation ou une expiration
+      const result = await client.query('SELECT * FROM waitlist_entries WHERE id = $1 FOR UPDATE', [req.params.id]);
+      const entry = result.rows[0];
+
+      if (!entry) {
+        return { status: 404, error: 'Inscription non trouvée' };
+      }
+
+      if (entry.user_id !== userId) {
+        return { status: 403, error: 'Accès refusé' };
+      }
+
+      const claimed = await client.query(
+        `UPDATE waitlist_entries
+         SET status = 'accepted', updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1 AND status = 'offered' AND offer_expires_at >= NOW()`,
+        [entry.id]
+      );
+
+      if (claimed.rowCount === 0) {
+        return {
+          status: 400,
+          error: entry.status === 'offered' ? 'Cette offre a expiré' : 'Aucune offre en cours pour cette inscription'
+        };
+      }
+
+      const created = await createReservation(client, {
+        userId,
+        date: toDateString(entry.waitlist_date),
+        time: entry.offered_time,
+        people: entry.number_of_people,
+        specialRequests: entry.notes,
+        requiresConfirmation: policy.action !== null
+      });
+
+      if (created.error) {
+        // Le créneau a été repris entre-temps : l'inscription garde sa place
+        await client.query(
+          `UPDATE waitlist_entries
+           SET status = 'waiting', offered_time = NULL, offer_expires_at = NULL, updated_at = CURRENT_TIMESTAMP
+           WHERE id = $1`,
+          [entry.id]
+        );
+
+        return { status: 409, error: 'Le créneau proposé n\'est plus disponible', stillWaiting: true };
+      }
+
+      await client.query(
+        'UPDATE waitlist_entries SET reservation_id = $1 WHERE id = $2',
+        [created.reservation.id, entry.id]
+      );
+
+      // Une réservation en attente de garantie n'est annoncée qu'une fois réglée
+      if (!created.payment) {
+        await enqueueReservationNotification(client, created.reservation.id, 'reservation_created');
+      }
+
+      return created;
+    });
+
+    if (outcome.error) {
+      return res.status(outcome.status).json({
+        error: outcome.error,
+        ...(outcome.stillWaiting && { message: 'Vous restez sur la liste d\'attente' })
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: outcome.payment
+        ? `Une garantie est demandée : merci de la régler sous ${PAYMENT_DUE_MINUTES} minutes pour valider la réservation`
+        : 'Réservation créée depuis la liste d\'attente',
+      reservation: {
+        ...outcome.reservation,
+        tables: outcome.tables ? outcome.tables.map(table => table.label) : []
+      },
+      payment: outcome.payment || null
+    });
+  } catch (error) {
+    console.error('❌ Erreur POST /waitlist/:id/accept:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// PUT /waitlist/:id/cancel - Quitter la liste d'attente (JWT AUTH, client ou staff)
+router.put('/:id/cancel', requireAuth, async (req, res) => {
+  const pool = req.app.locals.pool;
+  const userId = req.userId; // ✅ JWT
+  const userRole = req.userRole; // ✅ JWT
+
+  try {
+    const result = await pool.query(
+      `UPDATE waitlist_entries
+       SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       AND status IN ('waiting', 'offered')
+       AND (user_id = $2 OR $3 IN ('admin', 'staff'))
+       RETURNING *`,
+      [req.params.id, userId, userRole]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Inscription non trouvée, déjà clôturée ou accès non autorisé'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Inscription annulée',
+      entry: result.rows[0]
+    });
+  } catch (error) {
+    console.error('❌ Erreur PUT /waitlist/:id/cancel:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+module.exports = router;
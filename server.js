@@ -6,17 +6,37 @@ const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const { initPool } = require('./database/db');
+const { createMailTransport } = require('./services/mailTransports');
+const { createSmsProvider } = require('./services/smsProviders');
+const { startNotificationWorker } = require('./services/notifications');
+const { createPaymentProvider } = require('./services/paymentProviders');
+const { startPaymentWorker } = require('./services/payments');
+const { startWaitlistWorker } = require('./services/waitlist');
 
 // Import des routes
 const authRoutes = require('./routes/auth');
 const settingsRoutes = require('./routes/settings');
 const userRoutes = require('./routes/users');
 const reservationRoutes = require('./routes/reservations');
+const guestReservationRoutes = require('./routes/guestReservations');
 const menusRoutes = require('./routes/menus');
 const dashboardRoutes = require('./routes/dashboard');
 const categoriesRoutes = require('./routes/categories');
 const dishesRoutes = require('./routes/dishes');
 const favoritesRoutes = require('./routes/favorites');
+const serviceHoursRoutes = require('./routes/serviceHours');
+const tablesRoutes = require('./routes/tables');
+const reliabilityPoliciesRoutes = require('./routes/reliabilityPolicies');
+const waitlistRoutes = require('./routes/waitlist');
+const serviceSheetRoutes = require('./routes/serviceSheet');
+const notificationRoutes = require('./routes/notifications');
+const calendarRoutes = require('./routes/calendar');
+const depositRulesRoutes = require('./routes/depositRules');
+const paymentRoutes = require('./routes/payments');
+const cancellationPolicyRoutes = require('./routes/cancellationPolicies');
+const eventInquiryRoutes = require('./routes/eventInquiries');
+const specialEventRoutes = require('./routes/specialEvents');
+const menuVersionRoutes = require('./routes/menuVersions');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -117,6 +137,44 @@ pool.on('error', (err) => {
   console.error('❌ Erreur pool PostgreSQL:', err);
 });
 
+// ============================================
+// NOTIFICATIONS (FILE D'ENVOI)
+// ============================================
+// MAIL_TRANSPORT=file (défaut hors production) écrit les emails sur disque, MAIL_TRANSPORT=smtp
+// les envoie, MAIL_TRANSPORT=off désactive le canal.
+// SMS_PROVIDER=fake (défaut hors production) n'envoie aucun SMS, SMS_PROVIDER=off désactive le canal.
+// En production, chaque canal doit être configuré (ou off) : le serveur refuse de démarrer sinon.
+const mailTransport = createMailTransport();
+const smsProvider = createSmsProvider();
+app.locals.notificationTransports = {
+  ...(mailTransport && { email: mailTransport }),
+  ...(smsProvider && { sms: smsProvider })
+};
+
+const stopNotificationWorker = process.env.NOTIFICATIONS_WORKER === 'off'
+  ? () => {}
+  : startNotificationWorker(pool, app.locals.notificationTransports);
+
+// ============================================
+// PAIEMENTS (ACOMPTES, EMPREINTES)
+// ============================================
+// PAYMENT_PROVIDER=fake (défaut hors production) n'effectue aucun débit.
+// En production, un prestataire réel est obligatoire : le serveur refuse de démarrer sinon.
+app.locals.paymentProvider = createPaymentProvider();
+
+// Annule les réservations dont la garantie n'est pas réglée à temps
+const stopPaymentWorker = process.env.PAYMENTS_WORKER === 'off'
+  ? () => {}
+  : startPaymentWorker(pool);
+
+// ============================================
+// LISTE D'ATTENTE
+// ============================================
+// Repropose les places des offres non acceptées à temps
+const stopWaitlistWorker = process.env.WAITLIST_WORKER === 'off'
+  ? () => {}
+  : startWaitlistWorker(pool);
+
 // ============================================
 // MIDDLEWARES DE SÉCURITÉ
 // ============================================
@@ -202,12 +260,26 @@ app.get('/test-jwt', require('./middleware/auths').requireAuth, (req, res) => {
 app.use('/auth', authLimiter, authRoutes);
 app.use('/settings', settingsRoutes);
 app.use('/users', userRoutes);
+app.use('/reservations/guest', guestReservationRoutes);
 app.use('/reservations', reservationRoutes);
 app.use('/menus', menusRoutes);
 app.use('/dashboard', dashboardRoutes);
 app.use('/categories', categoriesRoutes);
 app.use('/dishes', dishesRoutes);
 app.use('/favorites', favoritesRoutes);
+app.use('/service-hours', serviceHoursRoutes);
+app.use('/tables', tablesRoutes);
+app.use('/reliability-policies', reliabilityPoliciesRoutes);
+app.use('/waitlist', waitlistRoutes);
+app.use('/service-sheet', serviceSheetRoutes);
+app.use('/notifications', notificationRoutes);
+app.use('/calendar', calendarRoutes);
+app.use('/deposit-rules', depositRulesRoutes);
+app.use('/payments', paymentRoutes);
+app.use('/cancellation-policies', cancellationPolicyRoutes);
+app.use('/event-inquiries', eventInquiryRoutes);
+app.use('/special-events', specialEventRoutes);
+app.use('/menu-versions', menuVersionRoutes);
 
 // ============================================
 // GESTION ERREURS 404
@@ -260,6 +332,9 @@ const server = app.listen(PORT, () => {
 // ============================================
 const gracefulShutdown = () => {
   console.log('\n⏳ Arrêt du serveur...');
+  stopNotificationWorker();
+  stopPaymentWorker();
+  stopWaitlistWorker();
   
   server.close(() => {
     console.log('✅ Serveur HTTP fermé');
@@ -0,0 +1,514 @@
+// backend/services/availability.js
+// Règles de disponibilité partagées par les routes de réservation
+const { getActiveTables, chooseTableSet } = require('./tables');
+const { ACTIVE_STATUSES } = require('./reservationStatus');
+const { toRestaurantInstant } = require('./timezone');
+
+// Durée d'occupation par défaut si aucune règle ne couvre la taille du groupe
+const DEFAULT_DURATION_MINUTES = 90;
+
+// Valeurs par défaut d'un service ouvert exceptionnellement
+const DEFAULT_SLOT_INTERVAL_MINUTES = 15;
+const DEFAULT_CAPACITY = 50;
+
+// Helper pour exécuter des requêtes (pool ou client de transaction)
+const query = async (db, sql, params = []) => {
+  const result = await db.query(sql, params);
+  return result.rows;
+};
+
+// ============================================
+// UTILITAIRES HORAIRES
+// ============================================
+const toMinutes = (time) => {
+  const [hour, minute] = String(time).split(':').map(Number);
+  return hour * 60 + (minute || 0);
+};
+
+const formatTime = (minutes) => {
+  const hour = String(Math.floor(minutes / 60)).padStart(2, '0');
+  const minute = String(minutes % 60).padStart(2, '0');
+  return `${hour}:${minute}`;
+};
+
+// Les colonnes DATE arrivent de pg en objets Date (minuit local)
+const toDateString = (value) => {
+  if (!(value instanceof Date)) {
+    return String(value).substring(0, 10);
+  }
+  const month = String(value.getMonth() + 1).padStart(2, '0');
+  const day = String(value.getDate()).padStart(2, '0');
+  return `${value.getFullYear()}-${month}-${day}`;
+};
+
+// "12:00" -> "12h", "14:30" -> "14h30"
+const formatHour = (time) => {
+  const [hour, minute] = String(time).split(':');
+  return minute === '00' ? `${parseInt(hour)}h` : `${parseInt(hour)}h${minute}`;
+};
+
+// ============================================
+// SERVICES DU JOUR
+// ============================================
+const getWeeklyServices = async (db, date) => {
+  return query(db,
+    `SELECT * FROM service_hours
+     WHERE day_of_week = EXTRACT(DOW FROM $1::date)
+     AND is_active = true
+     ORDER BY start_time ASC`,
+    [date]
+  );
+};
+
+const getExceptionsForDate = async (db, date) => {
+  return query(db,
+    'SELECT * FROM service_exceptions WHERE exception_date = $1::date',
+    [date]
+  );
+};
+
+// Applique les fermetures et horaires spéciaux du jour au planning hebdomadaire
+const applyExceptions = (weekly, exceptions) => {
+  if (exceptions.some(exception => exception.exception_type === 'closed' && !exception.service)) {
+    return [];
+  }
+
+  const byService = {};
+  weekly.forEach(service => {
+    byService[service.service] = service;
+  });
+
+  exceptions.forEach(exception => {
+    if (exception.exception_type === 'closed') {
+      delete byService[exception.service];
+      return;
+    }
+
+    const base = byService[exception.service] || {};
+    byService[exception.service] = {
+      ...base,
+      service: exception.service,
+      start_time: exception.start_time,
+      end_time: exception.end_time,
+      last_seating_time: exception.last_seating_time,
+      slot_interval_minutes: exception.slot_interval_minutes || base.slot_interval_minutes || DEFAULT_SLOT_INTERVAL_MINUTES,
+      capacity: exception.capacity ?? base.capacity ?? DEFAULT_CAPACITY,
+      exception_id: exception.id
+    };
+  });
+
+  return Object.values(byService).sort((a, b) => toMinutes(a.start_time) - toMinutes(b.start_time));
+};
+
+/**
+ * Planning effectif d'une date : services ouverts et éventuelle fermeture du jour entier.
+ */
+const getDaySchedule = async (db, date) => {
+  const weekly = await getWeeklyServices(db, date);
+  const exceptions = await getExceptionsForDate(db, date);
+
+  return {
+    services: applyExceptions(weekly, exceptions),
+    closure: exceptions.find(exception => exception.exception_type === 'closed' && !exception.service) || null
+  };
+};
+
+const getServicesForDate = async (db, date) => {
+  const { services } = await getDaySchedule(db, date);
+  return services;
+};
+
+// ============================================
+// PRIVATISATIONS ET ÉVÉNEMENTS
+// ============================================
+const getBlocksForDate = async (db, date) => {
+  return query(db,
+    'SELECT * FROM capacity_blocks WHERE block_date = $1::date',
+    [date]
+  );
+};
+
+// Retire aux services les couverts et les zones bloqués ; un service privatisé disparaît
+const applyBlocks = (services, blocks) => {
+  return services
+    .filter(service => !blocks.some(block => block.service === service.service && block.is_buyout))
+    .map(service => {
+      const serviceBlocks = blocks.filter(block => block.service === service.service);
+      if (serviceBlocks.length === 0) {
+        return service;
+      }
+
+      return {
+        ...service,
+        capacity: Math.max(service.capacity - serviceBlocks.reduce((sum, block) => sum + block.seats, 0), 0),
+        blocked_zones: serviceBlocks.filter(block => block.zone).map(block => block.zone)
+      };
+    });
+};
+
+/**
+ * Planning ouvert aux réservations : planning du jour moins les blocages.
+ * Un jour entièrement privatisé est présenté comme une fermeture.
+ */
+const getBookableSchedule = async (db, date) => {
+  const { services, closure } = await getDaySchedule(db, date);
+  if (services.length === 0) {
+    return { services, closure };
+  }
+
+  const bookable = applyBlocks(services, await getBlocksForDate(db, date));
+
+  return {
+    services: bookable,
+    closure: closure || (bookable.length === 0 ? { reason: 'privatisation' } : null)
+  };
+};
+
+// Un créneau appartient à un service s'il est entre l'ouverture et la dernière prise de commande
+const findServiceForTime = (services, time) => {
+  const minutes = toMinutes(time);
+  return services.find(service =>
+    minutes >= toMinutes(service.start_time) &&
+    minutes <= toMinutes(service.last_seating_time)
+  ) || null;
+};
+
+const describeServices = (services, closure = null) => {
+  if (closure) {
+    return `Restaurant fermé ce jour-là${closure.reason ? ` (${closure.reason})` : ''}`;
+  }
+
+  if (services.length === 0) {
+    return 'Aucun service ce jour-là';
+  }
+
+  const ranges = services.map(service =>
+    `${formatHour(service.start_time)}-${formatHour(service.last_seating_time)}`
+  );
+  return `Horaires de réservation : ${ranges.join(' et ')}`;
+};
+
+// Horaires proposés pour un service : de l'ouverture à la dernière prise, par pas de slot_interval_minutes
+const getServiceSlotTimes = (service) => {
+  const times = [];
+  const last = toMinutes(service.last_seating_time);
+
+  for (let minutes = toMinutes(service.start_time); minutes <= last; minutes += service.slot_interval_minutes) {
+    times.push(formatTime(minutes));
+  }
+  return times;
+};
+
+// ============================================
+// DURÉES D'OCCUPATION
+// ============================================
+const getSeatingDurations = async (db) => {
+  return query(db, 'SELECT * FROM seating_durations ORDER BY min_party ASC');
+};
+
+const durationFor = (durations, people) => {
+  const rule = durations.find(duration =>
+    people >= duration.min_party && people <= duration.max_party
+  );
+  return rule ? rule.duration_minutes : DEFAULT_DURATION_MINUTES;
+};
+
+const getSeatingDuration = async (db, people) => {
+  return durationFor(await getSeatingDurations(db), people);
+};
+
+// ============================================
+// OCCUPATION DE LA SALLE
+// ============================================
+// Réservations actives du jour, avec leur durée et leurs tables
+const getDayBookings = async (db, date, excludeReservationId = null) => {
+  const rows = await query(db,
+    `SELECT r.id, r.reservation_time, r.number_of_people,
+            COALESCE(
+              r.duration_minutes,
+              (SELECT sd.duration_minutes FROM seating_durations sd
+               WHERE r.number_of_people BETWEEN sd.min_party AND sd.max_party
+               ORDER BY sd.min_party LIMIT 1),
+              $2
+            ) as duration_minutes,
+            COALESCE(array_agg(rt.table_id) FILTER (WHERE rt.table_id IS NOT NULL), '{}') as table_ids
+     FROM reservations r
+     LEFT JOIN reservation_tables rt ON rt.reservation_id = r.id
+     WHERE r.reservation_date = $1
+     AND r.status = ANY($4::text[])
+     AND ($3::integer IS NULL OR r.id <> $3)
+     GROUP BY r.id`,
+    [date, DEFAULT_DURATION_MINUTES, excludeReservationId, ACTIVE_STATUSES]
+  );
+
+  return rows.map(row => ({
+    id: row.id,
+    start: toMinutes(row.reservation_time),
+    end: toMinutes(row.reservation_time) + row.duration_minutes,
+    people: row.number_of_people,
+    table_ids: row.table_ids
+  }));
+};
+
+const overlapping = (bookings, start, end) => {
+  return bookings.filter(booking => booking.start < end && booking.end > start);
+};
+
+// Pic de couverts présents en salle sur [start, end[ : l'occupation ne change qu'aux arrivées
+const peakCovers = (bookings, start, end) => {
+  const present = overlapping(bookings, start, end);
+  const checkpoints = [start, ...present.map(booking => booking.start).filter(time => time > start)];
+
+  return checkpoints.reduce((peak, time) => {
+    const covers = present
+      .filter(booking => booking.start <= time && booking.end > time)
+      .reduce((sum, booking) => sum + booking.people, 0);
+    return Math.max(peak, covers);
+  }, 0);
+};
+
+const occupiedTableIds = (bookings, start, end) => {
+  const ids = new Set();
+  overlapping(bookings, start, end).forEach(booking => {
+    booking.table_ids.forEach(id => ids.add(id));
+  });
+  return ids;
+};
+
+const getOccupiedTableIds = async (db, { date, time, duration, excludeReservationId = null }) => {
+  const bookings = await getDayBookings(db, date, excludeReservationId);
+  const start = toMinutes(time);
+  return [...occupiedTableIds(bookings, start, start + duration)];
+};
+
+// ============================================
+// ÉVALUATION D'UN CRÉNEAU
+// ============================================
+/**
+ * Calcule la disponibilité réelle d'un créneau à partir des réservations
+ * qui seront encore à table pendant toute la durée du repas.
+ * `tables` vaut null quand aucun plan de salle n'est configuré.
+ */
+const evaluateSlot = ({ service, bookings, tables, zone, start, duration, people }) => {
+  const end = start + duration;
+  const availableSeats = Math.max(service.capacity - peakCovers(bookings, start, end), 0);
+
+  if (availableSeats < people) {
+    return { available: false, available_seats: availableSeats, tables: null };
+  }
+
+  // Sans plan de salle, seule la capacité du service compte
+  if (!tables) {
+    return { available: true, available_seats: availableSeats, tables: null };
+  }
+
+  const occupied = occupiedTableIds(bookings, start, end);
+  const blockedZones = service.blocked_zones || [];
+  const freeTables = tables.filter(table =>
+    !occupied.has(table.id) && !blockedZones.includes(table.zone) && (!zone || table.zone === zone)
+  );
+  const tableSet = chooseTableSet(freeTables, people);
+
+  return {
+    available: tableSet !== null,
+    available_seats: availableSeats,
+    tables: tableSet,
+    ...(!tableSet && { message: 'Aucune table disponible pour ce nombre de personnes' })
+  };
+};
+
+const getTablePlan = async (db) => {
+  const tables = await getActiveTables(db);
+  return tables.length > 0 ? tables : null;
+};
+
+// ============================================
+// VERROUILLAGE
+// ============================================
+// Sérialise les écritures d'une même date jusqu'à la fin de la transaction.
+// La date entière sert d'unité : un repas peut chevaucher plusieurs créneaux.
+const lockReservationDate = async (client, date) => {
+  await client.query(
+    "SELECT pg_advisory_xact_lock(hashtext('reservations:' || $1::date::text))",
+    [date]
+  );
+};
+
+// ============================================
+// VÉRIFICATION D'UN CRÉNEAU
+// ============================================
+/**
+ * Vérifie qu'un créneau est ouvert, qu'il reste assez de couverts pendant
+ * la durée du repas et, si un plan de salle existe, qu'un jeu de tables est libre.
+ * `strictInterval: false` accepte une heure hors grille (saisie par le personnel).
+ * Retourne { open, service, duration_minutes, available, available_seats, tables, message }.
+ */
+const checkSlot = async (db, { date, time, people, zone = null, excludeReservationId = null, strictInterval = true }) => {
+  const { services, closure } = await getBookableSchedule(db, date);
+  const service = findServiceForTime(services, time);
+
+  if (!service) {
+    return {
+      open: false,
+      service: null,
+      available: false,
+      available_seats: 0,
+      message: describeServices(services, closure)
+    };
+  }
+
+  const offset = toMinutes(time) - toMinutes(service.start_time);
+  if (strictInterval && offset % service.slot_interval_minutes !== 0) {
+    return {
+      open: false,
+      service,
+      available: false,
+      available_seats: 0,
+      message: `Les réservations se font par tranches de ${service.slot_interval_minutes} minutes`
+    };
+  }
+
+  const duration = await getSeatingDuration(db, people);
+  const bookings = await getDayBookings(db, date, excludeReservationId);
+  const tables = await getTablePlan(db);
+
+  return {
+    open: true,
+    service,
+    duration_minutes: duration,
+    ...evaluateSlot({ service, bookings, tables, zone, start: toMinutes(time), duration, people })
+  };
+};
+
+// Un créneau passé n'est plus réservable (même règle que la création), à l'heure du restaurant
+const isPastSlot = (date, time, now) => toRestaurantInstant(date, time) < now;
+
+const buildDaySlots = ({ date, services, bookings, tables, zone, duration, people, now }) => {
+  return services.map(service => ({
+    service: service.service,
+    capacity: service.capacity,
+    slots: getServiceSlotTimes(service).map(time => {
+      if (isPastSlot(date, time, now)) {
+        return { time, available: false, available_seats: 0, past: true };
+      }
+
+      const slot = evaluateSlot({ service, bookings, tables, zone, start: toMinutes(time), duration, people });
+      return {
+        time,
+        available: slot.available,
+        available_seats: slot.available_seats
+      };
+    })
+  }));
+};
+
+/**
+ * Tous les créneaux d'une journée pour un groupe donné, service par service.
+ */
+const getDaySlots = async (db, { date, people, zone = null }) => {
+  const { services } = await getBookableSchedule(db, date);
+  if (services.length === 0) {
+    return [];
+  }
+
+  const duration = await getSeatingDuration(db, people);
+  const bookings = await getDayBookings(db, date);
+  const tables = await getTablePlan(db);
+
+  return buildDaySlots({ date, services, bookings, tables, zone, duration, people, now: new Date() });
+};
+
+/**
+ * Charge d'un service avant d'y bloquer de la place (privatisation, événement) :
+ * capacité restante après les blocages existants, pic de couverts réservés
+ * sur toute la durée du service et zones où des tables sont déjà prises.
+ * `ignoreBlockId` exclut un blocage existant (celui que l'on s'apprête à remplacer).
+ * Retourne null si le service n'est pas ouvert ce jour-là.
+ */
+const getServiceLoad = async (db, { date, service: serviceName, ignoreBlockId = null }) => {
+  const { services } = await getDaySchedule(db, date);
+  const service = services.find(dayService => dayService.service === serviceName);
+  if (!service) {
+    return null;
+  }
+
+  const blocks = (await getBlocksForDate(db, date)).filter(block => block.id !== ignoreBlockId);
+  const [bookable] = applyBlocks([service], blocks);
+  const start = toMinutes(service.start_time);
+  const end = toMinutes(service.end_time);
+  const bookings = overlapping(await getDayBookings(db, date), start, end);
+
+  const zoneByTable = {};
+  (await getActiveTables(db)).forEach(table => {
+    zoneByTable[table.id] = table.zone;
+  });
+
+  const occupiedZones = new Set();
+  bookings.forEach(booking => {
+    booking.table_ids.forEach(id => {
+      if (zoneByTable[id]) occupiedZones.add(zoneByTable[id]);
+    });
+  });
+
+  return {
+    service,
+    bought_out: !bookable,
+    capacity: bookable ? bookable.capacity : 0,
+    blocked_zones: bookable ? bookable.blocked_zones || [] : [],
+    booked_covers: peakCovers(bookings, start, end),
+    booking_count: bookings.length,
+    occupied_zones: [...occupiedZones]
+  };
+};
+
+// "2025-01-31" -> "2025-02-01"
+const nextDate = (date) => {
+  const next = new Date(`${date}T00:00:00Z`);
+  next.setUTCDate(next.getUTCDate() + 1);
+  return next.toISOString().substring(0, 10);
+};
+
+/**
+ * Calendrier de disponibilité sur une plage de dates (bornes incluses).
+ * Chaque jour est marqué fermé (aucun service) ou complet (aucun créneau libre).
+ */
+const getAvailabilityCalendar = async (db, { from, to, people, zone = null }) => {
+  const duration = await getSeatingDuration(db, people);
+  const tables = await getTablePlan(db);
+  const now = new Date();
+  const days = [];
+
+  for (let date = from; date <= to; date = nextDate(date)) {
+    const { services, closure } = await getBookableSchedule(db, date);
+    const bookings = services.length > 0 ? await getDayBookings(db, date) : [];
+    const daySlots = buildDaySlots({ date, services, bookings, tables, zone, duration, people, now });
+    const hasFreeSlot = daySlots.some(service => service.slots.some(slot => slot.available));
+
+    days.push({
+      date,
+      closed: services.length === 0,
+      full: services.length > 0 && !hasFreeSlot,
+      ...(closure && { closure_reason: closure.reason }),
+      services: daySlots
+    });
+  }
+
+  return days;
+};
+
+module.exports = {
+  toMinutes,
+  toDateString,
+  getDaySchedule,
+  getServicesForDate,
+  getBookableSchedule,
+  getServiceLoad,
+  findServiceForTime,
+  describeServices,
+  getSeatingDuration,
+  getOccupiedTableIds,
+  lockReservationDate,
+  checkSlot,
+  getDaySlots,
+  getAvailabilityCalendar
+};
@@ -0,0 +1,103 @@
+// backend/services/cancellationPolicies.js
+// Politique d'annulation : qui peut modifier, annuler ou supprimer une réservation, et jusqu'à quand
+const { toDateString } = require('./availability');
+const { ACTIVE_STATUSES } = require('./reservationStatus');
+const { getReservationDateTime } = require('./reservations');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Utilisée si aucune politique active ne correspond
+const DEFAULT_POLICY = {
+  id: null,
+  name: 'Politique générale',
+  cutoff_hours: 2,
+  late_cancel_hours: 24,
+  late_cancel_penalty: true,
+  allow_customer_delete: true
+};
+
+const ACTION_LABELS = {
+  modify: 'de modifier',
+  cancel: 'd\'annuler',
+  delete: 'de supprimer'
+};
+
+// Politique applicable à une réservation : la plus précise l'emporte
+const getCancellationPolicy = async (db, reservation) => {
+  const result = await db.query(
+    `SELECT * FROM cancellation_policies
+     WHERE is_active = true
+     AND (min_party IS NULL OR $2 >= min_party)
+     AND (max_party IS NULL OR $2 <= max_party)
+     AND (start_date IS NULL OR $1::date BETWEEN start_date AND end_date)
+     ORDER BY (start_date IS NOT NULL) DESC,
+              (min_party IS NOT NULL OR max_party IS NOT NULL) DESC,
+              id ASC
+     LIMIT 1`,
+    [toDateString(reservation.reservation_date), reservation.number_of_people]
+  );
+  return result.rows[0] || DEFAULT_POLICY;
+};
+
+/**
+ * Applique la politique à une action (modify, cancel, delete) sur une réservation.
+ * Le client est tenu par le délai limite ; le personnel peut le dépasser avec `override`.
+ * Seul le client peut faire une annulation tardive, pénalisée si la politique le prévoit.
+ * Retourne { policy, error, late } : error est non nul si l'action est refusée.
+ */
+const evaluateChange = async (db, reservation, { action, byCustomer = true, override = false, now = new Date() }) => {
+  const policy = await getCancellationPolicy(db, reservation);
+  const refuse = (error) => ({ policy, error, late: false });
+
+  if (action === 'modify' && reservation.status === 'pending_payment') {
+    return refuse('Merci de régler la garantie avant de modifier la réservation');
+  }
+
+  if (action === 'modify' && !['pending', 'confirmed'].includes(reservation.status)) {
+    return refuse('Cette réservation ne peut plus être modifiée');
+  }
+
+  if (action === 'cancel' && reservation.status === 'cancelled') {
+    return refuse('Réservation déjà annulée');
+  }
+
+  const active = ACTIVE_STATUSES.includes(reservation.status);
+
+  if (action === 'delete' && byCustomer) {
+    if (!policy.allow_customer_delete) {
+      return refuse('La suppression n\'est pas autorisée : merci d\'annuler la réservation');
+    }
+    // Une réservation passée fait partie de l'historique de fiabilité du client
+    if (!active) {
+      return refuse('Seule une réservation à venir peut être supprimée');
+    }
+  }
+
+  // Supprimer une réservation terminée ne libère aucune place : pas de délai à respecter
+  if (action === 'delete' && !active) {
+    return { policy, error: null, late: false };
+  }
+
+  const hoursBefore = (getReservationDateTime(reservation) - now) / HOUR_MS;
+
+  if (hoursBefore < policy.cutoff_hours && !(override && !byCustomer)) {
+    const error = `Impossible ${ACTION_LABELS[action]} moins de ${policy.cutoff_hours}h avant la réservation`;
+    return refuse(byCustomer ? error : `${error} (override_policy pour passer outre)`);
+  }
+
+  const late = byCustomer && action !== 'modify' &&
+    policy.late_cancel_penalty && hoursBefore < policy.late_cancel_hours;
+
+  // La suppression effacerait la trace d'une annulation tardive
+  if (late && action === 'delete') {
+    return refuse('Annulation tardive : merci d\'annuler la réservation plutôt que de la supprimer');
+  }
+
+  return { policy, error: null, late };
+};
+
+module.exports = {
+  DEFAULT_POLICY,
+  getCancellationPolicy,
+  evaluateChange
+};
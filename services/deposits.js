@@ -0,0 +1,70 @@
+// backend/services/deposits.js
+// Garanties exigées à la réservation : règles d'acompte ou d'empreinte et paiements attendus
+
+// Délai laissé au client pour régler avant que la réservation ne soit annulée
+const PAYMENT_DUE_MINUTES = 30;
+
+const PAYMENT_CURRENCY = process.env.PAYMENT_CURRENCY || 'EUR';
+
+/**
+ * Garantie exigée pour une date et un nombre de couverts.
+ * Si plusieurs règles s'appliquent, la plus élevée l'emporte.
+ * Retourne { rule, kind, amount_cents, currency } ou null.
+ */
+const getDepositRequirement = async (db, { date, people }) => {
+  const result = await db.query(
+    `SELECT * FROM deposit_rules
+     WHERE is_active = true
+     AND (min_party IS NULL OR $2 >= min_party)
+     AND (start_date IS NULL OR $1::date BETWEEN start_date AND end_date)`,
+    [date, people]
+  );
+
+  let requirement = null;
+
+  for (const rule of result.rows) {
+    const amount = rule.per_person ? rule.amount_cents * people : rule.amount_cents;
+    if (!requirement || amount > requirement.amount_cents) {
+      requirement = { rule, kind: rule.kind, amount_cents: amount, currency: PAYMENT_CURRENCY };
+    }
+  }
+
+  return requirement;
+};
+
+// Paiement attendu pour une réservation qui vient d'être créée en pending_payment
+const createPaymentRecord = async (db, reservationId, requirement) => {
+  const result = await db.query(
+    `INSERT INTO reservation_payments (reservation_id, deposit_rule_id, kind, amount_cents, currency, expires_at)
+     VALUES ($1, $2, $3, $4, $5, NOW() + make_interval(mins => $6))
+     RETURNING *`,
+    [
+      reservationId,
+      requirement.rule.id,
+      requirement.kind,
+      requirement.amount_cents,
+      requirement.currency,
+      PAYMENT_DUE_MINUTES
+    ]
+  );
+  return result.rows[0];
+};
+
+// Dernier paiement lié à une réservation
+const getReservationPayment = async (db, reservationId) => {
+  const result = await db.query(
+    `SELECT * FROM reservation_payments
+     WHERE reservation_id = $1
+     ORDER BY created_at DESC, id DESC
+     LIMIT 1`,
+    [reservationId]
+  );
+  return result.rows[0] || null;
+};
+
+module.exports = {
+  PAYMENT_DUE_MINUTES,
+  getDepositRequirement,
+  createPaymentRecord,
+  getReservationPayment
+};
@@ -0,0 +1,178 @@
+// backend/services/eventInquiries.js
+// Demandes d'événements : devis, acceptation par le demandeur et blocage de la capacité du service
+const crypto = require('crypto');
+const { getServiceLoad, lockReservationDate, toDateString } = require('./availability');
+
+const EVENT_TYPES = ['birthday', 'company', 'buyout', 'other'];
+const INQUIRY_STATUSES = ['new', 'quoted', 'accepted', 'declined', 'cancelled'];
+const BLOCK_TYPES = ['seats', 'zone', 'buyout'];
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
+
+// Jeton du lien de suivi : aléatoire, stocké en base et sans expiration (la demande a sa propre vie)
+const createInquiryToken = () => crypto.randomBytes(24).toString('hex');
+
+const getInquiryLink = (inquiry) => {
+  return `${FRONTEND_URL}/events/inquiry?token=${encodeURIComponent(inquiry.access_token)}`;
+};
+
+const getInquiryByToken = async (db, token) => {
+  const result = await db.query(
+    'SELECT * FROM event_inquiries WHERE access_token = $1',
+    [token]
+  );
+  return result.rows[0] || null;
+};
+
+// Demande avec ses devis (du plus récent au plus ancien) et la capacité bloquée s'il y en a une
+const getInquiryDetail = async (db, inquiry) => {
+  const quotes = await db.query(
+    `SELECT q.*, m.title as menu_title
+     FROM event_quotes q
+     LEFT JOIN published_menus m ON m.id_menu = q.menu_id
+     WHERE q.inquiry_id = $1
+     ORDER BY q.created_at DESC, q.id DESC`,
+    [inquiry.id]
+  );
+
+  const block = await db.query(
+    'SELECT * FROM capacity_blocks WHERE event_inquiry_id = $1',
+    [inquiry.id]
+  );
+
+  return {
+    ...inquiry,
+    quotes: quotes.rows,
+    capacity_block: block.rows[0] || null
+  };
+};
+
+// Refus motivé si le service ne peut plus accueillir l'événement tel que chiffré
+const getCapacityError = (load, quote) => {
+  if (!load) {
+    return 'Le restaurant n\'est plus ouvert pour ce service à cette date';
+  }
+
+  if (load.bought_out) {
+    return 'Ce service est déjà privatisé';
+  }
+
+  if (quote.block_type === 'buyout') {
+    return load.booking_count > 0
+      ? 'Des réservations existent déjà sur ce service : merci de nous contacter'
+      : null;
+  }
+
+  if (quote.block_type === 'zone' &&
+      (load.blocked_zones.includes(quote.zone) || load.occupied_zones.includes(quote.zone))) {
+    return 'Cette salle n\'est plus disponible à cette date : merci de nous contacter';
+  }
+
+  if (load.capacity - load.booked_covers < quote.headcount) {
+    return 'Il ne reste plus assez de places à cette date : merci de nous contacter';
+  }
+
+  return null;
+};
+
+/**
+ * Accepte un devis et bloque la capacité correspondante sur le service demandé.
+ * Doit être appelée dans une transaction : la date est verrouillée comme pour
+ * une réservation, le contrôle de capacité et le blocage sont donc atomiques.
+ * Les autres devis envoyés sont retirés.
+ * Retourne { inquiry, quote, block } ou { status, error }.
+ */
+const acceptQuote = async (client, inquiry, quoteId, { now = new Date() } = {}) => {
+  if (inquiry.status !== 'quoted') {
+    return { status: 409, error: 'Aucun devis en attente de réponse pour cette demande' };
+  }
+
+  const date = toDateString(inquiry.event_date);
+  await lockReservationDate(client, date);
+
+  const quoteResult = await client.query(
+    'SELECT * FROM event_quotes WHERE id = $1 AND inquiry_id = $2 FOR UPDATE',
+    [quoteId, inquiry.id]
+  );
+  const quote = quoteResult.rows[0];
+
+  if (!quote) {
+    return { status: 404, error: 'Devis non trouvé' };
+  }
+
+  if (quote.status !== 'sent') {
+    return { status: 409, error: 'Ce devis n\'est plus valable' };
+  }
+
+  if (toDateString(quote.valid_until) < toDateString(now) || date <= toDateString(now)) {
+    return { status: 409, error: 'Ce devis a expiré : merci de nous contacter' };
+  }
+
+  const load = await getServiceLoad(client, { date, service: inquiry.service });
+  const capacityError = getCapacityError(load, quote);
+  if (capacityError) {
+    return { status: 409, error: capacityError };
+  }
+
+  const block = await client.query(
+    `INSERT INTO capacity_blocks (block_date, service, seats, zone, is_buyout, reason, event_inquiry_id)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     RETURNING *`,
+    [
+      date,
+      inquiry.service,
+      quote.block_type === 'buyout' ? 0 : quote.headcount,
+      quote.block_type === 'zone' ? quote.zone : null,
+      quote.block_type === 'buyout',
+      `Événement #${inquiry.id} - ${inquiry.lastname}`,
+      inquiry.id
+    ]
+  );
+
+  const accepted = await client.query(
+    `UPDATE event_quotes SET status = 'accepted', responded_at = CURRENT_TIMESTAMP
+     WHERE id = $1
+     RETURNING *`,
+    [quote.id]
+  );
+
+  await client.query(
+    `UPDATE event_quotes SET status = 'withdrawn'
+     WHERE inquiry_id = $1 AND id <> $2 AND status = 'sent'`,
+    [inquiry.id, quote.id]
+  );
+
+  const updated = await client.query(
+    `UPDATE event_inquiries SET status = 'accepted', updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1
+     RETURNING *`,
+    [inquiry.id]
+  );
+
+  return {
+    inquiry: updated.rows[0],
+    quote: accepted.rows[0],
+    block: block.rows[0]
+  };
+};
+
+// Libère la capacité bloquée par une demande ; retourne les blocages supprimés
+const releaseInquiryBlock = async (db, inquiryId) => {
+  const result = await db.query(
+    'DELETE FROM capacity_blocks WHERE event_inquiry_id = $1 RETURNING *',
+    [inquiryId]
+  );
+  return result.rows;
+};
+
+module.exports = {
+  EVENT_TYPES,
+  INQUIRY_STATUSES,
+  BLOCK_TYPES,
+  createInquiryToken,
+  getInquiryLink,
+  getInquiryByToken,
+  getInquiryDetail,
+  acceptQuote,
+  releaseInquiryBlock
+};
@@ -0,0 +1,120 @@
+// backend/services/guestReservations.js
+// Réservations invitées : lien de gestion signé et rattachement au compte créé plus tard,
+// une fois l'adresse email vérifiée
+const jwt = require('jsonwebtoken');
+const { getReservationDateTime } = require('./reservations');
+
+// Secret distinct de celui des sessions : un lien de gestion n'ouvre pas de session
+const GUEST_TOKEN_SECRET = process.env.GUEST_TOKEN_SECRET ||
+  `${process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-in-production'}:guest-reservations`;
+const TOKEN_PURPOSE = 'manage_reservation';
+const EMAIL_VERIFICATION_PURPOSE = 'verify_email';
+const EMAIL_VERIFICATION_EXPIRY = '7d';
+
+// Le lien reste valable un jour après le repas
+const TOKEN_GRACE_HOURS = 24;
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
+
+/**
+ * Génère le jeton de gestion d'une réservation invitée.
+ * À régénérer après chaque modification de date : il expire après le repas.
+ */
+const createManagementToken = (reservation) => {
+  const expiresAt = getReservationDateTime(reservation).getTime() + TOKEN_GRACE_HOURS * 60 * 60 * 1000;
+
+  return jwt.sign(
+    {
+      purpose: TOKEN_PURPOSE,
+      reservationId: reservation.id,
+      email: reservation.guest_email
+    },
+    GUEST_TOKEN_SECRET,
+    { expiresIn: Math.max(60, Math.floor((expiresAt - Date.now()) / 1000)) }
+  );
+};
+
+// Retourne { reservationId, email } ou null si le jeton est invalide ou expiré
+const verifyManagementToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, GUEST_TOKEN_SECRET);
+    return decoded.purpose === TOKEN_PURPOSE ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const getManagementLink = (token) => {
+  return `${FRONTEND_URL}/reservations/manage?token=${encodeURIComponent(token)}`;
+};
+
+// ============================================
+// VÉRIFICATION DE L'EMAIL
+// ============================================
+/**
+ * Jeton du lien envoyé à l'adresse d'un nouveau compte : l'ouvrir prouve que
+ * le titulaire du compte lit cette boîte, condition du rattachement des réservations invitées.
+ */
+const createEmailVerificationToken = (user) => {
+  return jwt.sign(
+    {
+      purpose: EMAIL_VERIFICATION_PURPOSE,
+      userId: user.id,
+      email: user.email
+    },
+    GUEST_TOKEN_SECRET,
+    { expiresIn: EMAIL_VERIFICATION_EXPIRY }
+  );
+};
+
+// Retourne { userId, email } ou null si le jeton est invalide ou expiré
+const verifyEmailVerificationToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, GUEST_TOKEN_SECRET);
+    return decoded.purpose === EMAIL_VERIFICATION_PURPOSE ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const getEmailVerificationLink = (token) => {
+  return `${FRONTEND_URL}/account/verify-email?token=${encodeURIComponent(token)}`;
+};
+
+// Nombre de réservations invitées faites avec cet email et pas encore rattachées
+const countGuestReservations = async (db, email) => {
+  const result = await db.query(
+    'SELECT COUNT(*) as count FROM reservations WHERE user_id IS NULL AND LOWER(guest_email) = LOWER($1)',
+    [email]
+  );
+  return parseInt(result.rows[0].count);
+};
+
+/**
+ * Rattache au compte les réservations invitées faites avec le même email.
+ * Uniquement après vérification de l'adresse : sinon n'importe qui pourrait
+ * s'inscrire avec l'email d'un autre et lire ou annuler ses réservations.
+ * Retourne les ids des réservations rattachées.
+ */
+const attachGuestReservations = async (db, user) => {
+  const result = await db.query(
+    `UPDATE reservations
+     SET user_id = $1
+     WHERE user_id IS NULL AND LOWER(guest_email) = LOWER($2)
+     RETURNING id`,
+    [user.id, user.email]
+  );
+
+  return result.rows.map(row => row.id);
+};
+
+module.exports = {
+  createManagementToken,
+  verifyManagementToken,
+  getManagementLink,
+  createEmailVerificationToken,
+  verifyEmailVerificationToken,
+  getEmailVerificationLink,
+  countGuestReservations,
+  attachGuestReservations
+};
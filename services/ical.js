@@ -0,0 +1,135 @@
+// backend/services/ical.js
+// Export iCalendar (RFC 5545) des réservations
+const { toDateString } = require('./availability');
+const { toRestaurantInstant } = require('./timezone');
+
+const ICAL_DOMAIN = process.env.ICAL_DOMAIN || 'restaurant.local';
+const DEFAULT_DURATION_MINUTES = 90;
+const DEFAULT_RESTAURANT_NAME = 'Le Restaurant';
+
+const ICAL_STATUSES = {
+  pending: 'TENTATIVE',
+  confirmed: 'CONFIRMED',
+  seated: 'CONFIRMED',
+  completed: 'CONFIRMED',
+  cancelled: 'CANCELLED',
+  declined: 'CANCELLED',
+  no_show: 'CANCELLED'
+};
+
+// Échapper les caractères réservés d'une valeur texte
+const escapeText = (value) => String(value || '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Les lignes de plus de 75 octets sont repliées (suite préfixée d'un espace)
+const foldLine = (line) => {
+  const chunks = [];
+  let current = '';
+
+  for (const char of line) {
+    if (Buffer.byteLength(current + char) > (chunks.length === 0 ? 75 : 74)) {
+      chunks.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  chunks.push(current);
+
+  return chunks.join('\r\n ');
+};
+
+// Date JS -> 20250131T193000Z (UTC)
+const formatUtc = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// L'heure de la réservation est celle du restaurant, quel que soit le fuseau du serveur
+const getStartDate = (reservation) => {
+  return toRestaurantInstant(toDateString(reservation.reservation_date), reservation.reservation_time);
+};
+
+/**
+ * Événement VEVENT d'une réservation.
+ * `summary` et `description` sont fournis par l'appelant (vue client ou vue équipe).
+ */
+const buildEvent = (reservation, { summary, description = '', location = '' }) => {
+  const start = getStartDate(reservation);
+  const end = new Date(start.getTime() + (reservation.duration_minutes || DEFAULT_DURATION_MINUTES) * 60 * 1000);
+
+  return [
+    'BEGIN:VEVENT',
+    `UID:reservation-${reservation.id}@${ICAL_DOMAIN}`,
+    `DTSTAMP:${formatUtc(new Date())}`,
+    `DTSTART:${formatUtc(start)}`,
+    `DTEND:${formatUtc(end)}`,
+    `SUMMARY:${escapeText(summary)}`,
+    ...(description ? [`DESCRIPTION:${escapeText(description)}`] : []),
+    ...(location ? [`LOCATION:${escapeText(location)}`] : []),
+    `STATUS:${ICAL_STATUSES[reservation.status] || 'CONFIRMED'}`,
+    'END:VEVENT'
+  ];
+};
+
+const buildCalendar = (name, events) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:-//${ICAL_DOMAIN}//Reservations//FR`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    ...events.flat(),
+    'END:VCALENDAR'
+  ];
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+// Nom et adresse du restaurant (table settings)
+const getCalendarContext = async (db) => {
+  const result = await db.query(
+    `SELECT setting_key, setting_value FROM settings
+     WHERE setting_key IN ('restaurant_name', 'restaurant_address')`
+  );
+
+  const settings = {};
+  result.rows.forEach(row => {
+    settings[row.setting_key] = row.setting_value;
+  });
+
+  return {
+    restaurantName: settings.restaurant_name || DEFAULT_RESTAURANT_NAME,
+    location: settings.restaurant_address || ''
+  };
+};
+
+// Vue client : le restaurant, l'heure et le nombre de couverts
+const buildGuestEvent = (reservation, { restaurantName, location }) => {
+  return buildEvent(reservation, {
+    summary: `${restaurantName} - table pour ${reservation.number_of_people}`,
+    description: reservation.special_requests ? `Demandes : ${reservation.special_requests}` : '',
+    location
+  });
+};
+
+// Vue équipe : le client, les couverts, les tables et les demandes spéciales
+const buildStaffEvent = (reservation) => {
+  const name = [reservation.firstname, reservation.lastname].filter(Boolean).join(' ') || 'Client';
+  const tables = reservation.tables && reservation.tables.length > 0 ? ` (${reservation.tables.join(', ')})` : '';
+
+  return buildEvent(reservation, {
+    summary: `${name} - ${reservation.number_of_people} pers.${tables}`,
+    description: [
+      reservation.phone ? `Tél. : ${reservation.phone}` : null,
+      reservation.special_requests ? `Demandes : ${reservation.special_requests}` : null
+    ].filter(Boolean).join('\n')
+  });
+};
+
+module.exports = {
+  getCalendarContext,
+  buildCalendar,
+  buildGuestEvent,
+  buildStaffEvent
+};
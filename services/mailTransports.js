@@ -0,0 +1,83 @@
+// backend/services/mailTransports.js
+// Transports d'envoi des emails : fichier (développement, tests) ou SMTP
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+const MAIL_FROM = process.env.MAIL_FROM || 'Restaurant <no-reply@restaurant.local>';
+
+// Chaque message est écrit en JSON dans un dossier local au lieu d'être envoyé
+const createFileTransport = ({ directory = process.env.MAIL_FILE_DIR || path.join(os.tmpdir(), 'restaurant-mails') } = {}) => ({
+  name: 'file',
+  send: async (message) => {
+    await fs.mkdir(directory, { recursive: true });
+    const filename = `${Date.now()}-${message.id}.json`;
+    await fs.writeFile(
+      path.join(directory, filename),
+      JSON.stringify({ from: MAIL_FROM, ...message }, null, 2)
+    );
+    return { id: filename };
+  }
+});
+
+const createSmtpTransport = ({ url = process.env.SMTP_URL } = {}) => {
+  if (!url) {
+    throw new Error('SMTP_URL requis pour le transport smtp');
+  }
+
+  const nodemailer = require('nodemailer');
+  const transporter = nodemailer.createTransport(url);
+
+  return {
+    name: 'smtp',
+    send: async (message) => {
+      const info = await transporter.sendMail({
+        from: MAIL_FROM,
+        to: message.to,
+        subject: message.subject,
+        text: message.body
+      });
+      return { id: info.messageId };
+    }
+  };
+};
+
+const transportFactories = {
+  file: createFileTransport,
+  smtp: createSmtpTransport
+};
+
+// Permet de brancher un autre fournisseur (API d'envoi, transport de test...)
+const registerMailTransport = (name, factory) => {
+  transportFactories[name] = factory;
+};
+
+/**
+ * Transport choisi par MAIL_TRANSPORT : file par défaut en développement, "off" pour
+ * désactiver les emails (retourne null). En production, les emails resteraient sur
+ * le disque du serveur : le transport (ou "off") doit être choisi explicitement.
+ * Un transport expose send({ id, to, subject, body }) et retourne { id }.
+ */
+const createMailTransport = (name = process.env.MAIL_TRANSPORT, options = {}) => {
+  if (!name) {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('MAIL_TRANSPORT doit être défini en production (ou "off" pour désactiver les emails)');
+    }
+    name = 'file';
+  }
+
+  if (name === 'off') {
+    return null;
+  }
+
+  const factory = transportFactories[name];
+  if (!factory) {
+    throw new Error(`Transport email inconnu : ${name}`);
+  }
+  return factory(options);
+};
+
+module.exports = {
+  registerMailTransport,
+  createMailTransport
+};
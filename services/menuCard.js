@@ -0,0 +1,143 @@
+// backend/services/menuCard.js
+// Carte publiée : les tables menus, plats et catégories servent de brouillon,
+// une publication fige l'ensemble dans une version que le site est seul à lire
+const { getCardMenus, withComposition } = require('./menus');
+
+// ============================================
+// BROUILLON
+// ============================================
+/**
+ * Carte telle qu'elle serait publiée maintenant : menus actifs avec leur composition
+ * et leurs horaires, tous les plats (avec leur catégorie) et toutes les catégories.
+ */
+const buildDraftCard = async (db) => {
+  const menus = await withComposition(db, await getCardMenus(db));
+
+  const dishes = await db.query(
+    `SELECT d.*, c.name as category_name, c.icon as category_icon, c.display_order as category_display_order
+     FROM dishes d
+     LEFT JOIN categories c ON d.category_id = c.id_category
+     ORDER BY c.display_order ASC, d.name ASC`
+  );
+
+  const categories = await db.query(
+    'SELECT * FROM categories ORDER BY display_order ASC, id_category ASC'
+  );
+
+  return {
+    menus,
+    dishes: dishes.rows,
+    categories: categories.rows
+  };
+};
+
+// ============================================
+// VERSIONS
+// ============================================
+const getPublishedVersion = async (db) => {
+  const result = await db.query(
+    "SELECT * FROM menu_card_versions WHERE status = 'published'"
+  );
+  return result.rows[0] || null;
+};
+
+// Carte vide, servie tant que rien n'a été publié
+const EMPTY_CARD = { menus: [], dishes: [], categories: [] };
+
+/**
+ * Carte servie au public : la version publiée.
+ * Le brouillon n'est jamais servi : tant que rien n'a été publié, la carte est vide.
+ */
+const getPublicCard = async (db) => {
+  const version = await getPublishedVersion(db);
+  return version ? version.snapshot : EMPTY_CARD;
+};
+
+// Historique, sans le contenu des versions
+const listVersions = async (db) => {
+  const result = await db.query(
+    `SELECT v.id, v.version_number, v.status, v.note, v.restored_from, v.published_at,
+            jsonb_array_length(v.snapshot->'menus') as menu_count,
+            jsonb_array_length(v.snapshot->'dishes') as dish_count,
+            u.firstname as published_by_firstname, u.lastname as published_by_lastname
+     FROM menu_card_versions v
+     LEFT JOIN users u ON u.id = v.published_by
+     ORDER BY v.version_number DESC`
+  );
+  return result.rows;
+};
+
+const getVersion = async (db, versionId) => {
+  const result = await db.query('SELECT * FROM menu_card_versions WHERE id = $1', [versionId]);
+  return result.rows[0] || null;
+};
+
+/**
+ * Met en ligne une carte : la version publiée est archivée et remplacée en une transaction,
+ * le site passe donc d'une version complète à l'autre.
+ * Sans `snapshot`, le brouillon est figé tel qu'il est au moment de la publication.
+ * `restoredFrom` marque un retour arrière vers une ancienne version.
+ * Doit être appelée dans une transaction.
+ */
+const publishCard = async (client, { snapshot = null, note = null, restoredFrom = null, publishedBy = null } = {}) => {
+  // Les publications passent une à une. La transaction reste en READ COMMITTED : en REPEATABLE READ,
+  // l'instantané serait pris avant l'attente du verrou et ignorerait la version publiée entre-temps
+  await client.query("SELECT pg_advisory_xact_lock(hashtext('menu_card_versions'))");
+
+  const card = snapshot || await buildDraftCard(client);
+
+  await client.query(
+    "UPDATE menu_card_versions SET status = 'archived' WHERE status = 'published'"
+  );
+
+  const result = await client.query(
+    `INSERT INTO menu_card_versions (version_number, snapshot, note, restored_from, published_by)
+     VALUES ((SELECT COALESCE(MAX(version_number), 0) + 1 FROM menu_card_versions), $1, $2, $3, $4)
+     RETURNING id, version_number, status, note, restored_from, published_at`,
+    [JSON.stringify(card), note, restoredFrom, publishedBy]
+  );
+
+  return result.rows[0];
+};
+
+// ============================================
+// LECTURE DE LA CARTE
+// ============================================
+/**
+ * Plats d'une carte, disponibles uniquement par défaut, dans l'ordre des catégories
+ * (ou par nom avec `sortByName`). `categoryId` et `search` (nom ou description) restreignent la liste.
+ */
+const selectDishes = (card, { categoryId = null, search = null, availableOnly = true, sortByName = false } = {}) => {
+  const term = search ? search.toLowerCase() : null;
+
+  const dishes = card.dishes.filter(dish =>
+    (!availableOnly || dish.is_available) &&
+    (categoryId === null || dish.category_id === categoryId) &&
+    (!term ||
+      (dish.name || '').toLowerCase().includes(term) ||
+      (dish.description || '').toLowerCase().includes(term))
+  );
+
+  return sortByName
+    ? dishes.sort((a, b) => (a.name || '').localeCompare(b.name || '', 'fr'))
+    : dishes;
+};
+
+// Catégories d'une carte avec le nombre de plats disponibles
+const selectCategories = (card) => {
+  return card.categories.map(category => ({
+    ...category,
+    dish_count: card.dishes.filter(dish => dish.category_id === category.id_category && dish.is_available).length
+  }));
+};
+
+module.exports = {
+  buildDraftCard,
+  getPublishedVersion,
+  getPublicCard,
+  listVersions,
+  getVersion,
+  publishCard,
+  selectDishes,
+  selectCategories
+};
@@ -0,0 +1,230 @@
+// backend/services/menus.js
+// Chargement des menus : plats par ordre de service, groupes de choix et horaires, en un nombre fixe de requêtes
+const { toDateString, toMinutes } = require('./availability');
+const { getRestaurantNow } = require('./timezone');
+
+const MENU_COLUMNS = `
+  m.id_menu,
+  m.title,
+  m.description,
+  m.price,
+  m.image,
+  m.menu_type,
+  m.is_active,
+  m.available_from,
+  m.available_until,
+  m.display_order,
+  m.created_at`;
+
+// Menus à la carte (actifs), périodes de disponibilité au format YYYY-MM-DD
+const getCardMenus = async (db) => {
+  const result = await db.query(
+    `SELECT ${MENU_COLUMNS}
+     FROM menus m
+     WHERE m.is_active = true
+     ORDER BY m.display_order ASC, m.title ASC`
+  );
+
+  return result.rows.map(menu => ({
+    ...menu,
+    available_from: menu.available_from ? toDateString(menu.available_from) : null,
+    available_until: menu.available_until ? toDateString(menu.available_until) : null
+  }));
+};
+
+/**
+ * Plats de plusieurs menus en une seule requête, groupés par menu.
+ * `availableOnly: false` inclut les plats indisponibles (vue d'administration).
+ * Retourne { [id_menu]: plats dans l'ordre du service }.
+ */
+const getDishesByMenu = async (db, menuIds, { availableOnly = true } = {}) => {
+  const byMenu = {};
+  menuIds.forEach(id => {
+    byMenu[id] = [];
+  });
+
+  if (menuIds.length === 0) {
+    return byMenu;
+  }
+
+  const result = await db.query(
+    `SELECT
+       md.menu_id,
+       d.id_dish,
+       d.name,
+       d.description,
+       d.price as dish_price,
+       d.image_url,
+       d.allergens,
+       d.is_vegetarian,
+       d.is_vegan,
+       d.is_gluten_free,
+       d.course_type,
+       d.preparation_time,
+       d.calories,
+       d.is_available,
+       md.course_order,
+       md.is_optional,
+       md.choice_group_id,
+       c.name as category_name,
+       c.icon as category_icon
+     FROM menu_dishes md
+     JOIN dishes d ON md.dish_id = d.id_dish
+     LEFT JOIN categories c ON d.category_id = c.id_category
+     WHERE md.menu_id = ANY($1::integer[])
+     AND ($2::boolean = false OR d.is_available = true)
+     ORDER BY md.menu_id ASC, md.course_order ASC, d.name ASC`,
+    [menuIds, availableOnly]
+  );
+
+  result.rows.forEach(({ menu_id, ...dish }) => {
+    byMenu[menu_id].push(dish);
+  });
+
+  return byMenu;
+};
+
+// Groupes de choix de plusieurs menus, chacun avec les plats proposés (dish_ids)
+const getChoiceGroupsByMenu = async (db, menuIds, dishesByMenu) => {
+  const byMenu = {};
+  menuIds.forEach(id => {
+    byMenu[id] = [];
+  });
+
+  if (menuIds.length === 0) {
+    return byMenu;
+  }
+
+  const result = await db.query(
+    `SELECT * FROM menu_choice_groups
+     WHERE menu_id = ANY($1::integer[])
+     ORDER BY menu_id ASC, course_order ASC, id ASC`,
+    [menuIds]
+  );
+
+  result.rows.forEach(group => {
+    byMenu[group.menu_id].push({
+      ...group,
+      dish_ids: dishesByMenu[group.menu_id]
+        .filter(dish => dish.choice_group_id === group.id)
+        .map(dish => dish.id_dish)
+    });
+  });
+
+  return byMenu;
+};
+
+// Horaires de plusieurs menus, groupés par menu
+const getSchedulesByMenu = async (db, menuIds) => {
+  const byMenu = {};
+  menuIds.forEach(id => {
+    byMenu[id] = [];
+  });
+
+  if (menuIds.length === 0) {
+    return byMenu;
+  }
+
+  const result = await db.query(
+    `SELECT * FROM menu_schedules
+     WHERE menu_id = ANY($1::integer[])
+     ORDER BY menu_id ASC, day_of_week ASC NULLS FIRST, service ASC NULLS FIRST, start_time ASC NULLS FIRST`,
+    [menuIds]
+  );
+
+  result.rows.forEach(schedule => {
+    byMenu[schedule.menu_id].push(schedule);
+  });
+
+  return byMenu;
+};
+
+/**
+ * Complète des menus avec leurs plats, groupes de choix et horaires : quatre requêtes
+ * quel que soit le nombre de menus.
+ */
+const withComposition = async (db, menus, options = {}) => {
+  const menuIds = menus.map(menu => menu.id_menu);
+  const dishesByMenu = await getDishesByMenu(db, menuIds, options);
+  const groupsByMenu = await getChoiceGroupsByMenu(db, menuIds, dishesByMenu);
+  const schedulesByMenu = await getSchedulesByMenu(db, menuIds);
+
+  return menus.map(menu => ({
+    ...menu,
+    dishes: dishesByMenu[menu.id_menu],
+    dish_count: dishesByMenu[menu.id_menu].length,
+    choice_groups: groupsByMenu[menu.id_menu],
+    schedules: schedulesByMenu[menu.id_menu]
+  }));
+};
+
+// ============================================
+// MENUS PROPOSÉS À UN MOMENT DONNÉ
+// ============================================
+// Plage horaire d'un menu : contient l'heure demandée, sinon recoupe les horaires du service
+const isWithinSchedule = (schedule, service, time) => {
+  if (!schedule.start_time) {
+    return true;
+  }
+
+  if (time) {
+    return toMinutes(time) >= toMinutes(schedule.start_time) && toMinutes(time) <= toMinutes(schedule.end_time);
+  }
+
+  return toMinutes(schedule.start_time) <= toMinutes(service.end_time) &&
+    toMinutes(schedule.end_time) >= toMinutes(service.start_time);
+};
+
+// Un menu sans horaire est proposé à tous les services ouverts
+const isScheduledAt = (menu, { date, services, time }) => {
+  if (!menu.schedules || menu.schedules.length === 0) {
+    return true;
+  }
+
+  const dayOfWeek = new Date(`${date}T12:00:00`).getDay();
+
+  return menu.schedules.some(schedule =>
+    (schedule.day_of_week === null || schedule.day_of_week === dayOfWeek) &&
+    services.some(service =>
+      (schedule.service === null || schedule.service === service.service) &&
+      isWithinSchedule(schedule, service, time)
+    )
+  );
+};
+
+/**
+ * Filtre des menus complets (avec leurs horaires) sur une date, aujourd'hui (au restaurant) par défaut :
+ * période de disponibilité, puis `menuId` ou `menuType`. Un menu demandé par `menuId`
+ * reste consultable hors de sa période de disponibilité.
+ * `services` (services ouverts ce jour-là avec leurs horaires, non vide) applique en plus les
+ * horaires des menus : un menu est gardé s'il est proposé à l'un de ces services, à l'heure `time`
+ * si elle est donnée, sinon pendant une partie au moins du service.
+ */
+const selectMenus = (menus, { date = null, services = null, time = null, menuId = null, menuType = null } = {}) => {
+  const day = date || getRestaurantNow().date;
+
+  return menus.filter(menu =>
+    (menuId !== null || !menu.available_from || menu.available_from <= day) &&
+    (menuId !== null || !menu.available_until || menu.available_until >= day) &&
+    (menuId === null || menu.id_menu === menuId) &&
+    (menuType === null || menu.menu_type === menuType) &&
+    (services === null || isScheduledAt(menu, { date: day, services, time }))
+  );
+};
+
+// Composition d'un seul menu (administration : plats indisponibles compris)
+const getMenuComposition = async (db, menuId, { availableOnly = true } = {}) => {
+  const [menu] = await withComposition(db, [{ id_menu: Number(menuId) }], { availableOnly });
+  return {
+    dishes: menu.dishes,
+    choice_groups: menu.choice_groups,
+    schedules: menu.schedules
+  };
+};
+
+module.exports = {
+  getCardMenus,
+  withComposition,
+  selectMenus,
+  getMenuComposition
+};
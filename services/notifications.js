@@ -0,0 +1,478 @@
+// backend/services/notifications.js
+// Notifications de réservation : modèles, file d'envoi persistante et relances
+const { toDateString } = require('./availability');
+const { RESTAURANT_TIMEZONE, formatRestaurantTime } = require('./timezone');
+const {
+  createManagementToken,
+  getManagementLink,
+  createEmailVerificationToken,
+  getEmailVerificationLink
+} = require('./guestReservations');
+const { normalizePhone } = require('./smsProviders');
+const { getInquiryLink } = require('./eventInquiries');
+
+const NOTIFICATION_EVENTS = [
+  'reservation_created',
+  'reservation_confirmed',
+  'reservation_modified',
+  'reservation_cancelled',
+  'reservation_reminder'
+];
+
+// Le rappel part dans les 24h qui précèdent le repas ; pour une réservation faite plus tard,
+// à mi-chemin entre la réservation et le repas
+const REMINDER_HOURS = 24;
+
+// Une réservation faite moins de 2h avant le repas n'a pas besoin de rappel
+const REMINDER_MIN_NOTICE_HOURS = 2;
+
+// Délai avant une nouvelle tentative : 2, 4, 8, 16... minutes
+const RETRY_BASE_MINUTES = 2;
+
+// Un envoi resté "sending" plus longtemps a été interrompu (redémarrage...)
+const STALE_SENDING_MINUTES = 10;
+
+const DEFAULT_RESTAURANT_NAME = 'Le Restaurant';
+
+// "Bonjour {{firstname}}" -> "Bonjour Marie"
+const renderTemplate = (text, variables) => {
+  if (!text) return text;
+  return text.replace(/{{\s*(\w+)\s*}}/g, (match, key) =>
+    variables[key] !== undefined && variables[key] !== null ? String(variables[key]) : ''
+  );
+};
+
+const getRestaurantName = async (db) => {
+  const result = await db.query(
+    "SELECT setting_value FROM settings WHERE setting_key = 'restaurant_name'"
+  );
+  return result.rows[0] ? result.rows[0].setting_value : DEFAULT_RESTAURANT_NAME;
+};
+
+const getTemplate = async (db, event, channel) => {
+  const result = await db.query(
+    'SELECT * FROM notification_templates WHERE event = $1 AND channel = $2 AND is_active = true',
+    [event, channel]
+  );
+  return result.rows[0] || null;
+};
+
+// Réservation avec les coordonnées du client (compte ou invité)
+const getReservationContact = async (db, reservationId) => {
+  const result = await db.query(
+    `SELECT r.*,
+            COALESCE(u.firstname, r.guest_firstname) as firstname,
+            COALESCE(u.lastname, r.guest_lastname) as lastname,
+            COALESCE(u.email, r.guest_email) as email,
+            COALESCE(u.phone, r.guest_phone) as phone,
+            CASE WHEN u.id IS NOT NULL THEN u.sms_opt_in ELSE r.sms_opt_in END as sms_opt_in
+     FROM reservations r
+     LEFT JOIN users u ON u.id = r.user_id
+     WHERE r.id = $1`,
+    [reservationId]
+  );
+  return result.rows[0] || null;
+};
+
+// "2025-03-14" -> "vendredi 14 mars 2025"
+const formatLongDate = (value) => {
+  const date = new Date(`${toDateString(value)}T12:00:00`);
+  return date.toLocaleDateString('fr-FR', { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' });
+};
+
+// 125000 -> "1 250,00 €"
+const formatAmount = (cents) => {
+  return (cents / 100).toLocaleString('fr-FR', { style: 'currency', currency: 'EUR' });
+};
+
+const buildVariables = (reservation, restaurantName) => {
+  const date = new Date(`${toDateString(reservation.reservation_date)}T12:00:00`);
+
+  return {
+    firstname: reservation.firstname || reservation.lastname || '',
+    lastname: reservation.lastname || '',
+    date: formatLongDate(reservation.reservation_date),
+    short_date: date.toLocaleDateString('fr-FR', { day: '2-digit', month: '2-digit' }),
+    time: String(reservation.reservation_time).substring(0, 5),
+    people: reservation.number_of_people,
+    restaurant_name: restaurantName,
+    // Seuls les invités sans compte ont besoin du lien de gestion
+    management_link: !reservation.user_id && reservation.guest_email
+      ? getManagementLink(createManagementToken(reservation))
+      : ''
+  };
+};
+
+// Destinataire de chaque canal : email si connu, SMS seulement avec consentement
+const getRecipients = (reservation) => {
+  const recipients = {};
+  if (reservation.email) {
+    recipients.email = reservation.email;
+  }
+  if (reservation.sms_opt_in && normalizePhone(reservation.phone)) {
+    recipients.sms = normalizePhone(reservation.phone);
+  }
+  return recipients;
+};
+
+/**
+ * Prépare les messages d'un événement de réservation (email, SMS) et les place
+ * dans la file d'envoi. Un canal sans destinataire ou sans modèle actif est ignoré,
+ * de même qu'un rappel déjà prévu. Retourne les messages mis en file.
+ */
+const enqueueReservationNotification = async (db, reservationId, event) => {
+  const reservation = await getReservationContact(db, reservationId);
+  if (!reservation) {
+    return [];
+  }
+
+  const recipients = getRecipients(reservation);
+  const queued = [];
+  let variables = null;
+
+  for (const [channel, recipient] of Object.entries(recipients)) {
+    const template = await getTemplate(db, event, channel);
+    if (!template) continue;
+
+    variables = variables || buildVariables(reservation, await getRestaurantName(db));
+
+    // Le rappel est unique par réservation et par canal : un doublon est ignoré
+    const result = await db.query(
+      `INSERT INTO notification_outbox (reservation_id, event, channel, recipient, subject, body)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       ON CONFLICT DO NOTHING
+       RETURNING *`,
+      [
+        reservation.id,
+        event,
+        channel,
+        recipient,
+        renderTemplate(template.subject, variables),
+        renderTemplate(template.body, variables)
+      ]
+    );
+
+    if (result.rows[0]) {
+      queued.push(result.rows[0]);
+    }
+  }
+
+  return queued;
+};
+
+// ============================================
+// DEMANDES D'ÉVÉNEMENTS
+// ============================================
+/**
+ * Met en file l'email d'un devis (event_quote_sent, event_quote_accepted).
+ * Le demandeur n'a pas forcément de compte : seul l'email est utilisé.
+ */
+const enqueueInquiryNotification = async (db, inquiry, quote, event) => {
+  const template = await getTemplate(db, event, 'email');
+  if (!template) {
+    return [];
+  }
+
+  const variables = {
+    firstname: inquiry.firstname,
+    lastname: inquiry.lastname,
+    date: formatLongDate(inquiry.event_date),
+    people: quote.headcount,
+    amount: formatAmount(quote.amount_cents),
+    notes: quote.notes || '',
+    valid_until: formatLongDate(quote.valid_until),
+    inquiry_link: getInquiryLink(inquiry),
+    restaurant_name: await getRestaurantName(db)
+  };
+
+  const result = await db.query(
+    `INSERT INTO notification_outbox (event_inquiry_id, event, channel, recipient, subject, body)
+     VALUES ($1, $2, 'email', $3, $4, $5)
+     RETURNING *`,
+    [
+      inquiry.id,
+      event,
+      inquiry.email,
+      renderTemplate(template.subject, variables),
+      renderTemplate(template.body, variables)
+    ]
+  );
+
+  return result.rows;
+};
+
+// ============================================
+// COMPTES
+// ============================================
+// Met en file le lien de vérification de l'email d'un compte
+const enqueueEmailVerification = async (db, user) => {
+  const template = await getTemplate(db, 'email_verification', 'email');
+  if (!template) {
+    return [];
+  }
+
+  const variables = {
+    firstname: user.firstname,
+    lastname: user.lastname,
+    verification_link: getEmailVerificationLink(createEmailVerificationToken(user)),
+    restaurant_name: await getRestaurantName(db)
+  };
+
+  const result = await db.query(
+    `INSERT INTO notification_outbox (event, channel, recipient, subject, body)
+     VALUES ('email_verification', 'email', $1, $2, $3)
+     RETURNING *`,
+    [
+      user.email,
+      renderTemplate(template.subject, variables),
+      renderTemplate(template.body, variables)
+    ]
+  );
+
+  return result.rows;
+};
+
+// ============================================
+// LISTE D'ATTENTE
+// ============================================
+/**
+ * Met en file l'offre faite à un inscrit de la liste d'attente (email, SMS s'il l'a accepté).
+ * À appeler dans la transaction qui enregistre l'offre.
+ */
+const enqueueWaitlistNotification = async (db, entry, event) => {
+  const result = await db.query(
+    'SELECT firstname, lastname, email, phone, sms_opt_in FROM users WHERE id = $1',
+    [entry.user_id]
+  );
+  const user = result.rows[0];
+  if (!user) {
+    return [];
+  }
+
+  const date = new Date(`${toDateString(entry.waitlist_date)}T12:00:00`);
+  const queued = [];
+  let variables = null;
+
+  for (const [channel, recipient] of Object.entries(getRecipients(user))) {
+    const template = await getTemplate(db, event, channel);
+    if (!template) continue;
+
+    variables = variables || {
+      firstname: user.firstname || user.lastname || '',
+      lastname: user.lastname || '',
+      date: formatLongDate(entry.waitlist_date),
+      short_date: date.toLocaleDateString('fr-FR', { day: '2-digit', month: '2-digit' }),
+      time: String(entry.offered_time).substring(0, 5),
+      people: entry.number_of_people,
+      expires_at: formatRestaurantTime(entry.offer_expires_at),
+      restaurant_name: await getRestaurantName(db)
+    };
+
+    const inserted = await db.query(
+      `INSERT INTO notification_outbox (waitlist_entry_id, event, channel, recipient, subject, body)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [
+        entry.id,
+        event,
+        channel,
+        recipient,
+        renderTemplate(template.subject, variables),
+        renderTemplate(template.body, variables)
+      ]
+    );
+    queued.push(inserted.rows[0]);
+  }
+
+  return queued;
+};
+
+// Rappels dus : 24h avant le repas, ou à mi-chemin pour une réservation faite moins de 24h avant
+const queueDueReminders = async (db) => {
+  // L'heure du créneau est celle du restaurant, quel que soit le fuseau de la session
+  const due = await db.query(
+    `SELECT r.id FROM (
+       SELECT id, created_at, status,
+              (reservation_date + reservation_time) AT TIME ZONE $3 as slot_at
+       FROM reservations
+     ) r
+     WHERE r.status IN ('pending', 'confirmed')
+     AND r.slot_at >= NOW()
+     AND r.created_at <= r.slot_at - make_interval(hours => $2)
+     AND NOW() >= CASE
+       WHEN r.created_at <= r.slot_at - make_interval(hours => $1)
+         THEN r.slot_at - make_interval(hours => $1)
+       ELSE r.created_at + (r.slot_at - r.created_at) / 2
+     END
+     AND NOT EXISTS (
+       SELECT 1 FROM notification_outbox o
+       WHERE o.reservation_id = r.id AND o.event = 'reservation_reminder'
+     )`,
+    [REMINDER_HOURS, REMINDER_MIN_NOTICE_HOURS, RESTAURANT_TIMEZONE]
+  );
+
+  let queued = 0;
+  for (const row of due.rows) {
+    const messages = await enqueueReservationNotification(db, row.id, 'reservation_reminder');
+    queued += messages.length;
+  }
+  return queued;
+};
+
+// ============================================
+// ENVOI
+// ============================================
+/**
+ * Envoie les messages dus avec le transport de leur canal ({ email, sms }).
+ * En cas d'échec le message est relancé plus tard, puis marqué "failed"
+ * après max_attempts tentatives.
+ */
+const processOutbox = async (db, transports, { batchSize = 20 } = {}) => {
+  await db.query(
+    `UPDATE notification_outbox SET status = 'pending'
+     WHERE status = 'sending' AND next_attempt_at < NOW() - make_interval(mins => $1)`,
+    [STALE_SENDING_MINUTES]
+  );
+
+  // Réserver le lot : deux workers ne prennent jamais le même message.
+  // next_attempt_at garde l'heure de prise en charge pour détecter les envois interrompus.
+  const claimed = await db.query(
+    `UPDATE notification_outbox SET status = 'sending', next_attempt_at = NOW()
+     WHERE id IN (
+       SELECT id FROM notification_outbox
+       WHERE status = 'pending' AND next_attempt_at <= NOW()
+       ORDER BY next_attempt_at ASC
+       LIMIT $1
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING *`,
+    [batchSize]
+  );
+
+  const summary = { sent: 0, retried: 0, failed: 0 };
+
+  for (const message of claimed.rows) {
+    const transport = transports[message.channel];
+
+    // Canal désactivé (MAIL_TRANSPORT=off, SMS_PROVIDER=off) : inutile de réessayer
+    if (!transport) {
+      await db.query(
+        `UPDATE notification_outbox SET status = 'failed', attempts = attempts + 1, last_error = $2
+         WHERE id = $1`,
+        [message.id, `Aucun transport pour le canal ${message.channel}`]
+      );
+      summary.failed++;
+      continue;
+    }
+
+    try {
+      const receipt = await transport.send({
+        id: message.id,
+        to: message.recipient,
+        subject: message.subject,
+        body: message.body
+      }) || {};
+
+      await db.query(
+        `UPDATE notification_outbox
+         SET status = 'sent', attempts = attempts + 1, sent_at = NOW(), last_error = NULL,
+             provider_message_id = $2,
+             delivery_status = $3::text,
+             delivered_at = CASE WHEN $3::text = 'delivered' THEN NOW() ELSE NULL END
+         WHERE id = $1`,
+        [message.id, receipt.id || null, receipt.status || 'sent']
+      );
+      summary.sent++;
+    } catch (error) {
+      const attempts = message.attempts + 1;
+      const exhausted = attempts >= message.max_attempts;
+
+      await db.query(
+        `UPDATE notification_outbox
+         SET status = $1, attempts = $2, last_error = $3,
+             next_attempt_at = NOW() + make_interval(mins => $4)
+         WHERE id = $5`,
+        [
+          exhausted ? 'failed' : 'pending',
+          attempts,
+          error.message,
+          RETRY_BASE_MINUTES * Math.pow(2, attempts - 1),
+          message.id
+        ]
+      );
+
+      if (exhausted) {
+        console.error(`❌ Notification ${message.id} abandonnée après ${attempts} tentatives:`, error.message);
+        summary.failed++;
+      } else {
+        summary.retried++;
+      }
+    }
+  }
+
+  return summary;
+};
+
+// Accusé de remise du fournisseur (delivered, undelivered, failed)
+const recordDeliveryStatus = async (db, providerMessageId, deliveryStatus) => {
+  const result = await db.query(
+    `UPDATE notification_outbox
+     SET delivery_status = $1::text,
+         delivered_at = CASE WHEN $1::text = 'delivered' THEN NOW() ELSE delivered_at END
+     WHERE provider_message_id = $2
+     RETURNING *`,
+    [deliveryStatus, providerMessageId]
+  );
+  return result.rows[0] || null;
+};
+
+// Messages envoyés pour une réservation, avec leur état de remise
+const getReservationNotifications = async (db, reservationId) => {
+  const result = await db.query(
+    `SELECT id, event, channel, recipient, status, delivery_status, attempts,
+            last_error, sent_at, delivered_at, created_at
+     FROM notification_outbox
+     WHERE reservation_id = $1
+     ORDER BY created_at ASC, id ASC`,
+    [reservationId]
+  );
+  return result.rows;
+};
+
+/**
+ * Lance le traitement périodique : rappels à prévoir, puis envoi de la file.
+ * Retourne une fonction d'arrêt.
+ */
+const startNotificationWorker = (db, transports, { intervalMs = 60 * 1000 } = {}) => {
+  let running = false;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await queueDueReminders(db);
+      await processOutbox(db, transports);
+    } catch (error) {
+      console.error('❌ Erreur worker notifications:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, intervalMs);
+  return () => clearInterval(timer);
+};
+
+module.exports = {
+  NOTIFICATION_EVENTS,
+  renderTemplate,
+  enqueueReservationNotification,
+  enqueueInquiryNotification,
+  enqueueEmailVerification,
+  enqueueWaitlistNotification,
+  queueDueReminders,
+  processOutbox,
+  recordDeliveryStatus,
+  getReservationNotifications,
+  startNotificationWorker
+};
@@ -0,0 +1,86 @@
+// backend/services/paymentProviders.js
+// Prestataires de paiement : faux prestataire local (développement, tests) ou prestataire enregistré
+
+// Paiements du faux prestataire, consultables en développement
+const fakePayments = [];
+
+// Moyens de paiement de test qui simulent un refus
+const FAKE_DECLINED_METHODS = ['fake_declined', 'fake_insufficient_funds'];
+
+const findFakePayment = (id) => {
+  const payment = fakePayments.find(entry => entry.id === id);
+  if (!payment) {
+    throw new Error(`Paiement inconnu : ${id}`);
+  }
+  return payment;
+};
+
+// Ne débite rien : accepte tout moyen de paiement sauf ceux de FAKE_DECLINED_METHODS
+const createFakeProvider = () => ({
+  name: 'fake',
+  authorize: async ({ reference, amount, currency, capture, paymentMethod }) => {
+    const id = `fake-pay-${Date.now()}-${fakePayments.length + 1}`;
+
+    if (FAKE_DECLINED_METHODS.includes(paymentMethod)) {
+      fakePayments.push({ id, reference, amount, currency, status: 'failed' });
+      return { id, status: 'failed', error: 'Carte refusée' };
+    }
+
+    fakePayments.push({ id, reference, amount, currency, status: capture ? 'captured' : 'authorized' });
+    console.log(`💳 [Paiement fake] ${reference} : ${capture ? 'débit' : 'empreinte'} de ${amount} ${currency}`);
+    return { id, status: 'succeeded' };
+  },
+  capture: async (id) => {
+    findFakePayment(id).status = 'captured';
+    return { id, status: 'captured' };
+  },
+  release: async (id) => {
+    findFakePayment(id).status = 'released';
+    return { id, status: 'released' };
+  },
+  refund: async (id) => {
+    findFakePayment(id).status = 'refunded';
+    return { id, status: 'refunded' };
+  }
+});
+
+const providerFactories = {
+  fake: createFakeProvider
+};
+
+/**
+ * Branche un prestataire réel. Il expose :
+ * - authorize({ reference, amount, currency, capture, paymentMethod }) -> { id, status, action_url, error }
+ *   avec status 'succeeded', 'requires_action' (résultat reçu plus tard par webhook) ou 'failed'.
+ *   capture = false pose une empreinte bancaire sans débiter la carte.
+ * - capture(id) débite une empreinte, release(id) la libère, refund(id) rembourse un acompte.
+ */
+const registerPaymentProvider = (name, factory) => {
+  providerFactories[name] = factory;
+};
+
+/**
+ * Prestataire choisi par PAYMENT_PROVIDER : fake par défaut en développement.
+ * En production, le faux prestataire confirmerait des acomptes jamais encaissés :
+ * un prestataire réel doit être configuré.
+ */
+const createPaymentProvider = (name = process.env.PAYMENT_PROVIDER, options = {}) => {
+  if (!name || name === 'fake') {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('PAYMENT_PROVIDER doit désigner un prestataire réel en production');
+    }
+    name = 'fake';
+  }
+
+  const factory = providerFactories[name];
+  if (!factory) {
+    throw new Error(`Prestataire de paiement inconnu : ${name}`);
+  }
+  return factory(options);
+};
+
+module.exports = {
+  fakePayments,
+  registerPaymentProvider,
+  createPaymentProvider
+};
@@ -0,0 +1,320 @@
+// backend/services/payments.js
+// Règlement des garanties auprès du prestataire, expiration et sort selon l'issue de la réservation
+const { withTransaction } = require('../database/db');
+const { transitionReservation, recordStatusChange } = require('./reservationStatus');
+const { getReservationPayment } = require('./deposits');
+const { releaseToWaitlist } = require('./waitlist');
+const { enqueueReservationNotification } = require('./notifications');
+
+// ============================================
+// RÈGLEMENT
+// ============================================
+/**
+ * Transmet le moyen de paiement au prestataire (hors transaction : appel réseau).
+ * Le paiement passe en "processing" pendant l'appel, ce qui empêche un double débit.
+ * Retourne { payment, succeeded, action_url } ou { status, error }.
+ */
+const authorizePayment = async (db, provider, reservation, paymentMethod) => {
+  if (reservation.status !== 'pending_payment') {
+    return { status: 409, error: 'Aucun paiement attendu pour cette réservation' };
+  }
+
+  const claimed = await db.query(
+    `UPDATE reservation_payments SET status = 'processing', updated_at = CURRENT_TIMESTAMP
+     WHERE reservation_id = $1 AND status IN ('pending', 'failed') AND expires_at > NOW()
+     RETURNING *`,
+    [reservation.id]
+  );
+
+  if (claimed.rows.length === 0) {
+    return { status: 409, error: 'Paiement déjà en cours ou délai de paiement dépassé' };
+  }
+
+  const payment = claimed.rows[0];
+  let outcome;
+
+  try {
+    outcome = await provider.authorize({
+      reference: `reservation-${reservation.id}`,
+      amount: payment.amount_cents,
+      currency: payment.currency,
+      capture: payment.kind === 'deposit',
+      paymentMethod
+    });
+  } catch (error) {
+    console.error(`❌ Erreur prestataire paiement ${payment.id}:`, error);
+    outcome = { status: 'failed', error: error.message, unavailable: true };
+  }
+
+  const failed = outcome.status === 'failed';
+
+  const result = await db.query(
+    `UPDATE reservation_payments SET
+       status = $2,
+       provider = $3,
+       provider_payment_id = COALESCE($4, provider_payment_id),
+       last_error = $5,
+       updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1
+     RETURNING *`,
+    [payment.id, failed ? 'failed' : 'processing', provider.name, outcome.id || null, failed ? outcome.error || null : null]
+  );
+
+  if (failed) {
+    return outcome.unavailable
+      ? { status: 502, error: 'Le paiement n\'a pas pu être traité, merci de réessayer' }
+      : { status: 402, error: outcome.error || 'Paiement refusé' };
+  }
+
+  return {
+    payment: result.rows[0],
+    succeeded: outcome.status === 'succeeded',
+    action_url: outcome.action_url || null
+  };
+};
+
+/**
+ * Enregistre le succès d'un paiement et libère la réservation (pending_payment -> pending).
+ * Doit être appelée dans une transaction. Si la réservation a été annulée entre-temps
+ * (délai dépassé), la transition échoue : l'appelant doit alors rembourser.
+ * La confirmation de réservation est mise en file dans la même transaction.
+ * Retourne { payment, reservation } ou { payment, status, error }.
+ */
+const completePayment = async (client, paymentId, { changedBy = null } = {}) => {
+  const result = await client.query(
+    `UPDATE reservation_payments SET
+       status = CASE WHEN kind = 'deposit' THEN 'paid' ELSE 'authorized' END,
+       paid_at = CURRENT_TIMESTAMP,
+       last_error = NULL,
+       updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND status IN ('processing', 'cancelled')
+     RETURNING *`,
+    [paymentId]
+  );
+
+  const payment = result.rows[0];
+  if (!payment) {
+    return { status: 409, error: 'Paiement déjà enregistré' };
+  }
+
+  const transition = await transitionReservation(client, {
+    reservationId: payment.reservation_id,
+    toStatus: 'pending',
+    changedBy,
+    reason: payment.kind === 'deposit' ? 'Acompte réglé' : 'Empreinte bancaire enregistrée'
+  });
+
+  if (!transition.error) {
+    await enqueueReservationNotification(client, payment.reservation_id, 'reservation_created');
+  }
+
+  return { payment, ...transition };
+};
+
+// Paiement en échec signalé par le prestataire (webhook)
+const failPayment = async (db, paymentId, error) => {
+  const result = await db.query(
+    `UPDATE reservation_payments SET status = 'failed', last_error = $2, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND status = 'processing'
+     RETURNING *`,
+    [paymentId, error || 'Paiement refusé']
+  );
+  return result.rows[0] || null;
+};
+
+const getPaymentByProviderId = async (db, providerPaymentId) => {
+  const result = await db.query(
+    'SELECT * FROM reservation_payments WHERE provider_payment_id = $1',
+    [providerPaymentId]
+  );
+  return result.rows[0] || null;
+};
+
+// ============================================
+// EXPIRATION
+// ============================================
+// Annule les réservations dont la garantie n'a pas été réglée à temps et libère leurs places
+const expireUnpaidReservations = async (db) => {
+  const expired = await withTransaction(async (client) => {
+    const result = await client.query(
+      `UPDATE reservations r SET status = 'cancelled', cancelled_at = CURRENT_TIMESTAMP
+       FROM reservation_payments p
+       WHERE p.reservation_id = r.id
+       AND r.status = 'pending_payment'
+       AND p.status IN ('pending', 'failed', 'processing')
+       AND p.expires_at < NOW()
+       RETURNING r.id, r.reservation_date`
+    );
+
+    for (const reservation of result.rows) {
+      await client.query(
+        `UPDATE reservation_payments SET status = 'cancelled', settled_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+         WHERE reservation_id = $1 AND status IN ('pending', 'failed', 'processing')`,
+        [reservation.id]
+      );
+
+      await recordStatusChange(client, {
+        reservationId: reservation.id,
+        fromStatus: 'pending_payment',
+        toStatus: 'cancelled',
+        reason: 'Garantie non réglée dans les délais'
+      });
+
+      await enqueueReservationNotification(client, reservation.id, 'reservation_cancelled');
+    }
+
+    return result.rows;
+  });
+
+  // Les places ne sont proposées à la liste d'attente qu'une fois l'annulation validée
+  expired.forEach(reservation => releaseToWaitlist(db, reservation.reservation_date));
+
+  return expired.length;
+};
+
+// ============================================
+// SORT DE LA GARANTIE
+// ============================================
+// Un no-show ou une annulation tardive du client fait perdre la garantie ; sinon elle est rendue
+const getSettlementDecision = (reservation) => {
+  switch (reservation.status) {
+    case 'no_show':
+      return 'keep';
+    case 'cancelled':
+      return reservation.late_cancellation ? 'keep' : 'refund';
+    case 'declined':
+      return 'refund';
+    case 'completed':
+      return 'complete';
+    default:
+      return null;
+  }
+};
+
+/**
+ * Applique le sort de la garantie d'une réservation terminée :
+ * - keep : l'acompte est conservé, l'empreinte est débitée ;
+ * - refund : l'acompte est remboursé, l'empreinte est libérée ;
+ * - complete : l'empreinte est libérée, l'acompte reste acquis (déduit de l'addition).
+ * `decision` est déduite du statut de la réservation si elle n'est pas fournie.
+ * Retourne le paiement mis à jour, ou null s'il n'y a rien à faire.
+ */
+const settleReservationPayment = async (db, provider, reservationId, decision = null) => {
+  const payment = await getReservationPayment(db, reservationId);
+  if (!payment) {
+    return null;
+  }
+
+  if (!decision) {
+    const reservation = await db.query(
+      'SELECT status, late_cancellation FROM reservations WHERE id = $1',
+      [reservationId]
+    );
+    decision = reservation.rows[0] ? getSettlementDecision(reservation.rows[0]) : null;
+  }
+
+  if (!decision) {
+    return null;
+  }
+
+  return settlePaymentRecord(db, provider, payment, decision);
+};
+
+// Applique `decision` (keep, refund, complete) à un paiement déjà lu
+const settlePaymentRecord = async (db, provider, payment, decision) => {
+  let status = null;
+
+  if (['pending', 'failed'].includes(payment.status)) {
+    status = 'cancelled';
+  } else if (payment.status === 'paid') {
+    if (decision === 'keep') {
+      status = 'kept';
+    } else if (decision === 'refund') {
+      await provider.refund(payment.provider_payment_id);
+      status = 'refunded';
+    }
+  } else if (payment.status === 'authorized') {
+    if (decision === 'keep') {
+      await provider.capture(payment.provider_payment_id);
+      status = 'captured';
+    } else {
+      await provider.release(payment.provider_payment_id);
+      status = 'released';
+    }
+  }
+
+  if (!status) {
+    return null;
+  }
+
+  const result = await db.query(
+    `UPDATE reservation_payments SET status = $2, settled_at = CURRENT_TIMESTAMP, last_error = NULL,
+       updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1
+     RETURNING *`,
+    [payment.id, status]
+  );
+
+  console.log(`💳 Garantie ${payment.id} de la réservation ${payment.reservation_id} : ${status}`);
+  return result.rows[0];
+};
+
+// Régler le sort de la garantie sans retarder la réponse ; l'échec reste visible sur le paiement
+const settlePayment = (db, provider, reservationId, decision = null) => {
+  settleReservationPayment(db, provider, reservationId, decision).catch(async (error) => {
+    console.error(`❌ Erreur règlement garantie réservation ${reservationId}:`, error);
+    await db.query(
+      `UPDATE reservation_payments SET last_error = $2, updated_at = CURRENT_TIMESTAMP
+       WHERE reservation_id = $1 AND settled_at IS NULL`,
+      [reservationId, error.message]
+    ).catch(() => {});
+  });
+};
+
+// Rendre la garantie d'une réservation supprimée : le paiement, lu avant la suppression,
+// n'y est plus rattaché et se retrouve par son identifiant
+const refundPayment = (db, provider, payment) => {
+  settlePaymentRecord(db, provider, payment, 'refund').catch(async (error) => {
+    console.error(`❌ Erreur remboursement garantie ${payment.id}:`, error);
+    await db.query(
+      `UPDATE reservation_payments SET last_error = $2, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND settled_at IS NULL`,
+      [payment.id, error.message]
+    ).catch(() => {});
+  });
+};
+
+/**
+ * Lance l'expiration périodique des réservations non réglées.
+ * Retourne une fonction d'arrêt.
+ */
+const startPaymentWorker = (db, { intervalMs = 60 * 1000 } = {}) => {
+  let running = false;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await expireUnpaidReservations(db);
+    } catch (error) {
+      console.error('❌ Erreur worker paiements:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, intervalMs);
+  return () => clearInterval(timer);
+};
+
+module.exports = {
+  authorizePayment,
+  completePayment,
+  failPayment,
+  getPaymentByProviderId,
+  expireUnpaidReservations,
+  settleReservationPayment,
+  settlePayment,
+  refundPayment,
+  startPaymentWorker
+};
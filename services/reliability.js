@@ -0,0 +1,67 @@
+// backend/services/reliability.js
+// Profil de fiabilité des clients et politiques de réservation associées
+
+// Ordre de sévérité des actions
+const ACTIONS = ['require_confirmation', 'block_online'];
+
+/**
+ * Compteurs d'un client : no-shows, annulations tardives, visites honorées.
+ * `lookbackDays` limite le calcul aux N derniers jours (NULL = tout l'historique).
+ */
+const getReliabilityProfile = async (db, userId, lookbackDays = null) => {
+  const result = await db.query(
+    `SELECT
+       COUNT(*) FILTER (WHERE status = 'no_show') as no_shows,
+       COUNT(*) FILTER (WHERE status = 'cancelled' AND late_cancellation = true) as late_cancellations,
+       COUNT(*) FILTER (WHERE status = 'completed') as completed_visits,
+       COUNT(*) as total_reservations
+     FROM reservations
+     WHERE user_id = $1
+     AND ($2::integer IS NULL OR reservation_date >= CURRENT_DATE - $2::integer)`,
+    [userId, lookbackDays]
+  );
+
+  const row = result.rows[0];
+  const profile = {
+    no_shows: parseInt(row.no_shows),
+    late_cancellations: parseInt(row.late_cancellations),
+    completed_visits: parseInt(row.completed_visits),
+    total_reservations: parseInt(row.total_reservations)
+  };
+
+  // Part des réservations honorées parmi celles qui ont eu une issue
+  const outcomes = profile.no_shows + profile.late_cancellations + profile.completed_visits;
+  profile.reliability_score = outcomes > 0
+    ? Math.round((profile.completed_visits / outcomes) * 100)
+    : null;
+
+  return profile;
+};
+
+/**
+ * Applique les politiques actives au client.
+ * Retourne { action, policy } où action vaut null, 'require_confirmation' ou 'block_online'.
+ */
+const evaluateBookingPolicies = async (db, userId) => {
+  const policies = await db.query(
+    'SELECT * FROM reliability_policies WHERE is_active = true ORDER BY id ASC'
+  );
+
+  let outcome = { action: null, policy: null };
+
+  for (const policy of policies.rows) {
+    const profile = await getReliabilityProfile(db, userId, policy.lookback_days);
+
+    if (profile[policy.metric] >= policy.threshold &&
+        ACTIONS.indexOf(policy.action) > ACTIONS.indexOf(outcome.action)) {
+      outcome = { action: policy.action, policy };
+    }
+  }
+
+  return outcome;
+};
+
+module.exports = {
+  getReliabilityProfile,
+  evaluateBookingPolicies
+};
@@ -0,0 +1,111 @@
+// backend/services/reservationStatus.js
+// Cycle de vie d'une réservation : transitions autorisées et historique
+
+const RESERVATION_STATUSES = [
+  'pending_payment',
+  'pending',
+  'confirmed',
+  'seated',
+  'completed',
+  'cancelled',
+  'no_show',
+  'declined'
+];
+
+// Statuts qui occupent de la place en salle (les places sont tenues pendant le paiement)
+const ACTIVE_STATUSES = ['pending_payment', 'pending', 'confirmed', 'seated'];
+
+const TRANSITIONS = {
+  pending_payment: ['pending', 'confirmed', 'declined', 'cancelled'],
+  pending: ['confirmed', 'declined', 'cancelled', 'no_show'],
+  confirmed: ['seated', 'cancelled', 'no_show'],
+  seated: ['completed'],
+  completed: [],
+  cancelled: [],
+  no_show: [],
+  declined: []
+};
+
+const canTransition = (from, to) => (TRANSITIONS[from] || []).includes(to);
+
+const recordStatusChange = async (db, { reservationId, fromStatus, toStatus, changedBy = null, reason = null }) => {
+  await db.query(
+    `INSERT INTO reservation_status_history (reservation_id, from_status, to_status, changed_by, reason)
+     VALUES ($1, $2, $3, $4, $5)`,
+    [reservationId, fromStatus, toStatus, changedBy, reason]
+  );
+};
+
+/**
+ * Fait passer une réservation à un nouveau statut si la transition est permise.
+ * Retourne { reservation } ou { status, error } (404 inconnue, 409 transition interdite).
+ */
+const transitionReservation = async (db, { reservationId, toStatus, changedBy = null, reason = null }) => {
+  if (!RESERVATION_STATUSES.includes(toStatus)) {
+    return { status: 400, error: `Statut invalide (${RESERVATION_STATUSES.join(', ')})` };
+  }
+
+  const current = await db.query(
+    'SELECT * FROM reservations WHERE id = $1 FOR UPDATE',
+    [reservationId]
+  );
+
+  if (current.rows.length === 0) {
+    return { status: 404, error: 'Réservation non trouvée' };
+  }
+
+  const reservation = current.rows[0];
+
+  if (!canTransition(reservation.status, toStatus)) {
+    return {
+      status: 409,
+      error: `Transition impossible : ${reservation.status} → ${toStatus}`,
+      allowed: TRANSITIONS[reservation.status] || []
+    };
+  }
+
+  const result = await db.query(
+    `UPDATE reservations SET
+       status = $1::text,
+       cancelled_at = CASE WHEN $1::text = 'cancelled' THEN CURRENT_TIMESTAMP ELSE cancelled_at END,
+       arrived_at = CASE WHEN $1::text = 'seated' THEN COALESCE(arrived_at, CURRENT_TIMESTAMP) ELSE arrived_at END,
+       seated_at = CASE WHEN $1::text = 'seated' THEN CURRENT_TIMESTAMP ELSE seated_at END,
+       departed_at = CASE WHEN $1::text = 'completed' THEN CURRENT_TIMESTAMP ELSE departed_at END
+     WHERE id = $2
+     RETURNING *`,
+    [toStatus, reservationId]
+  );
+
+  await recordStatusChange(db, {
+    reservationId,
+    fromStatus: reservation.status,
+    toStatus,
+    changedBy,
+    reason
+  });
+
+  return { reservation: result.rows[0] };
+};
+
+const getStatusHistory = async (db, reservationId) => {
+  const result = await db.query(
+    `SELECT h.from_status, h.to_status, h.reason, h.changed_at,
+            h.changed_by, u.firstname as changed_by_firstname, u.lastname as changed_by_lastname
+     FROM reservation_status_history h
+     LEFT JOIN users u ON u.id = h.changed_by
+     WHERE h.reservation_id = $1
+     ORDER BY h.changed_at ASC, h.id ASC`,
+    [reservationId]
+  );
+  return result.rows;
+};
+
+module.exports = {
+  RESERVATION_STATUSES,
+  ACTIVE_STATUSES,
+  TRANSITIONS,
+  canTransition,
+  recordStatusChange,
+  transitionReservation,
+  getStatusHistory
+};
@@ -0,0 +1,242 @@
+// backend/services/reservations.js
+// Cycle client d'une réservation : création, modification et annulation
+const { checkSlot, lockReservationDate, toDateString, toMinutes } = require('./availability');
+const { assignTables } = require('./tables');
+const { recordStatusChange, transitionReservation } = require('./reservationStatus');
+const { getDepositRequirement, createPaymentRecord, getReservationPayment } = require('./deposits');
+const { toRestaurantInstant } = require('./timezone');
+
+// Début du repas, à l'heure du restaurant quel que soit le fuseau du serveur
+const getReservationDateTime = (reservation) => {
+  return toRestaurantInstant(toDateString(reservation.reservation_date), reservation.reservation_time);
+};
+
+/**
+ * Crée une réservation `pending` si le créneau est ouvert et disponible.
+ * Doit être appelée dans une transaction : le verrou de la date empêche
+ * deux réservations simultanées de consommer les mêmes places.
+ * `capacityOverride` ({ by, reason }) permet au personnel de dépasser un créneau
+ * complet ; le dépassement est alors journalisé dans capacity_overrides.
+ * Si une règle d'acompte s'applique (et `depositRules` est vrai), la réservation
+ * est créée en `pending_payment` avec le paiement attendu.
+ * Retourne { reservation, tables, overridden, payment } ou { status, error } (corps de réponse) :
+ * 400 si le créneau est fermé, 409 s'il est complet.
+ */
+const createReservation = async (client, {
+  userId,
+  date,
+  time,
+  people,
+  specialRequests = null,
+  zone = null,
+  requiresConfirmation = false,
+  guest = null,
+  source = 'web',
+  strictInterval = true,
+  capacityOverride = null,
+  changedBy = userId,
+  depositRules = true
+}) => {
+  await lockReservationDate(client, date);
+
+  const slot = await checkSlot(client, { date, time, people, zone, strictInterval });
+
+  if (!slot.open) {
+    return { status: 400, error: { error: slot.message } };
+  }
+
+  const overridden = !slot.available && Boolean(capacityOverride);
+
+  if (!slot.available && !overridden) {
+    return {
+      status: 409,
+      error: {
+        error: 'Plus de disponibilité pour ce créneau',
+        available_seats: slot.available_seats,
+        waitlist_available: true
+      }
+    };
+  }
+
+  const deposit = depositRules ? await getDepositRequirement(client, { date, people }) : null;
+  const status = deposit ? 'pending_payment' : 'pending';
+
+  const result = await client.query(
+    `INSERT INTO reservations 
+     (user_id, reservation_date, reservation_time, number_of_people, special_requests, duration_minutes, requires_confirmation,
+      guest_firstname, guest_lastname, guest_email, guest_phone, sms_opt_in, source, created_by, status) 
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+     RETURNING id, user_id, reservation_date, reservation_time, number_of_people, duration_minutes, requires_confirmation,
+               guest_firstname, guest_lastname, guest_email, guest_phone, source, status, created_at`,
+    [
+      userId, date, time, people, specialRequests, slot.duration_minutes, requiresConfirmation,
+      guest ? guest.firstname : null,
+      guest ? guest.lastname : null,
+      guest ? guest.email : null,
+      guest ? guest.phone : null,
+      guest ? Boolean(guest.smsOptIn) : false,
+      source,
+      changedBy,
+      status
+    ]
+  );
+
+  const reservation = result.rows[0];
+
+  await recordStatusChange(client, {
+    reservationId: reservation.id,
+    fromStatus: null,
+    toStatus: status,
+    changedBy
+  });
+
+  const payment = deposit ? await createPaymentRecord(client, reservation.id, deposit) : null;
+
+  if (overridden) {
+    await client.query(
+      `INSERT INTO capacity_overrides (reservation_id, overridden_by, number_of_people, available_seats, reason)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [reservation.id, capacityOverride.by, people, slot.available_seats, capacityOverride.reason || null]
+    );
+  }
+
+  // Affecter les tables trouvées
+  if (slot.tables) {
+    await assignTables(client, reservation.id, slot.tables.map(table => table.id));
+  }
+
+  return { reservation, tables: slot.tables, overridden, payment };
+};
+
+/**
+ * Modifie date, heure, nombre de couverts ou demandes spéciales.
+ * Doit être appelée dans une transaction, sur une réservation lue avec SELECT ... FOR UPDATE.
+ * Le nouveau créneau est revalidé sans compter la réservation elle-même.
+ * Retourne { reservation, tables, slotChanged, previousDate } ou { error } (corps de réponse 400).
+ */
+const modifyReservation = async (client, reservation, {
+  date,
+  time,
+  people,
+  specialRequests,
+  zone = null
+}) => {
+  const currentDate = toDateString(reservation.reservation_date);
+  const newDate = date || currentDate;
+  const newTime = time || reservation.reservation_time;
+  const newPeople = people !== undefined ? parseInt(people) : reservation.number_of_people;
+
+  if (toRestaurantInstant(newDate, newTime) < new Date()) {
+    return { error: { error: 'La date de réservation doit être future' } };
+  }
+
+  const slotChanged = newDate !== currentDate ||
+    toMinutes(newTime) !== toMinutes(reservation.reservation_time) ||
+    newPeople !== reservation.number_of_people ||
+    Boolean(zone);
+
+  // Verrouiller l'ancienne et la nouvelle date, toujours dans le même ordre
+  for (const lockDate of [...new Set([currentDate, newDate])].sort()) {
+    await lockReservationDate(client, lockDate);
+  }
+
+  let slot = null;
+  if (slotChanged) {
+    slot = await checkSlot(client, {
+      date: newDate,
+      time: newTime,
+      people: newPeople,
+      zone,
+      excludeReservationId: reservation.id
+    });
+
+    if (!slot.open) {
+      return { error: { error: slot.message } };
+    }
+
+    if (!slot.available) {
+      return {
+        error: {
+          error: 'Plus de disponibilité pour ce créneau',
+          available_seats: slot.available_seats
+        }
+      };
+    }
+
+    // Un groupe agrandi (ou déplacé sur une date à garantie) ne contourne pas l'acompte
+    if (await getDepositRequirement(client, { date: newDate, people: newPeople })) {
+      const payment = await getReservationPayment(client, reservation.id);
+      if (!payment || !['paid', 'authorized'].includes(payment.status)) {
+        return {
+          error: {
+            error: 'Une garantie est demandée pour ce créneau : merci d\'effectuer une nouvelle réservation'
+          }
+        };
+      }
+    }
+  }
+
+  const result = await client.query(
+    `UPDATE reservations SET
+       reservation_date = $1,
+       reservation_time = $2,
+       number_of_people = $3,
+       special_requests = $4,
+       duration_minutes = COALESCE($5, duration_minutes)
+     WHERE id = $6 AND status IN ('pending', 'confirmed')
+     RETURNING *`,
+    [
+      newDate,
+      newTime,
+      newPeople,
+      specialRequests === undefined ? reservation.special_requests : specialRequests || null,
+      slot ? slot.duration_minutes : null,
+      reservation.id
+    ]
+  );
+
+  if (result.rows.length === 0) {
+    return { error: { error: 'Cette réservation ne peut plus être modifiée' } };
+  }
+
+  if (slot) {
+    await assignTables(client, reservation.id, slot.tables ? slot.tables.map(table => table.id) : []);
+  }
+
+  return {
+    reservation: result.rows[0],
+    tables: slot ? slot.tables : null,
+    slotChanged,
+    previousDate: currentDate
+  };
+};
+
+/**
+ * Annule une réservation. `late` (voir evaluateChange) marque une annulation tardive
+ * du client : elle compte dans sa fiabilité et lui fait perdre sa garantie.
+ * Retourne le résultat de transitionReservation.
+ */
+const cancelReservation = async (client, reservation, { changedBy = null, reason = null, late = false }) => {
+  const transition = await transitionReservation(client, {
+    reservationId: reservation.id,
+    toStatus: 'cancelled',
+    changedBy,
+    reason
+  });
+
+  if (!transition.error && late) {
+    await client.query(
+      'UPDATE reservations SET late_cancellation = true WHERE id = $1',
+      [reservation.id]
+    );
+  }
+
+  return transition;
+};
+
+module.exports = {
+  getReservationDateTime,
+  createReservation,
+  modifyReservation,
+  cancelReservation
+};
@@ -0,0 +1,173 @@
+// backend/services/serviceSheet.js
+// Feuille de service de l'accueil : réservations d'un service par créneau et suivi en salle
+const { getServicesForDate, toMinutes } = require('./availability');
+const { transitionReservation } = require('./reservationStatus');
+const { getRestaurantNow } = require('./timezone');
+
+// Statuts comptés dans les couverts attendus
+const EXPECTED_STATUSES = ['pending', 'confirmed', 'seated', 'completed'];
+
+// Mentions d'allergie dans les demandes spéciales
+const ALLERGY_PATTERN = /allerg|intol[ée]ran|c(œ|oe)liaque|sans gluten|arachide/i;
+
+// Service en cours ou à venir pour aujourd'hui (heure du restaurant), sinon le premier de la journée
+const pickService = (services, date, now) => {
+  const today = getRestaurantNow(now);
+  if (date !== today.date) {
+    return services[0];
+  }
+
+  const minutes = toMinutes(today.time);
+  return services.find(service => minutes <= toMinutes(service.end_time)) || services[services.length - 1];
+};
+
+const sumCovers = (reservations, predicate) => reservations
+  .filter(predicate)
+  .reduce((sum, reservation) => sum + reservation.number_of_people, 0);
+
+/**
+ * Réservations d'un service regroupées par créneau, avec les couverts
+ * attendus et installés (par créneau et en cumul).
+ * Retourne null si le restaurant n'a aucun service ce jour-là.
+ */
+const getServiceSheet = async (db, { date, service = null, now = new Date() }) => {
+  const services = await getServicesForDate(db, date);
+  if (services.length === 0) {
+    return null;
+  }
+
+  const current = service
+    ? services.find(dayService => dayService.service === service)
+    : pickService(services, date, now);
+
+  if (!current) {
+    return null;
+  }
+
+  const result = await db.query(
+    `SELECT r.id, r.reservation_time, r.number_of_people, r.status, r.source,
+            r.special_requests, r.requires_confirmation, r.user_id,
+            r.arrived_at, r.seated_at, r.departed_at,
+            COALESCE(u.firstname, r.guest_firstname) as firstname,
+            COALESCE(u.lastname, r.guest_lastname) as lastname,
+            COALESCE(u.phone, r.guest_phone) as phone,
+            u.allergies, u.guest_notes,
+            COALESCE(
+              (SELECT json_agg(t.label ORDER BY t.label)
+               FROM reservation_tables rt
+               JOIN restaurant_tables t ON t.id = rt.table_id
+               WHERE rt.reservation_id = r.id),
+              '[]'
+            ) as tables
+     FROM reservations r
+     LEFT JOIN users u ON u.id = r.user_id
+     WHERE r.reservation_date = $1
+     AND r.reservation_time BETWEEN $2 AND $3
+     AND r.status NOT IN ('cancelled', 'declined')
+     ORDER BY r.reservation_time ASC, r.id ASC`,
+    [date, current.start_time, current.last_seating_time]
+  );
+
+  const reservations = result.rows.map(reservation => ({
+    ...reservation,
+    has_allergy: Boolean(reservation.allergies) || ALLERGY_PATTERN.test(reservation.special_requests || '')
+  }));
+
+  const isExpected = reservation => EXPECTED_STATUSES.includes(reservation.status);
+  const isSeated = reservation => ['seated', 'completed'].includes(reservation.status);
+
+  // Regroupement par créneau, avec cumul au fil du service
+  const slots = [];
+  let runningExpected = 0;
+  let runningSeated = 0;
+
+  reservations.forEach(reservation => {
+    const time = String(reservation.reservation_time).substring(0, 5);
+    let slot = slots[slots.length - 1];
+
+    if (!slot || slot.time !== time) {
+      slot = { time, reservations: [] };
+      slots.push(slot);
+    }
+
+    slot.reservations.push(reservation);
+  });
+
+  slots.forEach(slot => {
+    slot.covers = sumCovers(slot.reservations, isExpected);
+    slot.seated_covers = sumCovers(slot.reservations, isSeated);
+    runningExpected += slot.covers;
+    runningSeated += slot.seated_covers;
+    slot.running_expected_covers = runningExpected;
+    slot.running_seated_covers = runningSeated;
+  });
+
+  return {
+    date,
+    service: current.service,
+    start_time: current.start_time,
+    last_seating_time: current.last_seating_time,
+    capacity: current.capacity,
+    slots,
+    totals: {
+      reservations: reservations.filter(isExpected).length,
+      expected_covers: runningExpected,
+      arrived_covers: sumCovers(reservations, reservation => isExpected(reservation) && reservation.arrived_at),
+      seated_covers: runningSeated,
+      departed_covers: sumCovers(reservations, reservation => reservation.status === 'completed'),
+      waiting_covers: sumCovers(reservations, reservation =>
+        ['pending', 'confirmed'].includes(reservation.status) && !reservation.arrived_at
+      ),
+      no_show_covers: sumCovers(reservations, reservation => reservation.status === 'no_show')
+    }
+  };
+};
+
+// ============================================
+// SUIVI EN SALLE
+// ============================================
+// Client arrivé à l'accueil, en attente de sa table
+const markArrived = async (db, reservationId) => {
+  const result = await db.query(
+    `UPDATE reservations SET arrived_at = COALESCE(arrived_at, CURRENT_TIMESTAMP)
+     WHERE id = $1 AND status IN ('pending', 'confirmed')
+     RETURNING *`,
+    [reservationId]
+  );
+
+  if (result.rows.length > 0) {
+    return { reservation: result.rows[0] };
+  }
+
+  const existing = await db.query('SELECT status FROM reservations WHERE id = $1', [reservationId]);
+  if (existing.rows.length === 0) {
+    return { status: 404, error: 'Réservation non trouvée' };
+  }
+
+  return { status: 409, error: `Impossible de marquer l'arrivée d'une réservation ${existing.rows[0].status}` };
+};
+
+// Installer le client : une réservation encore en attente est confirmée au passage
+const seatReservation = async (client, { reservationId, changedBy }) => {
+  const current = await client.query('SELECT status FROM reservations WHERE id = $1 FOR UPDATE', [reservationId]);
+
+  if (current.rows.length > 0 && current.rows[0].status === 'pending') {
+    const confirmed = await transitionReservation(client, { reservationId, toStatus: 'confirmed', changedBy });
+    if (confirmed.error) {
+      return confirmed;
+    }
+  }
+
+  return transitionReservation(client, { reservationId, toStatus: 'seated', changedBy });
+};
+
+const markDeparted = (client, { reservationId, changedBy }) => {
+  return transitionReservation(client, { reservationId, toStatus: 'completed', changedBy });
+};
+
+module.exports = {
+  getServiceSheet,
+  markArrived,
+  seatReservation,
+  markDeparted
+};
@@ -0,0 +1,83 @@
+// backend/services/smsProviders.js
+// Fournisseurs d'envoi des SMS : faux fournisseur local (développement, tests) ou fournisseur enregistré
+
+// Derniers messages reçus par le faux fournisseur, consultables en développement
+const fakeOutbox = [];
+const FAKE_OUTBOX_LIMIT = 100;
+
+// "+33612345678" -> "+336••••••78" : les journaux ne gardent pas le numéro complet
+const maskPhone = (phone) => {
+  const value = String(phone || '');
+  if (value.length <= 6) return '••••';
+  return `${value.substring(0, 4)}${'•'.repeat(value.length - 6)}${value.substring(value.length - 2)}`;
+};
+
+// N'envoie rien : garde le message en mémoire et le déclare remis
+const createFakeProvider = () => ({
+  name: 'fake',
+  send: async (message) => {
+    const id = `fake-${Date.now()}-${message.id}`;
+    fakeOutbox.push({ ...message, provider_message_id: id, sent_at: new Date() });
+    if (fakeOutbox.length > FAKE_OUTBOX_LIMIT) {
+      fakeOutbox.shift();
+    }
+    console.log(`📱 [SMS fake] message ${message.id} pour ${maskPhone(message.to)}`);
+    return { id, status: 'delivered' };
+  }
+});
+
+const providerFactories = {
+  fake: createFakeProvider
+};
+
+/**
+ * Branche un fournisseur réel. Son send({ id, to, body }) retourne { id, status }
+ * où status vaut 'sent' (accusé de remise attendu) ou 'delivered'.
+ */
+const registerSmsProvider = (name, factory) => {
+  providerFactories[name] = factory;
+};
+
+/**
+ * Fournisseur choisi par SMS_PROVIDER : fake par défaut en développement, "off" pour
+ * désactiver les SMS (retourne null). En production, le faux fournisseur déclarerait
+ * remis des SMS jamais envoyés : un fournisseur réel ou "off" doit être configuré.
+ */
+const createSmsProvider = (name = process.env.SMS_PROVIDER, options = {}) => {
+  const isProduction = process.env.NODE_ENV === 'production';
+
+  if (!name || name === 'fake') {
+    if (isProduction) {
+      throw new Error('SMS_PROVIDER doit désigner un fournisseur réel en production (ou "off" pour désactiver les SMS)');
+    }
+    name = 'fake';
+  }
+
+  if (name === 'off') {
+    return null;
+  }
+
+  const factory = providerFactories[name];
+  if (!factory) {
+    throw new Error(`Fournisseur SMS inconnu : ${name}`);
+  }
+  return factory(options);
+};
+
+// "06 12 34 56 78" -> "+33612345678" ; retourne null si le numéro est inutilisable
+const normalizePhone = (phone) => {
+  if (!phone) return null;
+
+  const digits = String(phone).replace(/[\s.\-()]/g, '');
+  if (/^\+\d{8,15}$/.test(digits)) return digits;
+  if (/^00\d{8,15}$/.test(digits)) return `+${digits.substring(2)}`;
+  if (/^0\d{9}$/.test(digits)) return `+33${digits.substring(1)}`;
+  return null;
+};
+
+module.exports = {
+  fakeOutbox,
+  registerSmsProvider,
+  createSmsProvider,
+  normalizePhone
+};
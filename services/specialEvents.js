@@ -0,0 +1,359 @@
+// backend/services/specialEvents.js
+// Soirées à thème : jauge retirée à la capacité du service et vente des places
+const crypto = require('crypto');
+const {
+  getServicesForDate,
+  getServiceLoad,
+  findServiceForTime,
+  lockReservationDate,
+  toDateString
+} = require('./availability');
+const { toRestaurantInstant } = require('./timezone');
+
+// Les places vendues ne sont plus annulables la veille de la soirée
+const BOOKING_CANCEL_CUTOFF_HOURS = 24;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const createBookingToken = () => crypto.randomBytes(24).toString('hex');
+
+const getEventDateTime = (event) => {
+  return toRestaurantInstant(toDateString(event.event_date), String(event.start_time).substring(0, 5));
+};
+
+// Soirées avec leur menu (tel que publié sur la carte) et les places restantes (confirmées uniquement)
+const getEvents = async (db, { eventId = null, from = null, status = null } = {}) => {
+  const result = await db.query(
+    `SELECT e.*, m.title as menu_title, m.description as menu_description,
+            COALESCE(SUM(b.seats) FILTER (WHERE b.status = 'confirmed'), 0)::int as booked_seats,
+            e.seat_limit - COALESCE(SUM(b.seats) FILTER (WHERE b.status = 'confirmed'), 0)::int as remaining_seats
+     FROM special_events e
+     LEFT JOIN published_menus m ON m.id_menu = e.menu_id
+     LEFT JOIN special_event_bookings b ON b.event_id = e.id
+     WHERE ($1::integer IS NULL OR e.id = $1)
+     AND ($2::date IS NULL OR e.event_date >= $2)
+     AND ($3::text IS NULL OR e.status = $3)
+     GROUP BY e.id, m.id_menu, m.title, m.description
+     ORDER BY e.event_date ASC, e.start_time ASC`,
+    [eventId, from, status]
+  );
+  return result.rows;
+};
+
+const getEvent = async (db, eventId) => {
+  const [event] = await getEvents(db, { eventId });
+  return event || null;
+};
+
+/**
+ * Vérifie que le service peut céder la jauge de la soirée et retourne le service concerné.
+ * `block` est le blocage actuel de la soirée (modification) : il est ignoré dans le calcul.
+ * Doit être appelée après lockReservationDate.
+ * Retourne { service } ou { status, error }.
+ */
+const checkEventCapacity = async (db, { date, time, seats, zone, block = null }) => {
+  const service = findServiceForTime(await getServicesForDate(db, date), time);
+  if (!service) {
+    return { status: 400, error: 'Aucun service ouvert à cette date et à cette heure' };
+  }
+
+  const load = await getServiceLoad(db, {
+    date,
+    service: service.service,
+    ignoreBlockId: block ? block.id : null
+  });
+
+  if (load.bought_out) {
+    return { status: 409, error: 'Ce service est privatisé' };
+  }
+
+  if (zone && (load.blocked_zones.includes(zone) || load.occupied_zones.includes(zone))) {
+    return { status: 409, error: 'Cette zone n\'est pas disponible sur ce service' };
+  }
+
+  if (load.capacity - load.booked_covers < seats) {
+    return {
+      status: 409,
+      error: `Capacité insuffisante : ${Math.max(load.capacity - load.booked_covers, 0)} couvert(s) libre(s) sur ce service`
+    };
+  }
+
+  return { service: service.service };
+};
+
+const insertEventBlock = async (client, event) => {
+  await client.query(
+    `INSERT INTO capacity_blocks (block_date, service, seats, zone, reason, special_event_id, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+    [
+      toDateString(event.event_date),
+      event.service,
+      event.seat_limit,
+      event.zone,
+      `Soirée : ${event.title}`,
+      event.id,
+      event.created_by
+    ]
+  );
+};
+
+/**
+ * Programme une soirée et bloque sa jauge sur le service correspondant.
+ * Doit être appelée dans une transaction.
+ * Retourne { event } ou { status, error }.
+ */
+const scheduleEvent = async (client, fields, { createdBy = null } = {}) => {
+  await lockReservationDate(client, fields.event_date);
+
+  const capacity = await checkEventCapacity(client, {
+    date: fields.event_date,
+    time: fields.start_time,
+    seats: fields.seat_limit,
+    zone: fields.zone
+  });
+  if (capacity.error) {
+    return capacity;
+  }
+
+  const result = await client.query(
+    `INSERT INTO special_events
+       (title, description, event_date, start_time, service, menu_id, ticket_price_cents, seat_limit, zone, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+     RETURNING *`,
+    [
+      fields.title,
+      fields.description,
+      fields.event_date,
+      fields.start_time,
+      capacity.service,
+      fields.menu_id,
+      fields.ticket_price_cents,
+      fields.seat_limit,
+      fields.zone,
+      createdBy
+    ]
+  );
+
+  await insertEventBlock(client, result.rows[0]);
+
+  return { event: result.rows[0] };
+};
+
+/**
+ * Modifie une soirée programmée. Un changement de date, d'heure, de jauge ou de zone
+ * est revérifié sur le service d'arrivée et déplace le blocage de capacité.
+ * La jauge ne peut pas descendre sous le nombre de places vendues.
+ * Doit être appelée dans une transaction.
+ * Retourne { event, previous } ou { status, error }.
+ */
+const updateEvent = async (client, eventId, changes) => {
+  const current = await client.query(
+    'SELECT * FROM special_events WHERE id = $1 FOR UPDATE',
+    [eventId]
+  );
+  const event = current.rows[0];
+
+  if (!event) {
+    return { status: 404, error: 'Soirée non trouvée' };
+  }
+
+  if (event.status !== 'scheduled') {
+    return { status: 409, error: 'Cette soirée est annulée' };
+  }
+
+  const next = { ...event, event_date: toDateString(event.event_date) };
+  Object.keys(changes).forEach(key => {
+    if (changes[key] !== undefined) next[key] = changes[key];
+  });
+
+  const sold = await client.query(
+    `SELECT COALESCE(SUM(seats), 0)::int as seats FROM special_event_bookings
+     WHERE event_id = $1 AND status = 'confirmed'`,
+    [event.id]
+  );
+
+  if (next.seat_limit < sold.rows[0].seats) {
+    return { status: 409, error: `${sold.rows[0].seats} place(s) déjà vendue(s) : jauge trop basse` };
+  }
+
+  const moved = next.event_date !== toDateString(event.event_date) ||
+    String(next.start_time).substring(0, 5) !== String(event.start_time).substring(0, 5) ||
+    next.seat_limit !== event.seat_limit ||
+    next.zone !== event.zone;
+
+  if (moved) {
+    // Verrouillage dans l'ordre des dates pour éviter un interblocage entre deux déplacements
+    const dates = [...new Set([toDateString(event.event_date), next.event_date])].sort();
+    for (const date of dates) {
+      await lockReservationDate(client, date);
+    }
+
+    const blockResult = await client.query(
+      'SELECT * FROM capacity_blocks WHERE special_event_id = $1',
+      [event.id]
+    );
+
+    const capacity = await checkEventCapacity(client, {
+      date: next.event_date,
+      time: next.start_time,
+      seats: next.seat_limit,
+      zone: next.zone,
+      block: blockResult.rows[0] || null
+    });
+    if (capacity.error) {
+      return capacity;
+    }
+    next.service = capacity.service;
+  }
+
+  const result = await client.query(
+    `UPDATE special_events SET
+       title = $2, description = $3, event_date = $4, start_time = $5, service = $6,
+       menu_id = $7, ticket_price_cents = $8, seat_limit = $9, zone = $10,
+       updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1
+     RETURNING *`,
+    [
+      event.id,
+      next.title,
+      next.description,
+      next.event_date,
+      next.start_time,
+      next.service,
+      next.menu_id,
+      next.ticket_price_cents,
+      next.seat_limit,
+      next.zone
+    ]
+  );
+
+  if (moved) {
+    await client.query('DELETE FROM capacity_blocks WHERE special_event_id = $1', [event.id]);
+    await insertEventBlock(client, result.rows[0]);
+  }
+
+  return { event: result.rows[0], previous: event };
+};
+
+/**
+ * Réserve des places pour une soirée. La soirée est verrouillée le temps du
+ * décompte : deux réservations simultanées ne peuvent pas dépasser la jauge.
+ * Doit être appelée dans une transaction.
+ * Retourne { booking } ou { status, error }.
+ */
+const bookSeats = async (client, eventId, { seats, userId = null, guest }, { now = new Date() } = {}) => {
+  const current = await client.query(
+    'SELECT * FROM special_events WHERE id = $1 FOR UPDATE',
+    [eventId]
+  );
+  const event = current.rows[0];
+
+  if (!event) {
+    return { status: 404, error: 'Soirée non trouvée' };
+  }
+
+  if (event.status !== 'scheduled' || getEventDateTime(event) <= now) {
+    return { status: 409, error: 'Cette soirée n\'est plus ouverte à la réservation' };
+  }
+
+  const sold = await client.query(
+    `SELECT COALESCE(SUM(seats), 0)::int as seats FROM special_event_bookings
+     WHERE event_id = $1 AND status = 'confirmed'`,
+    [event.id]
+  );
+  const remaining = event.seat_limit - sold.rows[0].seats;
+
+  if (seats > remaining) {
+    return {
+      status: 409,
+      error: remaining > 0 ? `Il ne reste que ${remaining} place(s)` : 'Soirée complète'
+    };
+  }
+
+  const result = await client.query(
+    `INSERT INTO special_event_bookings
+       (event_id, user_id, firstname, lastname, email, phone, seats, amount_cents, access_token)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+     RETURNING *`,
+    [
+      event.id,
+      userId,
+      guest.firstname,
+      guest.lastname,
+      guest.email,
+      guest.phone,
+      seats,
+      seats * event.ticket_price_cents,
+      createBookingToken()
+    ]
+  );
+
+  return { booking: result.rows[0], remaining_seats: remaining - seats };
+};
+
+// Annulation par le client, jusqu'à la veille de la soirée
+const cancelBooking = async (db, booking, { now = new Date() } = {}) => {
+  if (booking.status !== 'confirmed') {
+    return { status: 409, error: 'Réservation déjà annulée' };
+  }
+
+  const event = await db.query('SELECT * FROM special_events WHERE id = $1', [booking.event_id]);
+
+  if ((getEventDateTime(event.rows[0]) - now) / HOUR_MS < BOOKING_CANCEL_CUTOFF_HOURS) {
+    return {
+      status: 400,
+      error: `Impossible d'annuler moins de ${BOOKING_CANCEL_CUTOFF_HOURS}h avant la soirée`
+    };
+  }
+
+  const result = await db.query(
+    `UPDATE special_event_bookings SET status = 'cancelled', cancelled_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND status = 'confirmed'
+     RETURNING *`,
+    [booking.id]
+  );
+
+  return result.rows[0]
+    ? { booking: result.rows[0] }
+    : { status: 409, error: 'Réservation déjà annulée' };
+};
+
+/**
+ * Annule une soirée : les places vendues sont annulées et la jauge rendue au service.
+ * Doit être appelée dans une transaction.
+ * Retourne { event, bookings } (réservations annulées), ou null si la soirée était déjà annulée.
+ */
+const cancelEvent = async (client, eventId) => {
+  const result = await client.query(
+    `UPDATE special_events SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND status = 'scheduled'
+     RETURNING *`,
+    [eventId]
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  await client.query('DELETE FROM capacity_blocks WHERE special_event_id = $1', [eventId]);
+
+  const bookings = await client.query(
+    `UPDATE special_event_bookings SET status = 'cancelled', cancelled_at = CURRENT_TIMESTAMP
+     WHERE event_id = $1 AND status = 'confirmed'
+     RETURNING *`,
+    [eventId]
+  );
+
+  return { event: result.rows[0], bookings: bookings.rows };
+};
+
+module.exports = {
+  BOOKING_CANCEL_CUTOFF_HOURS,
+  getEvents,
+  getEvent,
+  scheduleEvent,
+  updateEvent,
+  bookSeats,
+  cancelBooking,
+  cancelEvent
+};
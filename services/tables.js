@@ -0,0 +1,108 @@
+// backend/services/tables.js
+// Plan de salle : recherche et affectation des tables aux réservations
+
+// Nombre maximum de tables assemblées pour un même groupe
+const MAX_COMBINED_TABLES = 4;
+
+// Helper pour exécuter des requêtes (pool ou client de transaction)
+const query = async (db, sql, params = []) => {
+  const result = await db.query(sql, params);
+  return result.rows;
+};
+
+// ============================================
+// INVENTAIRE
+// ============================================
+const getActiveTables = async (db, zone = null) => {
+  return query(db,
+    `SELECT * FROM restaurant_tables
+     WHERE is_active = true
+     AND ($1::text IS NULL OR zone = $1)
+     ORDER BY max_capacity ASC, display_order ASC`,
+    [zone]
+  );
+};
+
+// ============================================
+// CHOIX DES TABLES
+// ============================================
+const sumCapacity = (tables, field) => tables.reduce((sum, table) => sum + table[field], 0);
+
+// Meilleure combinaison d'un groupe : le moins de places perdues, puis le moins de tables
+const bestCombination = (tables, people) => {
+  let best = null;
+
+  const explore = (start, current) => {
+    if (current.length >= 2) {
+      const max = sumCapacity(current, 'max_capacity');
+      const min = sumCapacity(current, 'min_capacity');
+
+      if (min <= people && max >= people) {
+        const isBetter = !best ||
+          max < sumCapacity(best, 'max_capacity') ||
+          (max === sumCapacity(best, 'max_capacity') && current.length < best.length);
+        if (isBetter) best = [...current];
+        return;
+      }
+    }
+
+    if (current.length === MAX_COMBINED_TABLES) return;
+
+    for (let i = start; i < tables.length; i++) {
+      explore(i + 1, [...current, tables[i]]);
+    }
+  };
+
+  explore(0, []);
+  return best;
+};
+
+/**
+ * Choisit la plus petite table adaptée, sinon le meilleur assemblage
+ * de tables combinables d'un même groupe. Retourne null si rien ne convient.
+ */
+const chooseTableSet = (tables, people) => {
+  const single = tables.find(table =>
+    table.min_capacity <= people && people <= table.max_capacity
+  );
+  if (single) return [single];
+
+  const groups = {};
+  tables
+    .filter(table => table.is_combinable && table.combination_group)
+    .forEach(table => {
+      groups[table.combination_group] = groups[table.combination_group] || [];
+      groups[table.combination_group].push(table);
+    });
+
+  let best = null;
+  Object.values(groups).forEach(groupTables => {
+    const combination = bestCombination(groupTables, people);
+    if (combination && (!best || sumCapacity(combination, 'max_capacity') < sumCapacity(best, 'max_capacity'))) {
+      best = combination;
+    }
+  });
+
+  return best;
+};
+
+// ============================================
+// AFFECTATION
+// ============================================
+const assignTables = async (db, reservationId, tableIds, assignedBy = null) => {
+  await query(db, 'DELETE FROM reservation_tables WHERE reservation_id = $1', [reservationId]);
+
+  for (const tableId of tableIds) {
+    await query(db,
+      `INSERT INTO reservation_tables (reservation_id, table_id, assigned_by)
+       VALUES ($1, $2, $3)`,
+      [reservationId, tableId, assignedBy]
+    );
+  }
+};
+
+module.exports = {
+  getActiveTables,
+  chooseTableSet,
+  assignTables
+};
@@ -0,0 +1,69 @@
+// backend/services/timezone.js
+// Heure du restaurant : les dates et heures des réservations sont des heures locales
+// du restaurant, quel que soit le fuseau du serveur (souvent UTC en production)
+
+const RESTAURANT_TIMEZONE = process.env.RESTAURANT_TIMEZONE || 'Europe/Paris';
+
+// Date, heure, minute et seconde d'un instant dans le fuseau du restaurant
+const getZonedParts = (instant) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: RESTAURANT_TIMEZONE,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(instant);
+
+  const values = {};
+  parts.forEach(part => {
+    values[part.type] = part.value;
+  });
+  return values;
+};
+
+// Décalage du fuseau du restaurant avec UTC à un instant donné (ms, +3600000 en hiver à Paris)
+const getOffset = (instant) => {
+  const parts = getZonedParts(instant);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(instant.getTime() / 1000) * 1000;
+};
+
+/**
+ * Date et heure actuelles au restaurant : { date: 'YYYY-MM-DD', time: 'HH:MM' }.
+ */
+const getRestaurantNow = (now = new Date()) => {
+  const parts = getZonedParts(now);
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    time: `${parts.hour}:${parts.minute}`
+  };
+};
+
+/**
+ * Instant (Date) correspondant à une date 'YYYY-MM-DD' et une heure 'HH:MM[:SS]' du restaurant.
+ * Le décalage est recalculé une fois pour tomber juste autour des changements d'heure.
+ */
+const toRestaurantInstant = (date, time) => {
+  const [year, month, day] = String(date).substring(0, 10).split('-').map(Number);
+  const [hour, minute, second] = String(time).split(':').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute || 0, second || 0);
+
+  const firstGuess = wallClock - getOffset(new Date(wallClock));
+  return new Date(wallClock - getOffset(new Date(firstGuess)));
+};
+
+// Instant -> 'HH:MM' à l'heure du restaurant
+const formatRestaurantTime = (instant) => {
+  const parts = getZonedParts(new Date(instant));
+  return `${parts.hour}:${parts.minute}`;
+};
+
+module.exports = {
+  RESTAURANT_TIMEZONE,
+  getRestaurantNow,
+  toRestaurantInstant,
+  formatRestaurantTime
+};
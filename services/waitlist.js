@@ -0,0 +1,143 @@
+// backend/services/waitlist.js
+// Liste d'attente : proposer les places libérées au premier client compatible
+const { withTransaction } = require('../database/db');
+const { getDaySlots, toMinutes, toDateString } = require('./availability');
+const { enqueueWaitlistNotification } = require('./notifications');
+const { RESTAURANT_TIMEZONE, getRestaurantNow } = require('./timezone');
+
+// Durée pendant laquelle une offre reste valable
+const OFFER_VALIDITY_MINUTES = 60;
+
+// Passe les offres non acceptées à temps en "expired" et retourne les dates concernées
+const expireOffers = async (db) => {
+  const result = await db.query(
+    `UPDATE waitlist_entries
+     SET status = 'expired', updated_at = CURRENT_TIMESTAMP
+     WHERE status = 'offered' AND offer_expires_at < NOW()
+     RETURNING waitlist_date`
+  );
+  return [...new Set(result.rows.map(row => toDateString(row.waitlist_date)))];
+};
+
+// Horaire à proposer : le créneau libre le plus proche de l'horaire souhaité
+const pickOfferTime = (slots, preferredTime) => {
+  const free = slots.filter(slot => slot.available);
+  if (free.length === 0) return null;
+  if (!preferredTime) return free[0].time;
+
+  const target = toMinutes(preferredTime);
+  return free.reduce((best, slot) =>
+    Math.abs(toMinutes(slot.time) - target) < Math.abs(toMinutes(best.time) - target) ? slot : best
+  ).time;
+};
+
+/**
+ * Propose `time` à une inscription en attente et met le message d'offre en file.
+ * Doit être appelée dans une transaction : l'offre n'existe jamais sans son message.
+ * Retourne l'entrée mise à jour, ou null si elle n'est plus en attente.
+ */
+const offerSlot = async (client, entry, time, validityMinutes = OFFER_VALIDITY_MINUTES) => {
+  const result = await client.query(
+    `UPDATE waitlist_entries SET
+       status = 'offered',
+       offered_time = $1,
+       offer_expires_at = LEAST(NOW() + make_interval(mins => $2), ($3::date + $1::time) AT TIME ZONE $5),
+       updated_at = CURRENT_TIMESTAMP
+     WHERE id = $4 AND status IN ('waiting', 'expired')
+     RETURNING *`,
+    [time, validityMinutes, entry.waitlist_date, entry.id, RESTAURANT_TIMEZONE]
+  );
+
+  const offered = result.rows[0] || null;
+  if (offered) {
+    await enqueueWaitlistNotification(client, offered, 'waitlist_offer');
+  }
+  return offered;
+};
+
+/**
+ * Propose un créneau libéré au premier inscrit compatible de la date.
+ * Une seule offre par appel : les places ne sont pas bloquées, l'acceptation revérifie.
+ * Retourne l'entrée mise à jour ou null.
+ */
+const processWaitlist = async (db, date) => {
+  await expireOffers(db);
+
+  const entries = await db.query(
+    `SELECT * FROM waitlist_entries
+     WHERE waitlist_date = $1::date
+     AND waitlist_date >= $2::date
+     AND status = 'waiting'
+     ORDER BY created_at ASC`,
+    [date, getRestaurantNow().date]
+  );
+
+  const slotsByPartySize = {};
+
+  for (const entry of entries.rows) {
+    const people = entry.number_of_people;
+    slotsByPartySize[people] = slotsByPartySize[people] || await getDaySlots(db, { date, people });
+
+    const service = slotsByPartySize[people].find(daySlots => daySlots.service === entry.service);
+    const time = service ? pickOfferTime(service.slots, entry.preferred_time) : null;
+
+    if (time) {
+      const offered = await withTransaction((client) => offerSlot(client, entry, time));
+      if (offered) {
+        console.log(`📨 Offre liste d'attente ${offered.id} : ${date} ${time}`);
+        return offered;
+      }
+    }
+  }
+
+  return null;
+};
+
+// Expire les offres périmées et relance la liste d'attente des dates concernées
+const refreshWaitlist = async (db) => {
+  const dates = await expireOffers(db);
+  for (const date of dates) {
+    await processWaitlist(db, date);
+  }
+};
+
+// Proposer les places libérées à la liste d'attente sans retarder la réponse
+const releaseToWaitlist = (db, date) => {
+  processWaitlist(db, toDateString(date)).catch((error) => {
+    console.error('❌ Erreur traitement liste d\'attente:', error);
+  });
+};
+
+/**
+ * Lance le traitement périodique : les offres expirées passent à l'inscrit suivant,
+ * dont le message part au prochain passage du worker des notifications.
+ * Retourne une fonction d'arrêt.
+ */
+const startWaitlistWorker = (db, { intervalMs = 60 * 1000 } = {}) => {
+  let running = false;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await refreshWaitlist(db);
+    } catch (error) {
+      console.error('❌ Erreur worker liste d\'attente:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, intervalMs);
+  return () => clearInterval(timer);
+};
+
+module.exports = {
+  OFFER_VALIDITY_MINUTES,
+  expireOffers,
+  offerSlot,
+  processWaitlist,
+  refreshWaitlist,
+  releaseToWaitlist,
+  startWaitlistWorker
+};
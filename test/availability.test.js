@@ -0,0 +1,152 @@
+// backend/test/availability.test.js
+// Disponibilité d'un créneau : couverts présents pendant tout le repas, grille des services,
+// tables libres quand un plan de salle existe
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { checkSlot, getDaySlots, toDateString } = require('../services/availability');
+const { getRestaurantNow } = require('../services/timezone');
+const { skipWithoutDatabase, createTestDatabase, createUser } = require('./helpers/database');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('checkSlot et getDaySlots', { skip: skipWithoutDatabase }, () => {
+  let database;
+  let user;
+
+  before(async () => {
+    database = await createTestDatabase();
+    user = await createUser(database.pool);
+  });
+
+  after(async () => {
+    await database.drop();
+  });
+
+  // Réservation confirmée ; retourne son identifiant
+  const book = async (date, time, people) => {
+    const result = await database.pool.query(
+      `INSERT INTO reservations (user_id, reservation_date, reservation_time, number_of_people, status)
+       VALUES ($1, $2, $3, $4, 'confirmed')
+       RETURNING id`,
+      [user.id, date, time, people]
+    );
+    return result.rows[0].id;
+  };
+
+  describe('sans plan de salle', () => {
+    // Dîner de 50 couverts : 8 personnes à 19h (2h), deux groupes de 20 à 20h (2h30)
+    const date = toDateString(new Date(Date.now() + 30 * DAY_MS));
+
+    before(async () => {
+      await book(date, '19:00', 8);
+      await book(date, '20:00', 20);
+      await book(date, '20:00', 20);
+    });
+
+    it('compte le pic de couverts présents pendant toute la durée du repas', async () => {
+      const slot = await checkSlot(database.pool, { date, time: '19:00', people: 2 });
+
+      assert.equal(slot.open, true);
+      assert.equal(slot.service.service, 'dinner');
+      assert.equal(slot.duration_minutes, 90);
+      assert.equal(slot.available_seats, 2);
+      assert.equal(slot.available, true);
+
+      const tooMany = await checkSlot(database.pool, { date, time: '19:00', people: 3 });
+      assert.equal(tooMany.duration_minutes, 105);
+      assert.equal(tooMany.available, false);
+    });
+
+    it('libère les couverts d\'une table à la fin de son repas', async () => {
+      const slot = await checkSlot(database.pool, { date, time: '21:00', people: 10 });
+
+      assert.equal(slot.available_seats, 10);
+      assert.equal(slot.available, true);
+    });
+
+    it('refuse une heure hors service ou hors grille, sauf pour le personnel', async () => {
+      const closed = await checkSlot(database.pool, { date, time: '16:00', people: 2 });
+      assert.equal(closed.open, false);
+      assert.equal(closed.service, null);
+      assert.equal(closed.available, false);
+
+      const offGrid = await checkSlot(database.pool, { date, time: '21:10', people: 2 });
+      assert.equal(offGrid.open, false);
+      assert.match(offGrid.message, /tranches de 15 minutes/);
+
+      const staff = await checkSlot(database.pool, { date, time: '21:10', people: 2, strictInterval: false });
+      assert.equal(staff.open, true);
+      assert.equal(staff.available, true);
+    });
+
+    it('ignore la réservation exclue (modification)', async () => {
+      const id = await book(date, '12:00', 48);
+
+      const full = await checkSlot(database.pool, { date, time: '12:00', people: 4 });
+      assert.equal(full.available, false);
+
+      const excluded = await checkSlot(database.pool, { date, time: '12:00', people: 4, excludeReservationId: id });
+      assert.equal(excluded.available_seats, 50);
+    });
+
+    it('décrit chaque créneau du service, de l\'ouverture à la dernière prise', async () => {
+      const days = await getDaySlots(database.pool, { date, people: 2 });
+      const dinner = days.find(day => day.service === 'dinner');
+
+      assert.deepEqual(days.map(day => day.service), ['lunch', 'dinner']);
+      assert.equal(dinner.slots.length, 15);
+      assert.equal(dinner.slots[0].time, '19:00');
+      assert.equal(dinner.slots[dinner.slots.length - 1].time, '22:30');
+
+      const seatsAt = (time) => dinner.slots.find(slot => slot.time === time).available_seats;
+      assert.equal(seatsAt('19:00'), 2);
+      assert.equal(seatsAt('22:15'), 10);
+      assert.equal(seatsAt('22:30'), 50);
+    });
+
+    it('marque passés les créneaux d\'une date révolue', async () => {
+      const [year, month, day] = getRestaurantNow().date.split('-').map(Number);
+      const yesterday = new Date(Date.UTC(year, month - 1, day - 1)).toISOString().substring(0, 10);
+
+      const days = await getDaySlots(database.pool, { date: yesterday, people: 2 });
+
+      days.forEach(service => service.slots.forEach(slot => {
+        assert.equal(slot.past, true);
+        assert.equal(slot.available, false);
+      }));
+    });
+  });
+
+  describe('avec un plan de salle', () => {
+    const date = toDateString(new Date(Date.now() + 31 * DAY_MS));
+    let tableId;
+
+    before(async () => {
+      const table = await database.pool.query(
+        "INSERT INTO restaurant_tables (label, zone, min_capacity, max_capacity) VALUES ('T1', 'main', 1, 4) RETURNING id"
+      );
+      tableId = table.rows[0].id;
+
+      const reservationId = await book(date, '19:00', 2);
+      await database.pool.query(
+        'INSERT INTO reservation_tables (reservation_id, table_id) VALUES ($1, $2)',
+        [reservationId, tableId]
+      );
+    });
+
+    it('refuse un créneau dont la seule table est encore occupée', async () => {
+      const slot = await checkSlot(database.pool, { date, time: '20:00', people: 2 });
+
+      assert.equal(slot.available_seats, 48);
+      assert.equal(slot.available, false);
+      assert.equal(slot.message, 'Aucune table disponible pour ce nombre de personnes');
+    });
+
+    it('propose la table une fois le repas précédent terminé', async () => {
+      const slot = await checkSlot(database.pool, { date, time: '20:30', people: 2 });
+
+      assert.equal(slot.available, true);
+      assert.deepEqual(slot.tables.map(table => table.id), [tableId]);
+    });
+  });
+});
@@ -0,0 +1,175 @@
+// backend/test/cancellationPolicies.test.js
+// Politique d'annulation : délai limite, annulation tardive pénalisée et politique la plus précise
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { evaluateChange } = require('../services/cancellationPolicies');
+const { toRestaurantInstant } = require('../services/timezone');
+const { skipWithoutDatabase, createTestDatabase } = require('./helpers/database');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Réservation du 12 juin 2030 à 20h (heure du restaurant)
+const DATE = '2030-06-12';
+const TIME = '20:00:00';
+
+const reservation = (overrides = {}) => ({
+  reservation_date: DATE,
+  reservation_time: TIME,
+  number_of_people: 2,
+  status: 'confirmed',
+  ...overrides
+});
+
+// Instant situé `hours` heures avant la réservation
+const hoursBefore = (hours) => new Date(toRestaurantInstant(DATE, TIME).getTime() - hours * HOUR_MS);
+
+describe('evaluateChange', { skip: skipWithoutDatabase }, () => {
+  let database;
+
+  before(async () => {
+    database = await createTestDatabase();
+  });
+
+  after(async () => {
+    await database.drop();
+  });
+
+  describe('politique générale (2h, annulation tardive sous 24h)', () => {
+    it('accepte une annulation anticipée sans pénalité', async () => {
+      const outcome = await evaluateChange(database.pool, reservation(), { action: 'cancel', now: hoursBefore(30) });
+
+      assert.equal(outcome.error, null);
+      assert.equal(outcome.late, false);
+      assert.equal(outcome.policy.name, 'Politique générale');
+    });
+
+    it('pénalise une annulation du client sous 24h', async () => {
+      const outcome = await evaluateChange(database.pool, reservation(), { action: 'cancel', now: hoursBefore(3) });
+
+      assert.equal(outcome.error, null);
+      assert.equal(outcome.late, true);
+    });
+
+    it('ne pénalise ni une modification ni une annulation par le personnel', async () => {
+      const modified = await evaluateChange(database.pool, reservation(), { action: 'modify', now: hoursBefore(3) });
+      assert.equal(modified.error, null);
+      assert.equal(modified.late, false);
+
+      const byStaff = await evaluateChange(database.pool, reservation(), {
+        action: 'cancel',
+        byCustomer: false,
+        now: hoursBefore(3)
+      });
+      assert.equal(byStaff.error, null);
+      assert.equal(byStaff.late, false);
+    });
+
+    it('refuse toute action sous le délai limite, sauf override du personnel', async () => {
+      const now = hoursBefore(1);
+
+      const customer = await evaluateChange(database.pool, reservation(), { action: 'cancel', now });
+      assert.equal(customer.error, 'Impossible d\'annuler moins de 2h avant la réservation');
+
+      const customerOverride = await evaluateChange(database.pool, reservation(), { action: 'modify', override: true, now });
+      assert.equal(customerOverride.error, 'Impossible de modifier moins de 2h avant la réservation');
+
+      const staff = await evaluateChange(database.pool, reservation(), { action: 'cancel', byCustomer: false, now });
+      assert.match(staff.error, /override_policy/);
+
+      const staffOverride = await evaluateChange(database.pool, reservation(), {
+        action: 'cancel',
+        byCustomer: false,
+        override: true,
+        now
+      });
+      assert.equal(staffOverride.error, null);
+    });
+
+    it('refuse une suppression tardive par le client, pas celle d\'une réservation terminée', async () => {
+      const late = await evaluateChange(database.pool, reservation(), { action: 'delete', now: hoursBefore(10) });
+      assert.match(late.error, /Annulation tardive/);
+
+      const early = await evaluateChange(database.pool, reservation(), { action: 'delete', now: hoursBefore(30) });
+      assert.equal(early.error, null);
+
+      const completed = await evaluateChange(database.pool, reservation({ status: 'completed' }), {
+        action: 'delete',
+        byCustomer: false,
+        now: hoursBefore(-48)
+      });
+      assert.equal(completed.error, null);
+
+      const byCustomer = await evaluateChange(database.pool, reservation({ status: 'completed' }), {
+        action: 'delete',
+        now: hoursBefore(-48)
+      });
+      assert.equal(byCustomer.error, 'Seule une réservation à venir peut être supprimée');
+    });
+
+    it('refuse de modifier une réservation non réglée ou annulée', async () => {
+      const unpaid = await evaluateChange(database.pool, reservation({ status: 'pending_payment' }), {
+        action: 'modify',
+        now: hoursBefore(30)
+      });
+      assert.equal(unpaid.error, 'Merci de régler la garantie avant de modifier la réservation');
+
+      const cancelled = await evaluateChange(database.pool, reservation({ status: 'cancelled' }), {
+        action: 'modify',
+        now: hoursBefore(30)
+      });
+      assert.equal(cancelled.error, 'Cette réservation ne peut plus être modifiée');
+
+      const cancelledTwice = await evaluateChange(database.pool, reservation({ status: 'cancelled' }), {
+        action: 'cancel',
+        now: hoursBefore(30)
+      });
+      assert.equal(cancelledTwice.error, 'Réservation déjà annulée');
+    });
+  });
+
+  describe('politiques spécifiques', () => {
+    before(async () => {
+      await database.pool.query(
+        `INSERT INTO cancellation_policies (name, min_party, cutoff_hours, late_cancel_hours, late_cancel_penalty)
+         VALUES ('Groupes', 6, 48, 72, false)`
+      );
+      await database.pool.query(
+        `INSERT INTO cancellation_policies (name, start_date, end_date, cutoff_hours, late_cancel_hours, allow_customer_delete)
+         VALUES ('Juin', '2030-06-01', '2030-06-30', 12, 36, false)`
+      );
+    });
+
+    it('applique la période avant la taille du groupe', async () => {
+      const outcome = await evaluateChange(database.pool, reservation({ number_of_people: 8 }), {
+        action: 'cancel',
+        now: hoursBefore(20)
+      });
+
+      assert.equal(outcome.policy.name, 'Juin');
+      assert.equal(outcome.error, null);
+      assert.equal(outcome.late, true);
+    });
+
+    it('applique la politique de groupe hors de la période', async () => {
+      const group = reservation({ reservation_date: '2030-07-12', number_of_people: 8 });
+      const now = new Date(toRestaurantInstant('2030-07-12', TIME).getTime() - 40 * HOUR_MS);
+
+      const outcome = await evaluateChange(database.pool, group, { action: 'cancel', now });
+      assert.equal(outcome.policy.name, 'Groupes');
+      assert.equal(outcome.error, 'Impossible d\'annuler moins de 48h avant la réservation');
+
+      const early = await evaluateChange(database.pool, group, {
+        action: 'cancel',
+        now: new Date(now.getTime() - 20 * HOUR_MS)
+      });
+      assert.equal(early.error, null);
+      assert.equal(early.late, false);
+    });
+
+    it('interdit la suppression par le client quand la politique l\'exclut', async () => {
+      const outcome = await evaluateChange(database.pool, reservation(), { action: 'delete', now: hoursBefore(100) });
+
+      assert.equal(outcome.error, 'La suppression n\'est pas autorisée : merci d\'annuler la réservation');
+    });
+  });
+});
@@ -0,0 +1,85 @@
+-- backend/test/fixtures/base_schema.sql
+-- Tables de base créées avant les migrations (historiquement dans Supabase),
+-- réduites aux colonnes lues et écrites par l'application. Utilisé uniquement par les tests.
+
+CREATE TABLE IF NOT EXISTS users (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  firstname VARCHAR(100) NOT NULL,
+  lastname VARCHAR(100) NOT NULL,
+  email VARCHAR(255) NOT NULL UNIQUE,
+  password_hash VARCHAR(255),
+  phone VARCHAR(30),
+  role VARCHAR(20) NOT NULL DEFAULT 'user',
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS settings (
+  setting_key VARCHAR(100) PRIMARY KEY,
+  setting_value TEXT,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS reservations (
+  id SERIAL PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  reservation_date DATE NOT NULL,
+  reservation_time TIME NOT NULL,
+  number_of_people INTEGER NOT NULL,
+  special_requests TEXT,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending',
+  cancelled_at TIMESTAMP,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS categories (
+  id_category SERIAL PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  description TEXT,
+  icon VARCHAR(50),
+  display_order INTEGER NOT NULL DEFAULT 0,
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS dishes (
+  id_dish SERIAL PRIMARY KEY,
+  name VARCHAR(150) NOT NULL,
+  description TEXT,
+  category_id INTEGER REFERENCES categories(id_category) ON DELETE SET NULL,
+  price NUMERIC(10, 2),
+  image_url TEXT,
+  allergens TEXT,
+  is_vegetarian BOOLEAN NOT NULL DEFAULT false,
+  is_vegan BOOLEAN NOT NULL DEFAULT false,
+  is_gluten_free BOOLEAN NOT NULL DEFAULT false,
+  course_type VARCHAR(30),
+  preparation_time INTEGER,
+  calories INTEGER,
+  is_available BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS menus (
+  id_menu SERIAL PRIMARY KEY,
+  title VARCHAR(150) NOT NULL,
+  description TEXT,
+  price NUMERIC(10, 2),
+  image TEXT,
+  menu_type VARCHAR(30) NOT NULL DEFAULT 'standard',
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  available_from DATE,
+  available_until DATE,
+  display_order INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS menu_dishes (
+  menu_id INTEGER NOT NULL REFERENCES menus(id_menu) ON DELETE CASCADE,
+  dish_id INTEGER NOT NULL REFERENCES dishes(id_dish) ON DELETE CASCADE,
+  course_order INTEGER NOT NULL DEFAULT 0,
+  is_optional BOOLEAN NOT NULL DEFAULT false,
+  PRIMARY KEY (menu_id, dish_id)
+);
@@ -0,0 +1,64 @@
+// backend/test/helpers/database.js
+// Base PostgreSQL de test : chaque fichier de test travaille dans un schéma jetable
+// (tables de base + toutes les migrations) de la base désignée par TEST_DATABASE_URL
+const fs = require('fs');
+const path = require('path');
+const { Pool } = require('pg');
+
+const BASE_SCHEMA = path.join(__dirname, '..', 'fixtures', 'base_schema.sql');
+const MIGRATIONS_DIR = path.join(__dirname, '..', '..', 'database', 'migrations');
+
+// Option `skip` de node:test : les tests sur base réelle sont ignorés sans TEST_DATABASE_URL
+const skipWithoutDatabase = process.env.TEST_DATABASE_URL ? false : 'TEST_DATABASE_URL non défini';
+
+const getSchemaFiles = () => [
+  BASE_SCHEMA,
+  ...fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => file.endsWith('.sql'))
+    .sort()
+    .map(file => path.join(MIGRATIONS_DIR, file))
+];
+
+/**
+ * Crée un schéma de test migré et un pool qui ne voit que lui.
+ * Retourne { pool, drop } ; `drop` supprime le schéma et ferme le pool.
+ */
+const createTestDatabase = async () => {
+  const connectionString = process.env.TEST_DATABASE_URL;
+  const schema = `test_${process.pid}_${Date.now()}`;
+
+  const admin = new Pool({ connectionString, max: 1 });
+  await admin.query(`CREATE SCHEMA ${schema}`);
+  await admin.end();
+
+  const pool = new Pool({ connectionString, options: `-c search_path=${schema}`, max: 20 });
+
+  for (const file of getSchemaFiles()) {
+    await pool.query(fs.readFileSync(file, 'utf8'));
+  }
+
+  const drop = async () => {
+    await pool.query(`DROP SCHEMA ${schema} CASCADE`);
+    await pool.end();
+  };
+
+  return { pool, drop };
+};
+
+// Utilisateur de test ; retourne sa ligne complète
+const createUser = async (pool, { role = 'user', email = null } = {}) => {
+  const suffix = `${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+  const result = await pool.query(
+    `INSERT INTO users (firstname, lastname, email, role)
+     VALUES ('Test', $1, $2, $3)
+     RETURNING *`,
+    [`User ${suffix}`, email || `test_${suffix}@example.com`, role]
+  );
+  return result.rows[0];
+};
+
+module.exports = {
+  skipWithoutDatabase,
+  createTestDatabase,
+  createUser
+};
@@ -0,0 +1,71 @@
+// backend/test/helpers/http.js
+// Monte des routeurs Express sur un port libre et envoie des requêtes JSON authentifiées
+const http = require('http');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-in-production';
+
+// Les journaux des routes (réservations entières) brouillent parfois la sortie que le lanceur
+// de tests de Node 20 relit : ils ne sont affichés qu'avec TEST_LOGS=1
+if (!process.env.TEST_LOGS) {
+  console.log = () => {};
+}
+
+const signToken = (user) => jwt.sign(
+  { userId: user.id, email: user.email, role: user.role },
+  JWT_SECRET,
+  { expiresIn: '1h' }
+);
+
+/**
+ * Démarre une application avec `routes` ({ '/reservations': router, ... }) ;
+ * `locals` complète app.locals (paymentProvider...).
+ * Retourne { request(method, path, { body, user }), close() } ;
+ * `request` résout { status, body }.
+ */
+const startApp = async (pool, routes, locals = {}) => {
+  const app = express();
+  app.use(express.json());
+  Object.assign(app.locals, locals, { pool });
+
+  Object.entries(routes).forEach(([mountPath, router]) => {
+    app.use(mountPath, router);
+  });
+
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, () => resolve(listening));
+  });
+  const { port } = server.address();
+
+  const request = (method, path, { body = null, user = null } = {}) => new Promise((resolve, reject) => {
+    const payload = body ? JSON.stringify(body) : '';
+    // Longueur explicite : sans elle, un DELETE part sans corps lisible
+    const headers = { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) };
+    if (user) {
+      headers.Authorization = `Bearer ${signToken(user)}`;
+    }
+
+    const req = http.request({ port, path, method, headers }, (res) => {
+      let data = '';
+      res.on('data', (chunk) => {
+        data += chunk;
+      });
+      res.on('end', () => {
+        resolve({ status: res.statusCode, body: data ? JSON.parse(data) : null });
+      });
+    });
+
+    req.on('error', reject);
+    req.end(payload);
+  });
+
+  const close = () => new Promise((resolve) => server.close(resolve));
+
+  return { request, close };
+};
+
+module.exports = {
+  signToken,
+  startApp
+};
@@ -0,0 +1,47 @@
+// backend/test/menuVersions.concurrency.test.js
+// Publications simultanées de la carte : chacune obtient son numéro, une seule reste en ligne
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { initPool } = require('../database/db');
+const { skipWithoutDatabase, createTestDatabase, createUser } = require('./helpers/database');
+const { startApp } = require('./helpers/http');
+
+const PARALLEL_PUBLICATIONS = 5;
+
+describe('POST /menu-versions/publish en parallèle', { skip: skipWithoutDatabase }, () => {
+  let database;
+  let app;
+
+  before(async () => {
+    database = await createTestDatabase();
+    initPool(database.pool);
+    app = await startApp(database.pool, { '/menu-versions': require('../routes/menuVersions') });
+  });
+
+  after(async () => {
+    await app.close();
+    await database.drop();
+  });
+
+  it('numérote les versions à la suite sans erreur', async () => {
+    const admin = await createUser(database.pool, { role: 'admin' });
+
+    const responses = await Promise.all(
+      Array.from({ length: PARALLEL_PUBLICATIONS }, (_, index) => app.request('POST', '/menu-versions/publish', {
+        user: admin,
+        body: { note: `Publication ${index + 1}` }
+      }))
+    );
+
+    responses.forEach(response => assert.equal(response.status, 201));
+
+    const numbers = responses.map(response => response.body.version.version_number).sort((a, b) => a - b);
+    assert.deepEqual(numbers, Array.from({ length: PARALLEL_PUBLICATIONS }, (_, index) => index + 1));
+
+    const published = await database.pool.query(
+      "SELECT version_number FROM menu_card_versions WHERE status = 'published'"
+    );
+    assert.equal(published.rows.length, 1);
+    assert.equal(published.rows[0].version_number, PARALLEL_PUBLICATIONS);
+  });
+});
@@ -0,0 +1,98 @@
+// backend/test/menus.queries.test.js
+// Chargement des menus : le nombre de requêtes ne dépend pas du nombre de menus
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { getCardMenus, withComposition, selectMenus } = require('../services/menus');
+
+// Base simulée : compte les requêtes et renvoie des lignes selon la table interrogée
+const createCountingDb = (menuCount) => {
+  const menus = Array.from({ length: menuCount }, (_, index) => ({
+    id_menu: index + 1,
+    title: `Menu ${index + 1}`,
+    menu_type: 'standard',
+    available_from: null,
+    available_until: null
+  }));
+
+  const db = {
+    queries: 0,
+    query: async (sql, params = []) => {
+      db.queries++;
+
+      if (/FROM menus m/.test(sql)) {
+        return { rows: menus };
+      }
+      if (/FROM menu_dishes/.test(sql)) {
+        return {
+          rows: params[0].map(menuId => ({ menu_id: menuId, id_dish: menuId * 10, name: 'Plat', choice_group_id: null }))
+        };
+      }
+      if (/FROM menu_choice_groups/.test(sql)) {
+        return { rows: params[0].map(menuId => ({ id: menuId, menu_id: menuId, label: 'Au choix' })) };
+      }
+      if (/FROM menu_schedules/.test(sql)) {
+        return { rows: [] };
+      }
+      throw new Error(`Requête inattendue : ${sql}`);
+    }
+  };
+
+  return db;
+};
+
+const countQueries = async (menuCount) => {
+  const db = createCountingDb(menuCount);
+  const menus = await withComposition(db, await getCardMenus(db));
+  assert.equal(menus.length, menuCount);
+  return db.queries;
+};
+
+describe('Chargement des menus', () => {
+  it('fait autant de requêtes pour un menu que pour vingt', async () => {
+    const single = await countQueries(1);
+    const many = await countQueries(20);
+
+    assert.equal(many, single);
+  });
+
+  it('rattache plats et groupes de choix à leur menu', async () => {
+    const db = createCountingDb(3);
+    const menus = await withComposition(db, await getCardMenus(db));
+
+    menus.forEach(menu => {
+      assert.deepEqual(menu.dishes.map(dish => dish.id_dish), [menu.id_menu * 10]);
+      assert.deepEqual(menu.choice_groups.map(group => group.menu_id), [menu.id_menu]);
+      assert.equal(menu.dish_count, 1);
+    });
+  });
+});
+
+describe('selectMenus', () => {
+  const menus = [
+    { id_menu: 1, menu_type: 'standard', available_from: null, available_until: null },
+    { id_menu: 2, menu_type: 'seasonal', available_from: '2025-06-01', available_until: '2025-08-31' }
+  ];
+
+  it('écarte les menus hors de leur période', () => {
+    assert.deepEqual(selectMenus(menus, { date: '2025-10-01' }).map(menu => menu.id_menu), [1]);
+  });
+
+  it('garde un menu demandé par son identifiant hors de sa période', () => {
+    assert.deepEqual(selectMenus(menus, { date: '2025-10-01', menuId: 2 }).map(menu => menu.id_menu), [2]);
+  });
+
+  it('croise la plage horaire d\'un menu avec les horaires du service demandé', () => {
+    const lunchOnly = [{
+      id_menu: 3,
+      available_from: null,
+      available_until: null,
+      schedules: [{ day_of_week: null, service: null, start_time: '12:00:00', end_time: '14:00:00' }]
+    }];
+    const lunch = { service: 'lunch', start_time: '12:00:00', end_time: '14:30:00' };
+    const dinner = { service: 'dinner', start_time: '19:00:00', end_time: '23:00:00' };
+
+    assert.equal(selectMenus(lunchOnly, { date: '2025-10-01', services: [dinner] }).length, 0);
+    assert.equal(selectMenus(lunchOnly, { date: '2025-10-01', services: [lunch] }).length, 1);
+    assert.equal(selectMenus(lunchOnly, { date: '2025-10-01', services: [dinner], time: '20:00' }).length, 0);
+  });
+});
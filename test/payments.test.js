@@ -0,0 +1,158 @@
+// backend/test/payments.test.js
+// Garantie d'une réservation : réglée, elle libère la réservation jusqu'à sa confirmation ;
+// non réglée à temps, la réservation est annulée et ses places rendues
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { initPool, withTransaction } = require('../database/db');
+const { toDateString } = require('../services/availability');
+const { createPaymentProvider } = require('../services/paymentProviders');
+const { completePayment, expireUnpaidReservations } = require('../services/payments');
+const { skipWithoutDatabase, createTestDatabase, createUser } = require('./helpers/database');
+const { startApp } = require('./helpers/http');
+
+describe('Réservations avec garantie', { skip: skipWithoutDatabase }, () => {
+  let database;
+  let app;
+  let admin;
+  const date = toDateString(new Date(Date.now() + 30 * 24 * 60 * 60 * 1000));
+
+  before(async () => {
+    database = await createTestDatabase();
+    initPool(database.pool);
+    app = await startApp(database.pool, { '/reservations': require('../routes/reservations') }, {
+      paymentProvider: createPaymentProvider('fake')
+    });
+    admin = await createUser(database.pool, { role: 'admin' });
+  });
+
+  after(async () => {
+    await app.close();
+    await database.drop();
+  });
+
+  // Groupe de 8 : acompte de 20 € par personne (règle par défaut)
+  const bookGroup = async (user) => {
+    const response = await app.request('POST', '/reservations', {
+      user,
+      body: { reservation_date: date, reservation_time: '20:00', number_of_people: 8 }
+    });
+    assert.equal(response.status, 201);
+    return response.body;
+  };
+
+  const getReservation = async (id) => {
+    const result = await database.pool.query('SELECT * FROM reservations WHERE id = $1', [id]);
+    return result.rows[0];
+  };
+
+  const getPayment = async (reservationId) => {
+    const result = await database.pool.query('SELECT * FROM reservation_payments WHERE reservation_id = $1', [reservationId]);
+    return result.rows[0];
+  };
+
+  const getEvents = async (reservationId) => {
+    const result = await database.pool.query(
+      "SELECT DISTINCT event FROM notification_outbox WHERE reservation_id = $1 ORDER BY event",
+      [reservationId]
+    );
+    return result.rows.map(row => row.event);
+  };
+
+  const getHistory = async (reservationId) => {
+    const result = await database.pool.query(
+      'SELECT from_status, to_status, reason FROM reservation_status_history WHERE reservation_id = $1 ORDER BY id',
+      [reservationId]
+    );
+    return result.rows;
+  };
+
+  it('pending_payment → pending une fois l\'acompte réglé, puis confirmed', async () => {
+    const user = await createUser(database.pool);
+    const { reservation, payment } = await bookGroup(user);
+
+    assert.equal(reservation.status, 'pending_payment');
+    assert.equal(payment.kind, 'deposit');
+    assert.equal(payment.amount_cents, 16000);
+    assert.deepEqual(await getEvents(reservation.id), []);
+
+    const declined = await app.request('POST', `/reservations/${reservation.id}/payment`, {
+      user,
+      body: { payment_method: 'fake_declined' }
+    });
+    assert.equal(declined.status, 402);
+    assert.equal((await getReservation(reservation.id)).status, 'pending_payment');
+    assert.equal((await getPayment(reservation.id)).status, 'failed');
+
+    const paid = await app.request('POST', `/reservations/${reservation.id}/payment`, {
+      user,
+      body: { payment_method: 'card' }
+    });
+    assert.equal(paid.status, 200);
+    assert.equal(paid.body.reservation.status, 'pending');
+    assert.equal((await getPayment(reservation.id)).status, 'paid');
+    assert.deepEqual(await getEvents(reservation.id), ['reservation_created']);
+
+    const confirmed = await app.request('PUT', `/reservations/${reservation.id}/confirm`, { user: admin, body: {} });
+    assert.equal(confirmed.status, 200);
+    assert.equal(confirmed.body.reservation.status, 'confirmed');
+    assert.deepEqual(await getEvents(reservation.id), ['reservation_confirmed', 'reservation_created']);
+
+    assert.deepEqual((await getHistory(reservation.id)).map(entry => [entry.from_status, entry.to_status]), [
+      [null, 'pending_payment'],
+      ['pending_payment', 'pending'],
+      ['pending', 'confirmed']
+    ]);
+  });
+
+  it('pending_payment → cancelled quand le délai de paiement expire', async () => {
+    const user = await createUser(database.pool);
+    const { reservation } = await bookGroup(user);
+
+    assert.equal(await expireUnpaidReservations(database.pool), 0);
+
+    await database.pool.query(
+      "UPDATE reservation_payments SET expires_at = NOW() - interval '1 minute' WHERE reservation_id = $1",
+      [reservation.id]
+    );
+    assert.equal(await expireUnpaidReservations(database.pool), 1);
+
+    const expired = await getReservation(reservation.id);
+    assert.equal(expired.status, 'cancelled');
+    assert.ok(expired.cancelled_at);
+    assert.equal((await getPayment(reservation.id)).status, 'cancelled');
+    assert.deepEqual(await getEvents(reservation.id), ['reservation_cancelled']);
+
+    const [, last] = await getHistory(reservation.id);
+    assert.deepEqual(last, {
+      from_status: 'pending_payment',
+      to_status: 'cancelled',
+      reason: 'Garantie non réglée dans les délais'
+    });
+
+    const late = await app.request('POST', `/reservations/${reservation.id}/payment`, {
+      user,
+      body: { payment_method: 'card' }
+    });
+    assert.equal(late.status, 409);
+  });
+
+  it('laisse annulée une réservation expirée dont le paiement aboutit ensuite', async () => {
+    const user = await createUser(database.pool);
+    const { reservation } = await bookGroup(user);
+
+    // Paiement parti chez le prestataire juste avant l'expiration
+    await database.pool.query(
+      "UPDATE reservation_payments SET status = 'processing', expires_at = NOW() - interval '1 minute' WHERE reservation_id = $1",
+      [reservation.id]
+    );
+    assert.equal(await expireUnpaidReservations(database.pool), 1);
+
+    const payment = await getPayment(reservation.id);
+    const outcome = await withTransaction((client) => completePayment(client, payment.id));
+
+    assert.equal(outcome.status, 409);
+    assert.equal(outcome.payment.id, payment.id);
+    assert.equal((await getReservation(reservation.id)).status, 'cancelled');
+    assert.deepEqual(await getEvents(reservation.id), ['reservation_cancelled']);
+  });
+});
@@ -0,0 +1,104 @@
+// backend/test/reservationStatus.test.js
+// Cycle de vie d'une réservation : seules les transitions de TRANSITIONS passent,
+// chacune laisse une trace dans l'historique
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { RESERVATION_STATUSES, TRANSITIONS, transitionReservation } = require('../services/reservationStatus');
+const { skipWithoutDatabase, createTestDatabase, createUser } = require('./helpers/database');
+
+describe('transitionReservation', { skip: skipWithoutDatabase }, () => {
+  let database;
+  let user;
+
+  before(async () => {
+    database = await createTestDatabase();
+    user = await createUser(database.pool);
+  });
+
+  after(async () => {
+    await database.drop();
+  });
+
+  const createReservation = async (status) => {
+    const result = await database.pool.query(
+      `INSERT INTO reservations (user_id, reservation_date, reservation_time, number_of_people, status)
+       VALUES ($1, CURRENT_DATE + 30, '20:00', 2, $2)
+       RETURNING *`,
+      [user.id, status]
+    );
+    return result.rows[0];
+  };
+
+  const getHistory = async (reservationId) => {
+    const result = await database.pool.query(
+      'SELECT from_status, to_status, changed_by, reason FROM reservation_status_history WHERE reservation_id = $1',
+      [reservationId]
+    );
+    return result.rows;
+  };
+
+  it('n\'autorise que les transitions du tableau, depuis chaque statut', async () => {
+    for (const from of RESERVATION_STATUSES) {
+      for (const to of RESERVATION_STATUSES) {
+        const reservation = await createReservation(from);
+        const outcome = await transitionReservation(database.pool, { reservationId: reservation.id, toStatus: to });
+        const label = `${from} → ${to}`;
+
+        if (TRANSITIONS[from].includes(to)) {
+          assert.equal(outcome.error, undefined, label);
+          assert.equal(outcome.reservation.status, to, label);
+          assert.deepEqual(await getHistory(reservation.id), [
+            { from_status: from, to_status: to, changed_by: null, reason: null }
+          ], label);
+        } else {
+          assert.equal(outcome.status, 409, label);
+          assert.deepEqual(outcome.allowed, TRANSITIONS[from], label);
+          assert.deepEqual(await getHistory(reservation.id), [], label);
+
+          const row = await database.pool.query('SELECT status FROM reservations WHERE id = $1', [reservation.id]);
+          assert.equal(row.rows[0].status, from, label);
+        }
+      }
+    }
+  });
+
+  it('laisse les statuts finaux sans sortie', () => {
+    ['completed', 'cancelled', 'no_show', 'declined'].forEach(status => {
+      assert.deepEqual(TRANSITIONS[status], []);
+    });
+  });
+
+  it('horodate l\'annulation, l\'installation et le départ', async () => {
+    const reservation = await createReservation('confirmed');
+
+    const seated = await transitionReservation(database.pool, { reservationId: reservation.id, toStatus: 'seated' });
+    assert.ok(seated.reservation.arrived_at);
+    assert.ok(seated.reservation.seated_at);
+    assert.equal(seated.reservation.departed_at, null);
+
+    const completed = await transitionReservation(database.pool, { reservationId: reservation.id, toStatus: 'completed' });
+    assert.ok(completed.reservation.departed_at);
+
+    const other = await createReservation('pending');
+    const cancelled = await transitionReservation(database.pool, {
+      reservationId: other.id,
+      toStatus: 'cancelled',
+      changedBy: user.id,
+      reason: 'Demande du client'
+    });
+    assert.ok(cancelled.reservation.cancelled_at);
+    assert.deepEqual(await getHistory(other.id), [
+      { from_status: 'pending', to_status: 'cancelled', changed_by: user.id, reason: 'Demande du client' }
+    ]);
+  });
+
+  it('refuse un statut inconnu et une réservation absente', async () => {
+    const reservation = await createReservation('pending');
+
+    const unknown = await transitionReservation(database.pool, { reservationId: reservation.id, toStatus: 'archived' });
+    assert.equal(unknown.status, 400);
+
+    const missing = await transitionReservation(database.pool, { reservationId: 999999, toStatus: 'confirmed' });
+    assert.equal(missing.status, 404);
+  });
+});
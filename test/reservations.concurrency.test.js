@@ -0,0 +1,66 @@
+// backend/test/reservations.concurrency.test.js
+// Réservations simultanées sur un même créneau : la capacité n'est jamais dépassée
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { initPool } = require('../database/db');
+const { toDateString } = require('../services/availability');
+const { skipWithoutDatabase, createTestDatabase, createUser } = require('./helpers/database');
+const { startApp } = require('./helpers/http');
+
+const PARALLEL_REQUESTS = 12;
+const PARTY_SIZE = 6;
+
+describe('POST /reservations en parallèle', { skip: skipWithoutDatabase }, () => {
+  let database;
+  let app;
+
+  before(async () => {
+    database = await createTestDatabase();
+    initPool(database.pool);
+    app = await startApp(database.pool, { '/reservations': require('../routes/reservations') });
+  });
+
+  after(async () => {
+    await app.close();
+    await database.drop();
+  });
+
+  it('accepte les réservations dans la limite du créneau et refuse les autres en 409', async () => {
+    const date = toDateString(new Date(Date.now() + 30 * 24 * 60 * 60 * 1000));
+    const dayOfWeek = new Date(`${date}T12:00:00`).getDay();
+
+    const serviceResult = await database.pool.query(
+      "SELECT capacity FROM service_hours WHERE day_of_week = $1 AND service = 'dinner'",
+      [dayOfWeek]
+    );
+    const capacity = serviceResult.rows[0].capacity;
+
+    const users = [];
+    for (let i = 0; i < PARALLEL_REQUESTS; i++) {
+      users.push(await createUser(database.pool));
+    }
+
+    const responses = await Promise.all(users.map(user => app.request('POST', '/reservations', {
+      user,
+      body: { reservation_date: date, reservation_time: '20:00', number_of_people: PARTY_SIZE }
+    })));
+
+    const created = responses.filter(response => response.status === 201);
+    const rejected = responses.filter(response => response.status !== 201);
+
+    assert.equal(created.length, Math.floor(capacity / PARTY_SIZE));
+    rejected.forEach(response => {
+      assert.equal(response.status, 409);
+      assert.equal(response.body.error, 'Plus de disponibilité pour ce créneau');
+    });
+
+    const coversResult = await database.pool.query(
+      `SELECT COALESCE(SUM(number_of_people), 0)::int as covers
+       FROM reservations
+       WHERE reservation_date = $1 AND status NOT IN ('cancelled', 'declined', 'no_show')`,
+      [date]
+    );
+    assert.ok(coversResult.rows[0].covers <= capacity);
+    assert.equal(coversResult.rows[0].covers, created.length * PARTY_SIZE);
+  });
+});
@@ -0,0 +1,94 @@
+// backend/test/reservations.delete.test.js
+// Suppression d'une réservation : verrou, suppression et message dans une seule transaction,
+// garantie rendue après validation
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { initPool } = require('../database/db');
+const { toDateString } = require('../services/availability');
+const { skipWithoutDatabase, createTestDatabase, createUser } = require('./helpers/database');
+const { startApp } = require('./helpers/http');
+
+const waitFor = async (check, { timeoutMs = 2000 } = {}) => {
+  const deadline = Date.now() + timeoutMs;
+  while (!(await check())) {
+    if (Date.now() > deadline) {
+      throw new Error('Délai dépassé');
+    }
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+};
+
+describe('DELETE /reservations/:id', { skip: skipWithoutDatabase }, () => {
+  let database;
+  let app;
+  const refunds = [];
+
+  before(async () => {
+    database = await createTestDatabase();
+    initPool(database.pool);
+    app = await startApp(database.pool, { '/reservations': require('../routes/reservations') }, {
+      paymentProvider: { refund: async (id) => refunds.push(id) }
+    });
+  });
+
+  after(async () => {
+    await app.close();
+    await database.drop();
+  });
+
+  const book = async (user) => {
+    const response = await app.request('POST', '/reservations', {
+      user,
+      body: {
+        reservation_date: toDateString(new Date(Date.now() + 30 * 24 * 60 * 60 * 1000)),
+        reservation_time: '20:00',
+        number_of_people: 2
+      }
+    });
+    assert.equal(response.status, 201);
+    return response.body.reservation;
+  };
+
+  it('répond 404 pour une réservation absente ou d\'un autre client', async () => {
+    const owner = await createUser(database.pool);
+    const stranger = await createUser(database.pool);
+    const reservation = await book(owner);
+
+    const missing = await app.request('DELETE', '/reservations/999999', { user: owner });
+    assert.equal(missing.status, 404);
+
+    const forbidden = await app.request('DELETE', `/reservations/${reservation.id}`, { user: stranger });
+    assert.equal(forbidden.status, 404);
+
+    const rows = await database.pool.query('SELECT id FROM reservations WHERE id = $1', [reservation.id]);
+    assert.equal(rows.rows.length, 1);
+  });
+
+  it('met l\'annulation en file et rend l\'acompte une fois la réservation supprimée', async () => {
+    const owner = await createUser(database.pool);
+    const reservation = await book(owner);
+
+    const payment = await database.pool.query(
+      `INSERT INTO reservation_payments (reservation_id, kind, amount_cents, status, provider_payment_id, expires_at)
+       VALUES ($1, 'deposit', 2000, 'paid', 'pay_delete_test', NOW())
+       RETURNING id`,
+      [reservation.id]
+    );
+
+    const response = await app.request('DELETE', `/reservations/${reservation.id}`, { user: owner });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.reservation.id, reservation.id);
+
+    const outbox = await database.pool.query(
+      "SELECT event FROM notification_outbox WHERE event = 'reservation_cancelled' AND recipient = $1",
+      [owner.email]
+    );
+    assert.equal(outbox.rows.length, 1);
+
+    await waitFor(async () => {
+      const result = await database.pool.query('SELECT status FROM reservation_payments WHERE id = $1', [payment.rows[0].id]);
+      return result.rows[0].status === 'refunded';
+    });
+    assert.deepEqual(refunds, ['pay_delete_test']);
+  });
+});
@@ -0,0 +1,108 @@
+// backend/test/reservations.modify.test.js
+// Modification d'une réservation : saisies validées, réservation annulée intouchable
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { initPool } = require('../database/db');
+const { toDateString } = require('../services/availability');
+const { skipWithoutDatabase, createTestDatabase, createUser } = require('./helpers/database');
+const { startApp } = require('./helpers/http');
+
+describe('PUT /reservations/:id', { skip: skipWithoutDatabase }, () => {
+  let database;
+  let app;
+  const date = toDateString(new Date(Date.now() + 30 * 24 * 60 * 60 * 1000));
+
+  before(async () => {
+    database = await createTestDatabase();
+    initPool(database.pool);
+    app = await startApp(database.pool, { '/reservations': require('../routes/reservations') });
+  });
+
+  after(async () => {
+    await app.close();
+    await database.drop();
+  });
+
+  const book = async (user) => {
+    const response = await app.request('POST', '/reservations', {
+      user,
+      body: { reservation_date: date, reservation_time: '20:00', number_of_people: 2 }
+    });
+    assert.equal(response.status, 201);
+    return response.body.reservation;
+  };
+
+  it('refuse un nombre de couverts, une date ou une heure invalides', async () => {
+    const user = await createUser(database.pool);
+    const reservation = await book(user);
+
+    for (const body of [
+      { number_of_people: 'abc' },
+      { number_of_people: true },
+      { number_of_people: 2.5 },
+      { number_of_people: 21 },
+      { reservation_time: '25:00' },
+      { reservation_time: 'midi' },
+      { reservation_date: '2030-1-1' }
+    ]) {
+      const response = await app.request('PUT', `/reservations/${reservation.id}`, { user, body });
+      assert.equal(response.status, 400, JSON.stringify(body));
+    }
+  });
+
+  it('modifie une réservation à venir', async () => {
+    const user = await createUser(database.pool);
+    const reservation = await book(user);
+
+    const response = await app.request('PUT', `/reservations/${reservation.id}`, {
+      user,
+      body: { number_of_people: '3' }
+    });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.reservation.number_of_people, 3);
+  });
+
+  it('ne modifie pas une réservation annulée entre-temps', async () => {
+    const user = await createUser(database.pool);
+    const reservation = await book(user);
+
+    const cancelled = await app.request('PUT', `/reservations/${reservation.id}/cancel`, { user, body: {} });
+    assert.equal(cancelled.status, 200);
+
+    const response = await app.request('PUT', `/reservations/${reservation.id}`, {
+      user,
+      body: { reservation_time: '21:00', number_of_people: 4 }
+    });
+    assert.equal(response.status, 400);
+
+    const row = await database.pool.query(
+      'SELECT status, reservation_time, number_of_people FROM reservations WHERE id = $1',
+      [reservation.id]
+    );
+    assert.equal(row.rows[0].status, 'cancelled');
+    assert.equal(row.rows[0].reservation_time, '20:00:00');
+    assert.equal(row.rows[0].number_of_people, 2);
+
+    const notifications = await database.pool.query(
+      "SELECT 1 FROM notification_outbox WHERE reservation_id = $1 AND event = 'reservation_modified'",
+      [reservation.id]
+    );
+    assert.equal(notifications.rows.length, 0);
+  });
+
+  it('répond 404 pour une réservation absente et 403 pour celle d\'un autre client', async () => {
+    const owner = await createUser(database.pool);
+    const stranger = await createUser(database.pool);
+    const reservation = await book(owner);
+
+    const missing = await app.request('PUT', '/reservations/999999', { user: owner, body: { number_of_people: 3 } });
+    assert.equal(missing.status, 404);
+
+    const forbidden = await app.request('PUT', `/reservations/${reservation.id}`, {
+      user: stranger,
+      body: { number_of_people: 3 }
+    });
+    assert.equal(forbidden.status, 403);
+  });
+});